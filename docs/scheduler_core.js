@@ -0,0 +1,4084 @@
+// Process Scheduling Simulator - scheduling core
+// CPS 3250 Final Project - algorithms, metrics and step explanations
+// without any DOM access. index.html loads this file before script_new.js;
+// Node scripts can require() it and call simulate().
+
+// =============================
+// Data model
+// =============================
+
+// Process classes used by Multilevel Queue scheduling, highest priority first
+const MLQ_CLASSES = ["system", "interactive", "batch"];
+const MLQ_CLASS_LABELS = {
+	system: "System",
+	interactive: "Interactive",
+	batch: "Batch"
+};
+
+// A process either has a single CPU burst (`burst`) or an alternating
+// CPU / I/O sequence in `options.bursts`, e.g. [4, 2, 3] = CPU 4, I/O 2,
+// CPU 3. `burst` is always the total CPU time.
+class Process {
+	constructor(name, arrival, burst, priority = 0, options = {}) {
+		this.name = name || "";
+		this.arrival = parseInt(arrival, 10);
+		this.burst = parseInt(burst, 10);
+		this.priority = parseInt(priority, 10);
+		this.queueClass = MLQ_CLASSES.includes(options.queueClass) ? options.queueClass : "interactive";
+		this.affinity = parseAffinity(options.affinity);
+		this.tickets = parseTickets(options.tickets);
+
+		if (!Number.isFinite(this.arrival) || this.arrival < 0) this.arrival = 0;
+		if (!Number.isFinite(this.burst) || this.burst <= 0) this.burst = 1;
+		if (!Number.isFinite(this.priority)) this.priority = 0;
+
+		const seq = parseBurstSequence(options.bursts);
+		if (seq) {
+			this.bursts = seq;
+			this.burst = seq.reduce((sum, b, i) => (i % 2 === 0 ? sum + b : sum), 0);
+		} else {
+			this.bursts = [this.burst];
+		}
+
+		this.startTime = null;
+		this.finishTime = null;
+		this.responseTime = null;
+		this.remaining = null;
+		this.RR = null;
+	}
+}
+
+// Fresh copy of a process definition (without any scheduling state), so
+// each algorithm run starts from the same workload.
+function cloneProcess(p) {
+	return new Process(p.name, p.arrival, p.burst, p.priority, {
+		queueClass: p.queueClass,
+		bursts: p.bursts,
+		affinity: p.affinity,
+		tickets: p.tickets
+	});
+}
+
+// Parse an alternating CPU / I/O burst sequence given as an array or as
+// text such as "4 2 3" or "4, 2, 3". Returns null unless every value is a
+// positive integer and the sequence starts and ends with a CPU burst.
+function parseBurstSequence(value) {
+	if (value == null) return null;
+	const parts = Array.isArray(value)
+		? value
+		: String(value).split(/[\s,]+/).filter(Boolean);
+	if (parts.length === 0 || parts.length % 2 === 0) return null;
+	const seq = parts.map(v => parseInt(v, 10));
+	if (seq.some(v => !Number.isFinite(v) || v <= 0)) return null;
+	return seq;
+}
+
+// Parse a core affinity list such as "0, 2" (core numbers start at 0).
+// Returns a sorted list of distinct cores, or null when the value is empty
+// or contains anything but non-negative integers (no restriction).
+function parseAffinity(value) {
+	if (value == null) return null;
+	const parts = Array.isArray(value)
+		? value
+		: String(value).split(/[\s,]+/).filter(Boolean);
+	if (parts.length === 0) return null;
+	const cores = parts.map(v => parseInt(v, 10));
+	if (cores.some(c => !Number.isFinite(c) || c < 0)) return null;
+	return [...new Set(cores)].sort((a, b) => a - b);
+}
+
+// Lottery / stride tickets: a positive whole number, or null to derive
+// them from the priority (see ticketsOf).
+function parseTickets(value) {
+	if (value == null || value === "") return null;
+	const tickets = Number(value);
+	return Number.isInteger(tickets) && tickets > 0 ? tickets : null;
+}
+
+// Tickets used by the proportional-share schedulers. Without an explicit
+// count, priority 0 gets 100 tickets, priority 1 gets 50, priority 2 gets
+// 33, ... (100 / (priority + 1)), so higher priority means a larger share.
+function ticketsOf(p) {
+	if (p.tickets != null) return p.tickets;
+	return Math.max(1, Math.round(100 / (Math.max(p.priority, 0) + 1)));
+}
+
+// Total I/O time of a process (the odd positions of its burst sequence)
+function ioTimeOf(p) {
+	return (p.bursts || []).reduce((sum, b, i) => (i % 2 === 1 ? sum + b : sum), 0);
+}
+
+// Human-readable burst sequence, e.g. "4 → I/O 2 → 3"
+function formatBurstSequence(p) {
+	if (!p.bursts || p.bursts.length <= 1) return String(p.burst);
+	return p.bursts.map((b, i) => (i % 2 === 0 ? String(b) : `I/O ${b}`)).join(" → ");
+}
+
+// =============================
+// Algorithm settings
+// =============================
+
+// Default Round Robin time quantum (Setup tab)
+const RR_DEFAULTS = {
+	quantum: 2
+};
+// Default aging for SJF and Priority: a waiting job climbs one level every
+// `agingInterval` time units in the ready queue (0 = no aging)
+const AGING_DEFAULTS = {
+	agingInterval: 0
+};
+// Default Multilevel Feedback Queue configuration (Setup tab)
+const MLFQ_DEFAULTS = {
+	levels: 3,
+	quanta: [2, 4, 8],
+	boostInterval: 20
+};
+// Default Multilevel Queue configuration: algorithm per class, RR quantum
+// used inside RR classes, inter-queue policy and time-slice percentages.
+const MLQ_DEFAULTS = {
+	algorithms: { system: "fcfs", interactive: "rr", batch: "fcfs" },
+	quantum: 2,
+	policy: "fixed",
+	shares: { system: 50, interactive: 30, batch: 20 },
+	cycle: 10
+};
+const MLQ_CLASS_ALGOS = {
+	fcfs: "FCFS",
+	sjf: "SJF",
+	priority: "Priority",
+	rr: "Round Robin"
+};
+// Multi-core settings: number of CPUs and how the ready queue is organised
+const MULTICORE_DEFAULTS = {
+	cores: 1,
+	queueMode: "global"
+};
+// Context-switch overhead: cost in time units and whether dispatching onto
+// an idle CPU is charged too (dispatch latency)
+const SWITCH_DEFAULTS = {
+	switchCost: 0,
+	switchFromIdle: false
+};
+const CORE_QUEUE_MODES = {
+	global: "Global ready queue",
+	balance: "Per-core queues with load balancing",
+	steal: "Per-core queues with work stealing"
+};
+// Completely Fair Scheduler: target latency (the period in which every
+// runnable task should run once) and minimum granularity (shortest slice)
+const CFS_DEFAULTS = {
+	targetLatency: 6,
+	minGranularity: 1
+};
+// Linux nice-to-weight table (sched_prio_to_weight) for nice -20 … 19;
+// each nice step changes the CPU share by about 10%.
+const CFS_NICE_0_WEIGHT = 1024;
+const CFS_NICE_WEIGHTS = [
+	88761, 71755, 56483, 46273, 36291,
+	29154, 23254, 18705, 14949, 11916,
+	9548, 7620, 6100, 4904, 3906,
+	3121, 2501, 1991, 1586, 1277,
+	1024, 820, 655, 526, 423,
+	335, 272, 215, 172, 137,
+	110, 87, 70, 56, 45,
+	36, 29, 23, 18, 15
+];
+// Lottery / stride scheduling: the quantum each draw or pass step grants,
+// and the seed of the random number generator used for lottery draws
+const PROPORTIONAL_SHARE_DEFAULTS = {
+	quantum: 2,
+	seed: 42
+};
+// Stride = STRIDE_CONSTANT / tickets (large so strides stay whole numbers)
+const STRIDE_CONSTANT = 10000;
+// Real-time algorithms schedule the periodic task set instead of the
+// process list. Each line is "Name Period Execution [Deadline]"; jobs are
+// unrolled over one hyperperiod, which is capped to keep runs small.
+const RT_DEFAULT_TASKS = "T1 5 2\nT2 7 4";
+const RT_MAX_HYPERPERIOD = 1000;
+// User-defined algorithms: how long one pick() call may take before the
+// worker is stopped, and the example shown in an empty editor
+const CUSTOM_PICK_TIMEOUT_MS = 1000;
+const CUSTOM_DEFAULT_CODE = [
+	"// Called every time unit in which a process is ready.",
+	"//   time     the current time",
+	"//   running  name of the process that ran in the last time unit, or null",
+	"//   ready    the ready processes, including the running one:",
+	"//            { name, arrival, priority, tickets, queueClass,",
+	"//              burst, remaining, totalRemaining, waiting }",
+	"// Return the name of the process to run, or { name, reason } to",
+	"// explain the choice in the Simulate tab.",
+	"function pick({ time, running, ready }) {",
+	"  // Example: shortest remaining burst first, ties by arrival",
+	"  const best = [...ready].sort((a, b) => a.remaining - b.remaining || a.arrival - b.arrival)[0];",
+	"  return { name: best.name, reason: \"it has the shortest remaining burst (\" + best.remaining + \")\" };",
+	"}"
+].join("\n");
+// =============================
+// Settings normalizers
+// =============================
+
+// Each normalizer turns raw settings into the options an algorithm runs
+// with. Values may be numbers or text typed into a form; missing values
+// fall back to the defaults above. Returns null when a value is invalid.
+
+function normalizeRoundRobinOptions(raw = {}) {
+	const values = { ...RR_DEFAULTS, ...raw };
+	const quantum = parseInt(values.quantum, 10);
+	if (!Number.isFinite(quantum) || quantum < 1) return null;
+	return { quantum };
+}
+
+function normalizeAgingOptions(raw = {}) {
+	const values = { ...AGING_DEFAULTS, ...raw };
+	const agingInterval = parseInt(values.agingInterval, 10);
+	if (!Number.isFinite(agingInterval) || agingInterval < 0) return null;
+	return { agingInterval };
+}
+
+// Quanta may be a list or text such as "2, 4, 8"; missing levels are
+// filled in by buildMlfqQuanta.
+function normalizeMlfqOptions(raw = {}) {
+	const values = { ...MLFQ_DEFAULTS, ...raw };
+	const levels = parseInt(values.levels, 10);
+	if (!Number.isFinite(levels) || levels < 1 || levels > 8) return null;
+
+	const quantaParts = Array.isArray(values.quanta)
+		? values.quanta
+		: String(values.quanta).split(/[,\s]+/).filter(Boolean);
+	const rawQuanta = quantaParts.map(v => parseInt(v, 10));
+	if (rawQuanta.some(q => !Number.isFinite(q) || q <= 0)) return null;
+
+	let boostInterval = parseInt(values.boostInterval, 10);
+	if (!Number.isFinite(boostInterval) || boostInterval < 0) boostInterval = 0;
+
+	return {
+		levels,
+		quanta: buildMlfqQuanta(levels, rawQuanta),
+		boostInterval
+	};
+}
+
+// Invalid when the RR quantum, the slice cycle or the percentages are
+// (time slicing needs percentages adding up to 100).
+function normalizeMlqOptions(raw = {}) {
+	const values = { ...MLQ_DEFAULTS, ...raw };
+	const algorithmValues = { ...MLQ_DEFAULTS.algorithms, ...values.algorithms };
+	const shareValues = { ...MLQ_DEFAULTS.shares, ...values.shares };
+
+	const algorithms = {};
+	const shares = {};
+	let totalShare = 0;
+	for (const key of MLQ_CLASSES) {
+		algorithms[key] = MLQ_CLASS_ALGOS[algorithmValues[key]] ? algorithmValues[key] : "fcfs";
+		const share = parseInt(shareValues[key], 10);
+		if (!Number.isFinite(share) || share < 0) return null;
+		shares[key] = share;
+		totalShare += share;
+	}
+
+	const policy = values.policy === "slice" ? "slice" : "fixed";
+	const quantum = parseInt(values.quantum, 10);
+	const cycle = parseInt(values.cycle, 10);
+	if (!Number.isFinite(quantum) || quantum <= 0) return null;
+	if (policy === "slice" && (!Number.isFinite(cycle) || cycle <= 0 || totalShare !== 100)) return null;
+
+	return {
+		algorithms,
+		quantum,
+		policy,
+		shares,
+		cycle: Number.isFinite(cycle) && cycle > 0 ? cycle : MLQ_DEFAULTS.cycle
+	};
+}
+
+// Both must be positive whole numbers and the granularity may not exceed
+// the latency.
+function normalizeCfsOptions(raw = {}) {
+	const values = { ...CFS_DEFAULTS, ...raw };
+	const targetLatency = parseInt(values.targetLatency, 10);
+	const minGranularity = parseInt(values.minGranularity, 10);
+	if (!Number.isFinite(targetLatency) || targetLatency < 1) return null;
+	if (!Number.isFinite(minGranularity) || minGranularity < 1 || minGranularity > targetLatency) return null;
+	return { targetLatency, minGranularity };
+}
+
+// The quantum must be positive and the seed a non-negative integer.
+function normalizeShareOptions(raw = {}) {
+	const values = { ...PROPORTIONAL_SHARE_DEFAULTS, ...raw };
+	const quantum = parseInt(values.quantum, 10);
+	const seed = Number(String(values.seed).trim());
+	if (!Number.isFinite(quantum) || quantum < 1) return null;
+	if (!Number.isInteger(seed) || seed < 0) return null;
+	return { quantum, seed };
+}
+
+// Empty code falls back to the example pick() function.
+function normalizeCustomOptions(raw = {}) {
+	const code = typeof raw.code === "string" && raw.code.trim() ? raw.code : CUSTOM_DEFAULT_CODE;
+	return { code };
+}
+
+// Between 1 and 8 cores; an unknown queue mode means one global queue.
+function normalizeMultiCoreOptions(raw = {}) {
+	const values = { ...MULTICORE_DEFAULTS, ...raw };
+	const cores = parseInt(values.cores, 10);
+	if (!Number.isFinite(cores) || cores < 1 || cores > 8) return null;
+	const queueMode = CORE_QUEUE_MODES[values.queueMode] ? values.queueMode : "global";
+	return { cores, queueMode };
+}
+
+// The cost must be a whole number ≥ 0 (empty text means 0).
+function normalizeSwitchOptions(raw = {}) {
+	const values = { ...SWITCH_DEFAULTS, ...raw };
+	const text = String(values.switchCost).trim();
+	const switchCost = text === "" ? 0 : Number(text);
+	if (!Number.isInteger(switchCost) || switchCost < 0) return null;
+	return { switchCost, switchFromIdle: !!values.switchFromIdle };
+}
+
+// Cores, ready-queue organisation and context-switch settings shared by
+// every algorithm. Returns the options or { error }.
+function normalizeRunOptions(raw = {}) {
+	const coreOptions = normalizeMultiCoreOptions(raw);
+	if (!coreOptions) return { error: "The number of CPU cores must be between 1 and 8." };
+	const switchOptions = normalizeSwitchOptions(raw);
+	if (!switchOptions) return { error: "The context-switch cost must be a whole number of time units (0 or more)." };
+	return { ...coreOptions, ...switchOptions };
+}
+
+// =============================
+// Periodic task sets (EDF / Rate-Monotonic)
+// =============================
+
+// Parse the periodic task set, one task per line as
+// "Name Period Execution [Deadline]" (the deadline defaults to the period).
+// Returns { tasks } or { error } naming the offending line.
+function parseRealTimeTasks(text) {
+	const tasks = [];
+	const lines = String(text || "").split(/\r?\n/);
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i].trim();
+		if (!line) continue;
+		const where = `Line ${i + 1}`;
+		const [name, ...fields] = line.split(/\s+/);
+		if (fields.length < 2 || fields.length > 3) {
+			return { error: `${where}: expected "Name Period Execution [Deadline]", e.g. T1 5 2.` };
+		}
+		if (!/^[A-Za-z]\w*$/.test(name)) {
+			return { error: `${where}: the task name "${name}" must start with a letter and use only letters, digits or _.` };
+		}
+		if (tasks.some(t => t.name === name)) {
+			return { error: `${where}: task ${name} is defined twice.` };
+		}
+		const values = fields.map(Number);
+		if (!values.every(v => Number.isInteger(v) && v > 0)) {
+			return { error: `${where}: period, execution time and deadline of ${name} must be positive whole numbers.` };
+		}
+		const [period, execution, deadline = period] = values;
+		tasks.push({ name, period, execution, deadline });
+	}
+	if (tasks.length === 0) return { error: "Enter at least one periodic task (Name Period Execution [Deadline])." };
+	return { tasks };
+}
+
+// Workload of the real-time algorithms: the jobs of the periodic task set
+// (text as above, or a list of { name, period, execution, deadline }) over
+// one hyperperiod, or { error } when the set is invalid or too long.
+function buildRealTimeWorkload(taskSet) {
+	const text = Array.isArray(taskSet)
+		? taskSet.map(t => [t.name, t.period, t.execution, t.deadline].filter(v => v != null).join(" ")).join("\n")
+		: taskSet;
+	const parsed = parseRealTimeTasks(text);
+	if (parsed.error) return { error: parsed.error };
+	const hyperperiod = hyperperiodOf(parsed.tasks);
+	if (hyperperiod > RT_MAX_HYPERPERIOD) {
+		return { error: `The hyperperiod of these tasks is ${hyperperiod} time units; please keep it at ${RT_MAX_HYPERPERIOD} or less.` };
+	}
+	return { processes: buildPeriodicJobs(parsed.tasks) };
+}
+
+// =============================
+// Algorithm registry
+// =============================
+
+// Every CPU scheduling algorithm registers itself here. simulate(), the
+// Setup cards, the generated settings inputs, the Compare tab and the step
+// explanations all read this table, so a new scheduler only needs a
+// registerAlgorithm call. Fields:
+//   key, label, icon, subtitle  card shown on the Setup tab
+//   info: { title, text }       description shown under the cards
+//   settings                    { id, title, params } section generated from
+//                               params ({ id, option, label, type, min, max,
+//                               value, hint }, where `option` is the option
+//                               the input sets); { id } alone names a section
+//                               written in index.html. Algorithms may share
+//                               a section.
+//   normalizeOptions(raw)       turns raw settings into the run options
+//                               (null when invalid); invalidOptions is the
+//                               message reported in that case
+//   run(ps, options)            returns { gantt, metrics, ... } or a promise
+//                               of it; options holds the settings plus the
+//                               core and context-switch options
+//   explain(ctx)                per-step explanation hook (see explainFcfs)
+//   buildWorkload(workload)     optional: builds the processes to schedule
+//                               from another kind of workload ({ error } to stop)
+//   compare                     false keeps the algorithm out of the Compare tab
+//   compareLabel(options)       optional label for its Compare row
+//   compareVariants(raw)        optional: the raw settings of each Compare
+//                               row (default: one row with the Setup settings)
+const ALGORITHM_REGISTRY = {};
+const ALGORITHM_ORDER = [];
+
+function registerAlgorithm(def) {
+	if (!ALGORITHM_REGISTRY[def.key]) ALGORITHM_ORDER.push(def.key);
+	ALGORITHM_REGISTRY[def.key] = def;
+}
+
+function getAlgorithm(key) {
+	return ALGORITHM_REGISTRY[key] || null;
+}
+
+function listAlgorithms() {
+	return ALGORITHM_ORDER.map(key => ALGORITHM_REGISTRY[key]);
+}
+
+const ROUND_ROBIN_SETTINGS = {
+	id: "quantum-config",
+	title: "Round Robin Settings",
+	params: [
+		{ id: "quantum", option: "quantum", label: "Time Quantum", min: 1, value: RR_DEFAULTS.quantum, hint: "Longest time a process runs before it goes to the back of the ready queue" }
+	]
+};
+
+const AGING_SETTINGS = {
+	id: "aging-config",
+	title: "Aging Settings",
+	params: [
+		{ id: "aging-interval", option: "agingInterval", label: "Aging Interval", min: 0, value: AGING_DEFAULTS.agingInterval, hint: "Every K time units in the ready queue, a job's priority (Priority, up to 0) or burst (SJF) counts one better (0 = no aging)" }
+	]
+};
+
+const CFS_SETTINGS = {
+	id: "cfs-config",
+	title: "Completely Fair Scheduler Settings",
+	params: [
+		{ id: "cfs-latency", option: "targetLatency", label: "Target Latency", min: 1, value: CFS_DEFAULTS.targetLatency, hint: "Period in which every runnable process should run once" },
+		{ id: "cfs-granularity", option: "minGranularity", label: "Minimum Granularity", min: 1, value: CFS_DEFAULTS.minGranularity, hint: "Shortest slice a process gets; the priority is used as its nice value (−20 … 19)" }
+	]
+};
+
+const SHARE_SETTINGS = {
+	id: "share-config",
+	title: "Lottery / Stride Settings",
+	params: [
+		{ id: "share-quantum", option: "quantum", label: "Quantum", min: 1, value: PROPORTIONAL_SHARE_DEFAULTS.quantum, hint: "CPU time granted per draw (lottery) or pass step (stride)" },
+		{ id: "share-seed", option: "seed", label: "Random Seed", min: 0, value: PROPORTIONAL_SHARE_DEFAULTS.seed, hint: "Same seed = same lottery draws, also in Compare" }
+	]
+};
+
+const MLFQ_SETTINGS = {
+	id: "mlfq-config",
+	title: "Multilevel Feedback Queue Settings",
+	params: [
+		{ id: "mlfq-levels", option: "levels", label: "Number of Queues", min: 1, max: 8, value: MLFQ_DEFAULTS.levels, hint: "Q0 is the highest priority level" },
+		{ id: "mlfq-quanta", option: "quanta", label: "Quantum per Level", type: "text", value: MLFQ_DEFAULTS.quanta.join(", "), hint: "Comma-separated; missing levels double the previous one" },
+		{ id: "mlfq-boost", option: "boostInterval", label: "Priority Boost Interval", min: 0, value: MLFQ_DEFAULTS.boostInterval, hint: "Move all jobs to Q0 every S time units (0 = never)" }
+	]
+};
+
+const SHARE_INVALID = "Lottery and stride scheduling require a positive quantum and a random seed that is a whole number (0 or more).";
+const AGING_ALGOS = ["sjf", "priority"];
+const AGING_INVALID = "The aging interval must be a whole number (0 or more; 0 turns aging off).";
+
+// SJF and Priority with aging also run without it in Compare, so the
+// starvation that aging prevents shows up side by side
+function withAndWithoutAging(raw) {
+	const options = normalizeAgingOptions(raw);
+	return options && options.agingInterval > 0 ? [{ ...raw, agingInterval: 0 }, raw] : [raw];
+}
+
+const agingCompareLabel = label => options => (options.agingInterval > 0 ? `${label} (aging every ${options.agingInterval})` : label);
+
+registerAlgorithm({
+	key: "fcfs",
+	label: "FCFS",
+	icon: "📋",
+	subtitle: "First-Come First-Served",
+	info: {
+		title: "First-Come First-Served (FCFS)",
+		text: "Non-preemptive: always runs the process that arrived earliest among the ready queue."
+	},
+	run: (ps, options) => fcfs(ps, options),
+	explain: explainFcfs
+});
+
+registerAlgorithm({
+	key: "sjf",
+	label: "SJF",
+	icon: "⚡",
+	subtitle: "Shortest Job First",
+	info: {
+		title: "Shortest Job First (SJF)",
+		text: "Non-preemptive: among all ready processes, runs the one with the smallest CPU burst time."
+	},
+	settings: AGING_SETTINGS,
+	normalizeOptions: normalizeAgingOptions,
+	invalidOptions: AGING_INVALID,
+	run: (ps, options) => sjf(ps, options),
+	explain: explainSjf,
+	compareLabel: agingCompareLabel("SJF"),
+	compareVariants: withAndWithoutAging
+});
+
+registerAlgorithm({
+	key: "srtf",
+	label: "SRTF",
+	icon: "⏱️",
+	subtitle: "Shortest Remaining Time",
+	info: {
+		title: "Shortest Remaining Time First (SRTF)",
+		text: "Preemptive: at each moment, chooses the job with the smallest remaining time; new short jobs may preempt the current one."
+	},
+	run: (ps, options) => srtf(ps, options),
+	explain: explainSrtf
+});
+
+registerAlgorithm({
+	key: "priority",
+	label: "Priority",
+	icon: "🎯",
+	subtitle: "Priority Scheduling",
+	info: {
+		title: "Preemptive Priority Scheduling",
+		text: "Preemptive: always runs the job with the highest priority (here: the smallest numeric value)."
+	},
+	settings: AGING_SETTINGS,
+	normalizeOptions: normalizeAgingOptions,
+	invalidOptions: AGING_INVALID,
+	run: (ps, options) => priorityScheduling(ps, options),
+	explain: explainPriority,
+	compareLabel: agingCompareLabel("Priority"),
+	compareVariants: withAndWithoutAging
+});
+
+registerAlgorithm({
+	key: "hrrn",
+	label: "HRRN",
+	icon: "📊",
+	subtitle: "Highest Response Ratio",
+	info: {
+		title: "Highest Response Ratio Next (HRRN)",
+		text: "Non-preemptive: selects the job with the largest response ratio RR = (Waiting + Burst) / Burst."
+	},
+	run: (ps, options) => hrrn(ps, options),
+	explain: explainHrrn
+});
+
+registerAlgorithm({
+	key: "rr",
+	label: "Round Robin",
+	icon: "🔄",
+	subtitle: "Time-Slice Rotation",
+	info: {
+		title: "Round Robin (RR)",
+		text: "Time-sliced: each ready process runs for at most one time quantum before moving to the back of the ready queue."
+	},
+	settings: ROUND_ROBIN_SETTINGS,
+	normalizeOptions: normalizeRoundRobinOptions,
+	invalidOptions: "Round Robin requires a positive time quantum.",
+	run: (ps, options) => rr(ps, options.quantum, options),
+	explain: explainRoundRobin
+});
+
+registerAlgorithm({
+	key: "cfs",
+	label: "CFS",
+	icon: "⚖️",
+	subtitle: "Completely Fair Scheduler",
+	info: {
+		title: "Completely Fair Scheduler (CFS)",
+		text: "Linux-style fair sharing: each process accumulates virtual runtime (vruntime) at a rate inversely proportional to its weight, which comes from its nice value (here: the priority, −20 … 19). The runnable task with the smallest vruntime (the leftmost node of the red-black tree) runs next for a slice of the target latency proportional to its weight, but never shorter than the minimum granularity."
+	},
+	settings: CFS_SETTINGS,
+	normalizeOptions: normalizeCfsOptions,
+	invalidOptions: "CFS requires a positive target latency and a minimum granularity between 1 and the target latency.",
+	run: (ps, options) => cfs(ps, options),
+	explain: explainCfs
+});
+
+registerAlgorithm({
+	key: "lottery",
+	label: "Lottery",
+	icon: "🎟️",
+	subtitle: "Random Ticket Draws",
+	info: {
+		title: "Lottery Scheduling",
+		text: "Proportional share: every ready process holds tickets (its Tickets value, or 100 / (priority + 1)). Each quantum a random winning ticket is drawn, and the process holding it runs. Over time each process gets a CPU share close to its fraction of the tickets. The random seed makes the draws reproducible."
+	},
+	settings: SHARE_SETTINGS,
+	normalizeOptions: normalizeShareOptions,
+	invalidOptions: SHARE_INVALID,
+	run: (ps, options) => lottery(ps, options),
+	explain: explainLottery,
+	compareLabel: options => `Lottery (seed ${options.seed})`
+});
+
+registerAlgorithm({
+	key: "stride",
+	label: "Stride",
+	icon: "👣",
+	subtitle: "Deterministic Proportional Share",
+	info: {
+		title: "Stride Scheduling",
+		text: "Deterministic proportional share: each process has a stride = 10000 / tickets and a pass value. Each quantum the ready process with the smallest pass runs and its pass grows by its stride, so processes with more tickets run more often."
+	},
+	settings: SHARE_SETTINGS,
+	normalizeOptions: normalizeShareOptions,
+	invalidOptions: SHARE_INVALID,
+	run: (ps, options) => stride(ps, options),
+	explain: explainStride
+});
+
+registerAlgorithm({
+	key: "edf",
+	label: "EDF",
+	icon: "⏰",
+	subtitle: "Earliest Deadline First",
+	info: {
+		title: "Earliest Deadline First (EDF)",
+		text: "Real-time, preemptive: each periodic task releases a job every period; the ready job with the earliest absolute deadline always runs. Uses the periodic task set below instead of the process list."
+	},
+	settings: { id: "rt-config" },
+	buildWorkload: buildRealTimeWorkload,
+	run: (ps, options) => edf(ps, options),
+	explain: explainEdf,
+	compare: false
+});
+
+registerAlgorithm({
+	key: "rm",
+	label: "Rate-Monotonic",
+	icon: "📐",
+	subtitle: "Shortest Period First",
+	info: {
+		title: "Rate-Monotonic (RM)",
+		text: "Real-time, preemptive, fixed priority: the task with the shortest period has the highest priority, and the ready job of the highest-priority task always runs. Uses the periodic task set below instead of the process list."
+	},
+	settings: { id: "rt-config" },
+	buildWorkload: buildRealTimeWorkload,
+	run: (ps, options) => rateMonotonic(ps, options),
+	explain: explainRateMonotonic,
+	compare: false
+});
+
+registerAlgorithm({
+	key: "mlq",
+	label: "Multilevel Queue",
+	icon: "🗂️",
+	subtitle: "Per-Class Queues",
+	info: {
+		title: "Multilevel Queue (MLQ)",
+		text: "Each process belongs to a fixed class (system, interactive, batch) with its own ready queue and algorithm. Between classes the CPU is shared by fixed priority (higher classes preempt lower ones) or by time slicing with a percentage per class."
+	},
+	settings: { id: "mlq-config" },
+	normalizeOptions: normalizeMlqOptions,
+	invalidOptions: "Multilevel Queue requires a positive RR quantum, and time slicing requires a positive cycle with percentages adding up to 100.",
+	run: (ps, options) => mlq(ps, options),
+	explain: explainMlq
+});
+
+registerAlgorithm({
+	key: "mlfq",
+	label: "MLFQ",
+	icon: "🪜",
+	subtitle: "Multilevel Feedback Queue",
+	info: {
+		title: "Multilevel Feedback Queue (MLFQ)",
+		text: "Preemptive: new jobs enter the top queue; a job that uses its whole quantum is demoted one level, jobs in higher queues always run first, and a periodic boost moves every job back to the top queue to prevent starvation."
+	},
+	settings: MLFQ_SETTINGS,
+	normalizeOptions: normalizeMlfqOptions,
+	invalidOptions: "MLFQ requires at least one queue level and positive quanta.",
+	run: (ps, options) => mlfq(ps, options),
+	explain: explainMlfq
+});
+
+registerAlgorithm({
+	key: "custom",
+	label: "Custom",
+	icon: "✏️",
+	subtitle: "Your Own pick() Function",
+	info: {
+		title: "Custom Algorithm",
+		text: "Write your own scheduler: the pick() function in the editor below is called every time unit with the current time, the process that ran last and the ready processes, and returns the process to run next. It runs in a sandboxed Web Worker; an error, an invalid pick or a call that takes longer than one second stops the run with a message."
+	},
+	settings: { id: "custom-config" },
+	normalizeOptions: normalizeCustomOptions,
+	run: (ps, options) => runCustomAlgorithm(ps, options.code, options),
+	explain: explainCustom
+});
+
+
+// =============================
+// Scheduling algorithms
+// =============================
+
+// Reset the per-run scheduling state of a process. `phase` indexes the
+// current CPU burst inside `bursts`, `burstLeft` is what remains of it and
+// `readyAt` is when the process (re)enters the ready queue.
+function resetRunState(p) {
+	p.remaining = p.burst;
+	p.startTime = null;
+	p.finishTime = null;
+	p.responseTime = null;
+	p.phase = 0;
+	p.burstLeft = p.bursts[0];
+	p.readyAt = p.arrival;
+	p.ageLevel = 0;
+	p.agingFrom = p.arrival;
+}
+
+// Called when the current CPU burst of `p` ends at `time`. Either the
+// process is complete (returns true) or it blocks for its next I/O burst,
+// which is recorded in `ioSegments`, and becomes ready again afterwards.
+function finishCpuBurst(p, time, ioSegments) {
+	if (p.phase + 1 >= p.bursts.length) {
+		p.finishTime = time;
+		return true;
+	}
+	const io = p.bursts[p.phase + 1];
+	ioSegments.push({ process: p.name, start: time, end: time + io });
+	p.phase += 2;
+	p.burstLeft = p.bursts[p.phase];
+	p.readyAt = time + io;
+	return false;
+}
+
+// Per-process metrics shared by all algorithms. Waiting time only counts
+// time spent in the ready queue; time blocked on I/O is reported separately.
+function computeProcessMetrics(ps) {
+	return ps.map(p => {
+		const turnaround = p.finishTime - p.arrival;
+		const io = ioTimeOf(p);
+		const waiting = turnaround - p.burst - io;
+		const response = p.startTime - p.arrival;
+		// Normalized turnaround: how many times longer than its own CPU work
+		const slowdown = turnaround / p.burst;
+		return { process: p.name, waiting, turnaround, response, io, slowdown };
+	});
+}
+
+// Context-switch overhead charged before `to` gets the CPU after `from`
+// (the process that ran last, or null when the CPU was idle). Continuing
+// the same process is free; leaving an idle CPU only costs when dispatch
+// latency is enabled (`switchFromIdle`).
+function switchCostFor(from, to, options = {}) {
+	const cost = options.switchCost > 0 ? options.switchCost : 0;
+	if (!cost || from === to) return 0;
+	if (from == null && !options.switchFromIdle) return 0;
+	return cost;
+}
+
+// Gantt segment for a context switch (drawn as "CS")
+function switchSegment(from, to, start, cost) {
+	return { process: "CS", start, end: start + cost, from, to };
+}
+
+// Earliest time an unfinished, not-yet-ready process becomes ready again
+function nextReadyTime(ps, time) {
+	let next = Infinity;
+	ps.forEach(p => {
+		if (p.finishTime == null && p.readyAt > time && p.readyAt < next) next = p.readyAt;
+	});
+	return next;
+}
+
+// Event trace of one run. Schedulers report what happens when it happens:
+// "arrive" and "wake" (back from I/O) when a process becomes ready,
+// "dispatch", "preempt", "expire" (quantum or time slice used up),
+// "block" (start of an I/O burst), "complete" and algorithm-specific
+// events such as MLFQ's "boost". Every event stores the ready queue right
+// after it; `readyQueue(time, running)` returns the waiting processes
+// (never the running one) in the scheduler's own order. An event about a
+// process also stores the CPU time that process has left, in total and in
+// its current burst.
+function createEventTrace(ps, readyQueue) {
+	const events = [];
+	const admitted = new Map();
+	let running = null;
+
+	const record = (time, type, p, extra = {}) => {
+		events.push({
+			time,
+			type,
+			process: p ? p.name : null,
+			...(p ? { remaining: p.remaining, burstLeft: p.burstLeft } : {}),
+			...extra,
+			ready: readyQueue(time, running).map(q => q.name)
+		});
+	};
+
+	// Arrivals and returns from I/O up to `time`, each recorded at the
+	// moment it happened. Every other trace call admits first, so the
+	// events stay in time order.
+	const admit = time => {
+		ps.filter(p => p !== running && p.finishTime == null && p.readyAt <= time && admitted.get(p) !== p.readyAt)
+			.sort((a, b) => a.readyAt - b.readyAt)
+			.forEach(p => {
+				admitted.set(p, p.readyAt);
+				record(p.readyAt, p.phase > 0 ? "wake" : "arrive", p);
+			});
+	};
+
+	return {
+		events,
+		admit,
+		running: () => running,
+		note(time, type, p, extra) {
+			admit(time);
+			record(time, type, p, extra);
+		},
+		dispatch(time, p, extra) {
+			admit(time);
+			running = p;
+			record(time, "dispatch", p, extra);
+		},
+		// The process leaves the CPU but stays ready ("preempt", "expire", ...)
+		stop(time, type, p, extra) {
+			admit(time);
+			if (running === p) running = null;
+			record(time, type, p, extra);
+		},
+		// The process ended its CPU burst (call after finishCpuBurst)
+		release(time, p, extra = {}) {
+			admit(time);
+			if (running === p) running = null;
+			if (p.finishTime != null) record(time, "complete", p, extra);
+			else record(time, "block", p, { until: p.readyAt, ...extra });
+		}
+	};
+}
+
+// Aging (SJF and Priority): a process climbs one level for every
+// `interval` time units it has waited since it last became ready or was
+// preempted, and each level makes its burst or priority count one better
+// (`effective`). The running process keeps its level until it leaves the
+// CPU, where the level starts over. Each change of the effective value is
+// an "age" event.
+function ageWaitingProcesses(trace, ready, time, interval, key, effective) {
+	const running = trace.running();
+	ready.forEach(p => {
+		if (p === running) return;
+		const level = Math.floor((time - Math.max(p.readyAt, p.agingFrom)) / interval);
+		if (level <= p.ageLevel) return;
+		const before = effective(p);
+		p.ageLevel = level;
+		if (effective(p) !== before) trace.note(time, "age", p, { key, level, value: effective(p) });
+	});
+}
+
+// Ready queue of the schedulers that pick by sorting: every ready process
+// except the running one, best candidate first
+function readyInOrder(ps, compare) {
+	return (time, running) => ps
+		.filter(p => p !== running && p.finishTime == null && p.readyAt <= time)
+		.sort((a, b) => compare(a, b, time));
+}
+
+// Processes that became ready by `time` but are not in a scheduler's own
+// queue yet (`queued` unset), in the order they became ready
+function notYetQueued(ps, time, running) {
+	return ps
+		.filter(p => !p.queued && p !== running && p.finishTime == null && p.readyAt <= time)
+		.sort((a, b) => a.readyAt - b.readyAt);
+}
+
+function fcfs(ps, options = {}) {
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(resetRunState);
+
+	let time = 0;
+	let completed = 0;
+	const n = ps.length;
+	const gantt = [];
+	const io = [];
+	let lastRun = null;
+	const trace = createEventTrace(ps, readyInOrder(ps, MULTICORE_POLICIES.fcfs.compare));
+
+	while (completed < n) {
+		const ready = ps.filter(p => p.finishTime == null && p.readyAt <= time);
+
+		if (ready.length === 0) {
+			// CPU idle until a process arrives or returns from I/O
+			const next = nextReadyTime(ps, time);
+			if (!Number.isFinite(next)) break;
+			gantt.push({ process: "Idle", start: time, end: next });
+			time = next;
+			lastRun = null;
+			continue;
+		}
+
+		// Earliest entry into the ready queue first (stable for equal times)
+		let p = ready[0];
+		ready.forEach(r => { if (r.readyAt < p.readyAt) p = r; });
+		trace.dispatch(time, p);
+
+		const cost = switchCostFor(lastRun, p.name, options);
+		if (cost) {
+			gantt.push(switchSegment(lastRun, p.name, time, cost));
+			time += cost;
+		}
+
+		const start = time;
+		const end = start + p.burstLeft;
+		lastRun = p.name;
+		gantt.push({ process: p.name, start, end });
+		if (p.startTime == null) p.startTime = start;
+
+		time = end;
+		p.remaining -= p.burstLeft;
+		if (finishCpuBurst(p, time, io)) completed++;
+		trace.release(time, p);
+	}
+
+	return { gantt, metrics: computeProcessMetrics(ps), io, events: trace.events };
+}
+
+function sjf(ps, options = {}) {
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(resetRunState);
+
+	let time = 0;
+	let completed = 0;
+	const n = ps.length;
+	const gantt = [];
+	const io = [];
+	let lastRun = null;
+	const aging = options.agingInterval || 0;
+	const effectiveBurst = p => Math.max(p.burstLeft - p.ageLevel, 0);
+	const trace = createEventTrace(ps, readyInOrder(ps, (a, b) => effectiveBurst(a) - effectiveBurst(b) || a.arrival - b.arrival));
+
+	while (completed < n) {
+		const ready = ps.filter(p => p.finishTime == null && p.readyAt <= time);
+
+		if (ready.length === 0) {
+			const next = nextReadyTime(ps, time);
+			if (!Number.isFinite(next)) break;
+			gantt.push({ process: "Idle", start: time, end: next });
+			time = next;
+			lastRun = null;
+			continue;
+		}
+
+		// Shortest next CPU burst among ready jobs (less what aging took off)
+		if (aging) ageWaitingProcesses(trace, ready, time, aging, "burst", effectiveBurst);
+		ready.sort((a, b) => effectiveBurst(a) - effectiveBurst(b));
+		const p = ready[0];
+		trace.dispatch(time, p);
+
+		const cost = switchCostFor(lastRun, p.name, options);
+		if (cost) {
+			gantt.push(switchSegment(lastRun, p.name, time, cost));
+			time += cost;
+		}
+
+		const start = time;
+		const end = start + p.burstLeft;
+		lastRun = p.name;
+		gantt.push({ process: p.name, start, end });
+		if (p.startTime == null) p.startTime = start;
+
+		time = end;
+		p.remaining -= p.burstLeft;
+		if (finishCpuBurst(p, time, io)) completed++;
+		trace.release(time, p);
+		p.ageLevel = 0;
+	}
+
+	return { gantt, metrics: computeProcessMetrics(ps), io, events: trace.events };
+}
+
+function srtf(ps, options = {}) {
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(resetRunState);
+
+	let time = 0;
+	let completed = 0;
+	const n = ps.length;
+	const gantt = [];
+	const io = [];
+	let lastRun = null;
+	const trace = createEventTrace(ps, readyInOrder(ps, MULTICORE_POLICIES.srtf.compare));
+
+	let currentProcess = null;
+	let segmentStart = 0;
+
+	while (completed < n) {
+		const ready = ps.filter(p => p.finishTime == null && p.readyAt <= time);
+
+		if (ready.length === 0) {
+			// CPU idle
+			if (currentProcess !== "Idle") {
+				if (currentProcess !== null) {
+					gantt.push({ process: currentProcess, start: segmentStart, end: time });
+				}
+				currentProcess = "Idle";
+				segmentStart = time;
+			}
+			time++;
+			lastRun = null;
+			continue;
+		}
+
+		// On equal remaining time the running process keeps the CPU
+		const running = trace.running();
+		ready.sort((a, b) => a.burstLeft - b.burstLeft || (b === running) - (a === running));
+		const p = ready[0];
+
+		if (currentProcess !== p.name) {
+			if (currentProcess !== null) {
+				gantt.push({ process: currentProcess, start: segmentStart, end: time });
+			}
+			const preempted = trace.running();
+			if (preempted) trace.stop(time, "preempt", preempted, { by: p.name });
+			trace.dispatch(time, p);
+			const cost = switchCostFor(lastRun, p.name, options);
+			if (cost) {
+				gantt.push(switchSegment(lastRun, p.name, time, cost));
+				time += cost;
+			}
+			currentProcess = p.name;
+			segmentStart = time;
+			if (p.startTime == null) p.startTime = time;
+		}
+
+		p.remaining--;
+		p.burstLeft--;
+		time++;
+		lastRun = p.name;
+
+		if (p.burstLeft === 0) {
+			if (finishCpuBurst(p, time, io)) completed++;
+			trace.release(time, p);
+			// The burst ended: close the segment so a later burst of the
+			// same process starts a new one.
+			gantt.push({ process: currentProcess, start: segmentStart, end: time });
+			currentProcess = null;
+		}
+	}
+
+	if (currentProcess !== null) {
+		gantt.push({ process: currentProcess, start: segmentStart, end: time });
+	}
+
+	return { gantt, metrics: computeProcessMetrics(ps), io, events: trace.events };
+}
+
+function priorityScheduling(ps, options = {}) {
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(resetRunState);
+
+	let time = 0;
+	let completed = 0;
+	const n = ps.length;
+	const gantt = [];
+	const io = [];
+	let lastRun = null;
+	const aging = options.agingInterval || 0;
+	// Aging stops at priority 0, the top level (lower values stay as set)
+	const effectivePriority = p => Math.max(p.priority - p.ageLevel, Math.min(p.priority, 0));
+	const trace = createEventTrace(ps, readyInOrder(ps, (a, b) => effectivePriority(a) - effectivePriority(b) || a.arrival - b.arrival));
+	let current = null;
+	let segmentStart = 0;
+
+	while (completed < n) {
+		const ready = ps.filter(p => p.finishTime == null && p.readyAt <= time);
+
+		if (ready.length === 0) {
+			if (current !== "Idle") {
+				if (current !== null) {
+					gantt.push({ process: current, start: segmentStart, end: time });
+				}
+				current = "Idle";
+				segmentStart = time;
+			}
+			time++;
+			lastRun = null;
+			continue;
+		}
+
+		if (aging) ageWaitingProcesses(trace, ready, time, aging, "priority", effectivePriority);
+		ready.sort((a, b) => effectivePriority(a) - effectivePriority(b));
+		const p = ready[0];
+
+		if (current !== p.name) {
+			if (current !== null) {
+				gantt.push({ process: current, start: segmentStart, end: time });
+			}
+			const preempted = trace.running();
+			if (preempted) {
+				trace.stop(time, "preempt", preempted, { by: p.name });
+				preempted.ageLevel = 0;
+				preempted.agingFrom = time;
+			}
+			trace.dispatch(time, p);
+			const cost = switchCostFor(lastRun, p.name, options);
+			if (cost) {
+				gantt.push(switchSegment(lastRun, p.name, time, cost));
+				time += cost;
+			}
+			current = p.name;
+			segmentStart = time;
+			if (p.startTime == null) p.startTime = time;
+		}
+
+		p.remaining--;
+		p.burstLeft--;
+		time++;
+		lastRun = p.name;
+
+		if (p.burstLeft === 0) {
+			if (finishCpuBurst(p, time, io)) completed++;
+			trace.release(time, p);
+			p.ageLevel = 0;
+			gantt.push({ process: current, start: segmentStart, end: time });
+			current = null;
+		}
+	}
+
+	if (current !== null) {
+		gantt.push({ process: current, start: segmentStart, end: time });
+	}
+
+	return { gantt, metrics: computeProcessMetrics(ps), io, events: trace.events };
+}
+
+function hrrn(ps, options = {}) {
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(resetRunState);
+
+	let time = 0;
+	let completed = 0;
+	const n = ps.length;
+	const gantt = [];
+	const io = [];
+	let lastRun = null;
+	const trace = createEventTrace(ps, readyInOrder(ps, MULTICORE_POLICIES.hrrn.compare));
+
+	while (completed < n) {
+		const ready = ps.filter(p => p.finishTime == null && p.readyAt <= time);
+
+		if (ready.length === 0) {
+			const next = nextReadyTime(ps, time);
+			if (!Number.isFinite(next)) break;
+			gantt.push({ process: "Idle", start: time, end: next });
+			time = next;
+			lastRun = null;
+			continue;
+		}
+
+		// Response ratio of the next CPU burst, counting the time waited
+		// since the process last became ready.
+		ready.forEach(p => {
+			const waiting = time - p.readyAt;
+			p.RR = (waiting + p.burstLeft) / p.burstLeft;
+		});
+
+		ready.sort((a, b) => b.RR - a.RR);
+		const p = ready[0];
+		trace.dispatch(time, p);
+
+		const cost = switchCostFor(lastRun, p.name, options);
+		if (cost) {
+			gantt.push(switchSegment(lastRun, p.name, time, cost));
+			time += cost;
+		}
+
+		const start = time;
+		const end = start + p.burstLeft;
+		lastRun = p.name;
+		if (p.startTime == null) p.startTime = start;
+		gantt.push({ process: p.name, start, end });
+
+		time = end;
+		p.remaining -= p.burstLeft;
+		if (finishCpuBurst(p, time, io)) completed++;
+		trace.release(time, p);
+	}
+
+	return { gantt, metrics: computeProcessMetrics(ps), io, events: trace.events };
+}
+
+function rr(ps, quantum, options = {}) {
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(p => {
+		resetRunState(p);
+		p.queued = false;
+	});
+
+	let time = 0;
+	const gantt = [];
+	const io = [];
+	const queue = [];
+	const n = ps.length;
+	let completed = 0;
+	let lastRun = null;
+	const trace = createEventTrace(ps, (t, running) => [...queue, ...notYetQueued(ps, t, running)]);
+
+	// Append every process that has arrived or returned from I/O by `time`
+	// to the back of the queue, in the order they became ready.
+	function admit() {
+		ps.filter(p => !p.queued && p.finishTime == null && p.readyAt <= time)
+			.sort((a, b) => a.readyAt - b.readyAt)
+			.forEach(p => {
+				p.queued = true;
+				queue.push(p);
+			});
+	}
+
+	while (completed < n) {
+		trace.admit(time);
+		admit();
+
+		if (queue.length === 0) {
+			const next = nextReadyTime(ps, time);
+			if (!Number.isFinite(next)) break;
+			gantt.push({ process: "Idle", start: time, end: next });
+			time = next;
+			lastRun = null;
+			continue;
+		}
+
+		const p = queue.shift();
+		trace.dispatch(time, p);
+		const cost = switchCostFor(lastRun, p.name, options);
+		if (cost) {
+			gantt.push(switchSegment(lastRun, p.name, time, cost));
+			time += cost;
+		}
+		lastRun = p.name;
+		if (p.startTime == null) p.startTime = time;
+
+		const exec = Math.min(quantum, p.burstLeft);
+		gantt.push({ process: p.name, start: time, end: time + exec });
+
+		time += exec;
+		p.remaining -= exec;
+		p.burstLeft -= exec;
+		// Record arrivals during the slice before the queue changes
+		trace.admit(time);
+
+		const burstDone = p.burstLeft === 0;
+		if (burstDone) {
+			p.queued = false;
+			if (finishCpuBurst(p, time, io)) completed++;
+			trace.release(time, p);
+		}
+
+		// Processes that arrived during the slice queue up before the
+		// preempted one, as in the textbook RR rule.
+		admit();
+		if (!burstDone) {
+			queue.push(p);
+			trace.stop(time, "expire", p, { quantum });
+		}
+	}
+
+	return { gantt, metrics: computeProcessMetrics(ps), io, events: trace.events };
+}
+
+// Build the per-level quantum list for MLFQ. Missing entries double the
+// quantum of the level above, so "2" with 3 levels becomes [2, 4, 8].
+function buildMlfqQuanta(levels, quanta) {
+	const list = [];
+	for (let i = 0; i < levels; i++) {
+		const q = Array.isArray(quanta) ? parseInt(quanta[i], 10) : NaN;
+		if (Number.isFinite(q) && q > 0) list.push(q);
+		else list.push(i === 0 ? 2 : list[i - 1] * 2);
+	}
+	return list;
+}
+
+function mlfq(ps, options = {}) {
+	const levels = Math.max(1, parseInt(options.levels, 10) || MLFQ_DEFAULTS.levels);
+	const quanta = buildMlfqQuanta(levels, options.quanta);
+	const boostInterval = options.boostInterval > 0 ? options.boostInterval : 0;
+
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(p => {
+		resetRunState(p);
+		p.level = 0;
+		p.used = 0;
+		p.queued = false;
+	});
+
+	let time = 0;
+	const gantt = [];
+	const io = [];
+	const boosts = [];
+	const queues = Array.from({ length: levels }, () => []);
+	const n = ps.length;
+	let completed = 0;
+	let current = null;
+	let segment = null;
+	let nextBoost = boostInterval;
+	let lastRun = null;
+	const trace = createEventTrace(ps, (t, running) => [...queues.flat(), ...notYetQueued(ps, t, running)]);
+
+	const snapshotQueues = () => queues.map(q => q.map(p => p.name));
+
+	// Close the open Gantt segment at the current time, remembering why the
+	// process left the CPU so the explanation can talk about it.
+	function closeSegment(reason, extra = {}) {
+		if (!segment) return;
+		segment.end = time;
+		segment.reason = reason;
+		Object.assign(segment, extra);
+		gantt.push(segment);
+		segment = null;
+	}
+
+	while (completed < n) {
+		// Periodic priority boost: every job (including the running one and
+		// jobs blocked on I/O) goes back to the topmost queue with a fresh
+		// allotment.
+		if (boostInterval && time >= nextBoost) {
+			while (nextBoost <= time) nextBoost += boostInterval;
+			const moved = ps.filter(p => p.finishTime == null && p.level > 0 && p.arrival <= time).map(p => p.name);
+			if (current) closeSegment("boost");
+			const order = queues.reduce((all, q) => all.concat(q), []);
+			if (current) order.push(current);
+			queues.forEach(q => { q.length = 0; });
+			ps.forEach(p => {
+				p.level = 0;
+				p.used = 0;
+			});
+			order.forEach(p => {
+				p.queued = true;
+				queues[0].push(p);
+			});
+			if (current) trace.stop(time, "boost", current, { moved });
+			else if (moved.length) trace.note(time, "boost", null, { moved });
+			current = null;
+			if (order.length || moved.length) boosts.push({ time, moved });
+		}
+
+		// New arrivals enter Q0; a job returning from I/O re-enters the
+		// level it left, since it gave up the CPU before its quantum expired.
+		ps.filter(p => !p.queued && p !== current && p.finishTime == null && p.readyAt <= time)
+			.sort((a, b) => a.readyAt - b.readyAt)
+			.forEach(p => {
+				p.queued = true;
+				queues[p.level].push(p);
+			});
+		trace.admit(time);
+
+		// A job arriving in (or boosted into) a higher queue preempts the
+		// running job; the preempted job keeps its level and allotment.
+		if (current && queues.slice(0, current.level).some(q => q.length > 0)) {
+			closeSegment("preempted");
+			trace.admit(time);
+			current.queued = true;
+			queues[current.level].push(current);
+			trace.stop(time, "preempt", current, { level: current.level });
+			current = null;
+		}
+
+		if (!current) {
+			const lvl = queues.findIndex(q => q.length > 0);
+			if (lvl === -1) {
+				if (!segment) {
+					segment = { process: "Idle", start: time, end: time };
+				}
+				time++;
+				lastRun = null;
+				continue;
+			}
+			if (segment) closeSegment("arrival");
+
+			current = queues[lvl].shift();
+			current.queued = false;
+			trace.dispatch(time, current, { level: lvl });
+			const boost = boosts.length && boosts[boosts.length - 1].time === time ? boosts[boosts.length - 1] : null;
+			const cost = switchCostFor(lastRun, current.name, options);
+			if (cost) {
+				gantt.push(switchSegment(lastRun, current.name, time, cost));
+				time += cost;
+			}
+			if (current.startTime == null) current.startTime = time;
+			segment = {
+				process: current.name,
+				start: time,
+				end: time,
+				level: lvl,
+				quantum: quanta[lvl],
+				usedBefore: current.used,
+				queues: snapshotQueues(),
+				boost
+			};
+		}
+
+		current.remaining--;
+		current.burstLeft--;
+		current.used++;
+		time++;
+		lastRun = current.name;
+
+		if (current.burstLeft === 0) {
+			const done = finishCpuBurst(current, time, io);
+			if (done) completed++;
+			current.queued = false;
+			current.used = 0;
+			closeSegment(done ? "completed" : "io");
+			trace.release(time, current);
+			current = null;
+		} else if (current.used >= quanta[current.level]) {
+			const fromLevel = current.level;
+			const toLevel = Math.min(fromLevel + 1, levels - 1);
+			current.level = toLevel;
+			current.used = 0;
+			closeSegment(toLevel > fromLevel ? "demoted" : "expired", { toLevel });
+			trace.admit(time);
+			current.queued = true;
+			queues[toLevel].push(current);
+			trace.stop(time, "expire", current, { quantum: quanta[fromLevel], level: fromLevel, toLevel });
+			current = null;
+		}
+	}
+
+	if (segment) closeSegment("completed");
+
+	return { gantt, metrics: computeProcessMetrics(ps), io, boosts, quanta, events: trace.events };
+}
+
+// Pick the next process inside one Multilevel Queue class according to the
+// class's own algorithm. `cls.current` is the job the class was running the
+// last time it owned the CPU (non-preemptive classes resume it).
+function selectFromMlqClass(cls, quantum) {
+	const { queue } = cls;
+	if (cls.current) {
+		if (cls.algo === "fcfs" || cls.algo === "sjf") return cls.current;
+		if (cls.algo === "rr") {
+			if (cls.used < quantum || queue.length === 0) {
+				if (cls.used >= quantum) cls.used = 0;
+				return cls.current;
+			}
+			queue.push(cls.current);
+			cls.current = null;
+			cls.used = 0;
+			cls.rotated = true;
+		} else if (cls.algo === "priority") {
+			const better = queue.find(p => p.priority < cls.current.priority);
+			if (!better) return cls.current;
+			queue.push(cls.current);
+			cls.current = null;
+		}
+	}
+
+	if (queue.length === 0) return null;
+	let pick = queue[0];
+	if (cls.algo === "sjf") {
+		queue.forEach(p => { if (p.burstLeft < pick.burstLeft) pick = p; });
+	} else if (cls.algo === "priority") {
+		queue.forEach(p => { if (p.priority < pick.priority) pick = p; });
+	}
+	queue.splice(queue.indexOf(pick), 1);
+	cls.current = pick;
+	cls.used = 0;
+	return pick;
+}
+
+function mlq(ps, options = {}) {
+	const algorithms = { ...MLQ_DEFAULTS.algorithms, ...(options.algorithms || {}) };
+	const shares = { ...MLQ_DEFAULTS.shares, ...(options.shares || {}) };
+	const quantum = options.quantum > 0 ? options.quantum : MLQ_DEFAULTS.quantum;
+	const policy = options.policy === "slice" ? "slice" : "fixed";
+	const cycle = options.cycle > 0 ? options.cycle : MLQ_DEFAULTS.cycle;
+
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(p => {
+		resetRunState(p);
+		p.queued = false;
+	});
+
+	const classes = MLQ_CLASSES.map(key => ({
+		key,
+		algo: MLQ_CLASS_ALGOS[algorithms[key]] ? algorithms[key] : "fcfs",
+		slice: Math.max(0, Math.round(cycle * (shares[key] || 0) / 100)),
+		queue: [],
+		current: null,
+		used: 0,
+		rotated: false
+	}));
+	const hasWork = cls => cls.current != null || cls.queue.length > 0;
+
+	let time = 0;
+	const gantt = [];
+	const io = [];
+	const n = ps.length;
+	let completed = 0;
+	let segment = null;
+	let activeClass = 0;
+	let sliceUsed = 0;
+	let lastRun = null;
+	// Each class's queue, with the job it was running when it lost the CPU first
+	const trace = createEventTrace(ps, (t, running) => [
+		...classes.flatMap(c => [c.current, ...c.queue].filter(p => p && p !== running)),
+		...notYetQueued(ps, t, running)
+	]);
+
+	function closeSegment(reason) {
+		if (!segment) return;
+		segment.end = time;
+		segment.reason = reason;
+		gantt.push(segment);
+		segment = null;
+	}
+
+	while (completed < n) {
+		// Arrivals and returns from I/O join the back of their class queue
+		ps.filter(p => !p.queued && p.finishTime == null && p.readyAt <= time)
+			.sort((a, b) => a.readyAt - b.readyAt)
+			.forEach(p => {
+				p.queued = true;
+				classes[MLQ_CLASSES.indexOf(p.queueClass)].queue.push(p);
+			});
+		trace.admit(time);
+
+		// Inter-queue policy: decide which class owns the CPU for this tick
+		let clsIndex = -1;
+		let sliceSwitched = false;
+		if (policy === "fixed") {
+			clsIndex = classes.findIndex(hasWork);
+		} else {
+			const current = classes[activeClass];
+			if (hasWork(current) && sliceUsed < current.slice) {
+				clsIndex = activeClass;
+			} else {
+				for (let i = 1; i <= classes.length; i++) {
+					const next = (activeClass + i) % classes.length;
+					if (hasWork(classes[next]) && classes[next].slice > 0) {
+						clsIndex = next;
+						break;
+					}
+				}
+				// Every class with work has a 0% share: fall back to fixed priority
+				if (clsIndex === -1) clsIndex = classes.findIndex(hasWork);
+				if (clsIndex !== -1) {
+					sliceSwitched = clsIndex !== activeClass;
+					activeClass = clsIndex;
+					sliceUsed = 0;
+				}
+			}
+		}
+
+		if (clsIndex === -1) {
+			if (!segment || segment.process !== "Idle") {
+				closeSegment("idle");
+				segment = { process: "Idle", start: time, end: time };
+			}
+			time++;
+			lastRun = null;
+			continue;
+		}
+
+		const cls = classes[clsIndex];
+		const p = selectFromMlqClass(cls, quantum);
+
+		if (!segment || segment.process !== p.name || cls.rotated || sliceSwitched) {
+			const reason = segment && segment.queueClass && segment.queueClass !== cls.key
+				? (policy === "fixed" ? "class-preempted" : "slice-expired")
+				: "switch";
+			closeSegment(reason);
+			const previous = trace.running();
+			if (previous && previous !== p) {
+				const expired = reason === "slice-expired" || (reason === "switch" && cls.rotated);
+				trace.stop(time, expired ? "expire" : "preempt", previous, reason === "slice-expired" ? { slice: true } : { by: p.name });
+			}
+			if (previous !== p) trace.dispatch(time, p, { queueClass: cls.key });
+			const cost = switchCostFor(lastRun, p.name, options);
+			if (cost) {
+				gantt.push(switchSegment(lastRun, p.name, time, cost));
+				time += cost;
+			}
+			if (p.startTime == null) p.startTime = time;
+			segment = {
+				process: p.name,
+				start: time,
+				end: time,
+				queueClass: cls.key,
+				classAlgo: cls.algo,
+				policy,
+				slice: policy === "slice" ? cls.slice : null,
+				queues: classes.map(c => ({
+					key: c.key,
+					algo: c.algo,
+					names: [c.current, ...c.queue].filter(Boolean).map(x => x.name)
+				}))
+			};
+			cls.rotated = false;
+		}
+
+		p.remaining--;
+		p.burstLeft--;
+		cls.used++;
+		sliceUsed++;
+		time++;
+		lastRun = p.name;
+
+		if (p.burstLeft === 0) {
+			const done = finishCpuBurst(p, time, io);
+			if (done) completed++;
+			p.queued = false;
+			cls.current = null;
+			cls.used = 0;
+			closeSegment(done ? "completed" : "io");
+			trace.release(time, p);
+		}
+	}
+
+	if (segment) closeSegment("completed");
+
+	return { gantt, metrics: computeProcessMetrics(ps), io, events: trace.events };
+}
+
+// Weight of a process for CFS: its priority is used as the nice value
+function cfsNiceOf(p) {
+	return Math.min(19, Math.max(-20, p.priority));
+}
+
+function cfsWeightOf(nice) {
+	return CFS_NICE_WEIGHTS[nice + 20];
+}
+
+// Completely Fair Scheduler. Runnable processes are kept ordered by
+// virtual runtime (the red-black tree of Linux, here a sorted array); the
+// leftmost one runs for its weighted share of the scheduling period:
+//   period = max(targetLatency, runnable × minGranularity)
+//   slice  = max(minGranularity, round(period × weight / Σ weights))
+// while its vruntime grows by 1024 / weight per time unit. The slice is
+// recomputed every time unit, so arrivals shorten it as the CPU is shared
+// by more processes. A new process starts at the current min_vruntime;
+// one returning from I/O keeps its vruntime but at least
+// min_vruntime − targetLatency / 2, so sleepers get a bounded head start.
+// Every segment records the tree it was picked from and the final slice.
+function cfs(ps, options = {}) {
+	const { targetLatency, minGranularity } = { ...CFS_DEFAULTS, ...options };
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(p => {
+		resetRunState(p);
+		p.nice = cfsNiceOf(p);
+		p.weight = cfsWeightOf(p.nice);
+		p.vruntime = null;
+		p.inTree = false;
+	});
+
+	let time = 0;
+	let completed = 0;
+	const n = ps.length;
+	const gantt = [];
+	const io = [];
+	const tree = [];
+	let lastRun = null;
+	let minVruntime = 0;
+	let seq = 0;
+	const trace = createEventTrace(ps, () => [...tree].sort((a, b) => a.vruntime - b.vruntime || a.seq - b.seq));
+
+	// min_vruntime only moves forward, following the smallest vruntime of
+	// the running process and the tree
+	const advanceMinVruntime = current => {
+		const leftmost = tree.reduce((min, q) => Math.min(min, q.vruntime), current ? current.vruntime : Infinity);
+		if (Number.isFinite(leftmost)) minVruntime = Math.max(minVruntime, leftmost);
+	};
+
+	const admit = (current = null) => {
+		ps.forEach(p => {
+			if (p === current || p.finishTime != null || p.inTree || p.readyAt > time) return;
+			p.vruntime = p.vruntime == null
+				? minVruntime
+				: Math.max(p.vruntime, minVruntime - targetLatency / 2);
+			p.seq = seq++;
+			p.inTree = true;
+			tree.push(p);
+		});
+	};
+
+	while (completed < n) {
+		admit();
+		trace.admit(time);
+		if (tree.length === 0) {
+			const next = nextReadyTime(ps, time);
+			gantt.push({ process: "Idle", start: time, end: next });
+			time = next;
+			lastRun = null;
+			continue;
+		}
+
+		tree.sort((a, b) => a.vruntime - b.vruntime || a.seq - b.seq);
+		const snapshot = tree.map(p => ({ name: p.name, vruntime: p.vruntime, nice: p.nice, weight: p.weight }));
+		const p = tree.shift();
+		p.inTree = false;
+		trace.dispatch(time, p);
+
+		const cost = switchCostFor(lastRun, p.name, options);
+		if (cost) {
+			gantt.push(switchSegment(lastRun, p.name, time, cost));
+			time += cost;
+		}
+
+		const start = time;
+		if (p.startTime == null) p.startTime = start;
+		const vruntimeBefore = p.vruntime;
+		let runnable, totalWeight, period, idealSlice, slice;
+		do {
+			time++;
+			p.remaining--;
+			p.burstLeft--;
+			p.vruntime = vruntimeBefore + ((time - start) * CFS_NICE_0_WEIGHT) / p.weight;
+			advanceMinVruntime(p);
+			admit(p);
+			trace.admit(time);
+			runnable = tree.length + 1;
+			totalWeight = tree.reduce((sum, q) => sum + q.weight, p.weight);
+			period = Math.max(targetLatency, runnable * minGranularity);
+			idealSlice = (period * p.weight) / totalWeight;
+			slice = Math.max(minGranularity, Math.round(idealSlice));
+		} while (p.burstLeft > 0 && time - start < slice);
+		lastRun = p.name;
+
+		gantt.push({
+			process: p.name,
+			start,
+			end: time,
+			tree: snapshot,
+			minVruntime,
+			nice: p.nice,
+			weight: p.weight,
+			runnable,
+			totalWeight,
+			period,
+			idealSlice,
+			slice,
+			vruntimeBefore,
+			vruntimeAfter: p.vruntime
+		});
+
+		if (p.burstLeft === 0) {
+			if (finishCpuBurst(p, time, io)) completed++;
+			trace.release(time, p);
+		} else {
+			trace.admit(time);
+			p.inTree = true;
+			tree.push(p);
+			trace.stop(time, "expire", p, { slice });
+		}
+		advanceMinVruntime(null);
+	}
+
+	return { gantt, metrics: computeProcessMetrics(ps), io, events: trace.events };
+}
+
+// Small seeded pseudo-random generator (mulberry32) returning numbers in
+// [0, 1), so lottery draws are the same across reloads and comparisons.
+function createSeededRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// Shared loop of the proportional-share schedulers. Every quantum `pick`
+// chooses among the ready processes (in arrival order) and returns
+// { process, info }, where `info` is recorded on the Gantt segment;
+// `compare` orders the ready queue in the event trace.
+// While processes run, each competing process is owed tickets / Σ tickets
+// of every time unit, which gives its expected CPU share; the achieved
+// share is the CPU time it really got over the time it was competing.
+// Both are shares of the time that process was runnable, not of the whole
+// run, so they do not add up to 100% across processes.
+function runProportionalShare(ps, pick, options = {}, compare = () => 0) {
+	const quantum = options.quantum || PROPORTIONAL_SHARE_DEFAULTS.quantum;
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(p => {
+		resetRunState(p);
+		p.competing = 0;
+		p.owed = 0;
+	});
+
+	let time = 0;
+	let completed = 0;
+	const n = ps.length;
+	const gantt = [];
+	const io = [];
+	let lastRun = null;
+	const trace = createEventTrace(ps, readyInOrder(ps, compare));
+
+	while (completed < n) {
+		const ready = ps.filter(p => p.finishTime == null && p.readyAt <= time);
+		if (ready.length === 0) {
+			const next = nextReadyTime(ps, time);
+			gantt.push({ process: "Idle", start: time, end: next });
+			time = next;
+			lastRun = null;
+			continue;
+		}
+
+		const { process: p, info } = pick(ready);
+		trace.dispatch(time, p);
+
+		const cost = switchCostFor(lastRun, p.name, options);
+		if (cost) {
+			gantt.push(switchSegment(lastRun, p.name, time, cost));
+			time += cost;
+		}
+
+		const start = time;
+		const run = Math.min(quantum, p.burstLeft);
+		if (p.startTime == null) p.startTime = start;
+		for (let t = start; t < start + run; t++) {
+			const competing = ps.filter(q => q.finishTime == null && q.readyAt <= t);
+			const total = competing.reduce((sum, q) => sum + ticketsOf(q), 0);
+			competing.forEach(q => {
+				q.competing++;
+				q.owed += ticketsOf(q) / total;
+			});
+		}
+		time += run;
+		p.remaining -= run;
+		p.burstLeft -= run;
+		lastRun = p.name;
+		gantt.push({ process: p.name, start, end: time, ...info });
+
+		if (p.burstLeft === 0) {
+			if (finishCpuBurst(p, time, io)) completed++;
+			trace.release(time, p);
+		} else {
+			trace.stop(time, "expire", p, { quantum });
+		}
+	}
+
+	const metrics = computeProcessMetrics(ps).map((m, i) => {
+		const p = ps[i];
+		return {
+			...m,
+			tickets: ticketsOf(p),
+			expectedShare: p.competing > 0 ? p.owed / p.competing : 0,
+			achievedShare: p.competing > 0 ? p.burst / p.competing : 0
+		};
+	});
+	return { gantt, metrics, io, events: trace.events };
+}
+
+// Lottery scheduling: the ready processes hold consecutive ticket ranges
+// (in arrival order) and a seeded random draw picks the winning ticket.
+function lottery(ps, options = {}) {
+	const { seed } = { ...PROPORTIONAL_SHARE_DEFAULTS, ...options };
+	const random = createSeededRandom(seed);
+	return runProportionalShare(ps, ready => {
+		const total = ready.reduce((sum, p) => sum + ticketsOf(p), 0);
+		const winning = Math.floor(random() * total);
+		let from = 0;
+		const ranges = ready.map(p => {
+			const range = { name: p.name, tickets: ticketsOf(p), from, to: from + ticketsOf(p) - 1 };
+			from += range.tickets;
+			return range;
+		});
+		const index = ranges.findIndex(r => winning >= r.from && winning <= r.to);
+		return { process: ready[index], info: { draw: { winning, total, ranges } } };
+	}, options);
+}
+
+// Stride scheduling: the ready process with the smallest pass runs and its
+// pass grows by its stride (STRIDE_CONSTANT / tickets) for every quantum.
+// A process that (re)joins the ready set starts at the smallest pass of
+// the processes already there, so time spent away earns no credit.
+function stride(ps, options = {}) {
+	const present = new Set();
+	let globalPass = 0;
+	ps.forEach(p => { p.pass = null; });
+	return runProportionalShare(ps, ready => {
+		[...present].forEach(p => {
+			if (!ready.includes(p)) present.delete(p);
+		});
+		const members = ready.filter(p => present.has(p));
+		if (members.length) globalPass = Math.max(globalPass, Math.min(...members.map(p => p.pass)));
+		ready.forEach(p => {
+			if (present.has(p)) return;
+			p.pass = Math.max(p.pass == null ? 0 : p.pass, globalPass);
+			present.add(p);
+		});
+
+		const order = [...ready].sort((a, b) => a.pass - b.pass);
+		const p = order[0];
+		const passes = order.map(q => ({
+			name: q.name,
+			tickets: ticketsOf(q),
+			stride: Math.round(STRIDE_CONSTANT / ticketsOf(q)),
+			pass: q.pass
+		}));
+		p.pass += passes[0].stride;
+		return { process: p, info: { passes, passAfter: p.pass } };
+	}, options, (a, b) => (a.pass ?? 0) - (b.pass ?? 0));
+}
+
+// =============================
+// User-defined algorithms (Web Worker sandbox)
+// =============================
+
+// The student's code runs in a Web Worker built from this source: it has
+// no access to the page, and a pick() call that does not answer in time
+// (e.g. an endless loop) is stopped by terminating the worker. The code
+// must define `function pick({ time, running, ready })`.
+const CUSTOM_WORKER_SOURCE = `
+"use strict";
+let pick = null;
+self.onmessage = event => {
+	const message = event.data;
+	try {
+		if (message.type === "load") {
+			pick = new Function(message.code + "\\nreturn typeof pick === \\"function\\" ? pick : null;")();
+			if (!pick) throw new Error("The code must define a function named pick.");
+			self.postMessage({ result: true });
+			return;
+		}
+		const choice = pick(message.context);
+		const isObject = choice !== null && typeof choice === "object";
+		const name = isObject ? choice.name : choice;
+		self.postMessage({
+			result: {
+				name: name == null ? null : String(name),
+				reason: isObject && choice.reason != null ? String(choice.reason) : ""
+			}
+		});
+	} catch (err) {
+		self.postMessage({ error: err && err.message ? err.message : String(err) });
+	}
+};
+`;
+
+// Start a worker for `code`. Every request is answered within `timeoutMs`
+// or rejected, after which the worker is gone. Returns { load, pick,
+// terminate }; load and pick return promises.
+function createPickSandbox(code, timeoutMs = CUSTOM_PICK_TIMEOUT_MS) {
+	const url = URL.createObjectURL(new Blob([CUSTOM_WORKER_SOURCE], { type: "text/javascript" }));
+	const worker = new Worker(url);
+	URL.revokeObjectURL(url);
+
+	let pending = null;
+	const settle = (error, result) => {
+		if (!pending) return;
+		const { resolve, reject, timer } = pending;
+		pending = null;
+		clearTimeout(timer);
+		if (error) reject(new Error(error));
+		else resolve(result);
+	};
+	worker.onmessage = event => settle(event.data.error, event.data.result);
+	worker.onerror = event => {
+		event.preventDefault();
+		settle(event.message || "The custom algorithm crashed.");
+	};
+
+	const request = (message, what) => new Promise((resolve, reject) => {
+		const timer = setTimeout(() => {
+			pending = null;
+			worker.terminate();
+			reject(new Error(`${what} did not return within ${timeoutMs} ms. Is there an endless loop?`));
+		}, timeoutMs);
+		pending = { resolve, reject, timer };
+		worker.postMessage(message);
+	});
+
+	return {
+		load: () => request({ type: "load", code }, "Loading the code"),
+		pick: context => request({ type: "pick", context }, `pick() at t = ${context.time}`),
+		terminate: () => worker.terminate()
+	};
+}
+
+// What pick() sees of a ready process. `burst` and `remaining` refer to
+// the current CPU burst; `waiting` is the ready-queue time so far.
+function describeForPick(p, time) {
+	let ioDone = 0;
+	for (let i = 1; i < p.phase; i += 2) ioDone += p.bursts[i];
+	return {
+		name: p.name,
+		arrival: p.arrival,
+		priority: p.priority,
+		tickets: ticketsOf(p),
+		queueClass: p.queueClass,
+		burst: p.bursts[p.phase],
+		remaining: p.burstLeft,
+		totalRemaining: p.remaining,
+		waiting: time - p.arrival - (p.burst - p.remaining) - ioDone
+	};
+}
+
+// Run a user-defined algorithm. pick() is asked every time unit in which
+// a process is ready; the ready set includes the process that ran last,
+// so returning it keeps it on the CPU. Consecutive time units of the same
+// process form one Gantt segment, which keeps the first reason given.
+// Resolves to { gantt, metrics, io }; rejects with a readable error.
+async function runCustomAlgorithm(ps, code, options = {}) {
+	if (typeof Worker === "undefined") {
+		throw new Error("This browser cannot run Web Workers, so custom algorithms are not available.");
+	}
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(resetRunState);
+
+	const sandbox = createPickSandbox(code);
+	try {
+		await sandbox.load();
+
+		let time = 0;
+		let completed = 0;
+		const n = ps.length;
+		const gantt = [];
+		const io = [];
+		let lastRun = null;
+		let segment = null;
+		const trace = createEventTrace(ps, readyInOrder(ps, (a, b) => a.readyAt - b.readyAt));
+
+		while (completed < n) {
+			const ready = ps.filter(p => p.finishTime == null && p.readyAt <= time);
+			if (ready.length === 0) {
+				const next = nextReadyTime(ps, time);
+				gantt.push({ process: "Idle", start: time, end: next });
+				time = next;
+				lastRun = null;
+				segment = null;
+				continue;
+			}
+
+			const candidates = ready.map(p => describeForPick(p, time));
+			const running = segment ? segment.process : null;
+			const choice = await sandbox.pick({ time, running, ready: candidates });
+			const p = ready.find(q => q.name === choice.name);
+			if (!p) {
+				throw new Error(`pick() at t = ${time} returned ${choice.name == null ? "nothing" : `"${choice.name}"`}, which is not a ready process (ready: ${ready.map(q => q.name).join(", ")}).`);
+			}
+
+			if (!segment || segment.process !== p.name) {
+				const pickedAt = time;
+				const preempted = trace.running();
+				if (preempted) trace.stop(time, "preempt", preempted, { by: p.name });
+				trace.dispatch(time, p);
+				const cost = switchCostFor(lastRun, p.name, options);
+				if (cost) {
+					gantt.push(switchSegment(lastRun, p.name, time, cost));
+					time += cost;
+				}
+				if (p.startTime == null) p.startTime = time;
+				segment = { process: p.name, start: time, end: time, pickedAt, running, candidates, reason: choice.reason };
+				gantt.push(segment);
+			}
+
+			time++;
+			p.remaining--;
+			p.burstLeft--;
+			segment.end = time;
+			lastRun = p.name;
+			if (p.burstLeft === 0) {
+				if (finishCpuBurst(p, time, io)) completed++;
+				trace.release(time, p);
+				segment = null;
+			}
+		}
+
+		return { gantt, metrics: computeProcessMetrics(ps), io, events: trace.events };
+	} finally {
+		sandbox.terminate();
+	}
+}
+
+// Minimal escaping for text from user code shown as HTML
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+// =============================
+// Real-time scheduling (periodic tasks)
+// =============================
+
+function gcd(a, b) {
+	return b ? gcd(b, a % b) : a;
+}
+
+// Least common multiple of all task periods
+function hyperperiodOf(tasks) {
+	return tasks.reduce((h, t) => (h / gcd(h, t.period)) * t.period, 1);
+}
+
+// Unroll the task set into the jobs released in [0, hyperperiod). Job k of
+// task T is the process "T.k", released at (k − 1) × period with an
+// absolute deadline of release + relative deadline.
+function buildPeriodicJobs(tasks) {
+	const hyperperiod = hyperperiodOf(tasks);
+	const jobs = [];
+	tasks.forEach((t, taskIndex) => {
+		for (let k = 0; k * t.period < hyperperiod; k++) {
+			const release = k * t.period;
+			const job = new Process(`${t.name}.${k + 1}`, release, t.execution, 0);
+			job.task = t.name;
+			job.taskIndex = taskIndex;
+			job.period = t.period;
+			job.relativeDeadline = t.deadline;
+			job.deadline = release + t.deadline;
+			jobs.push(job);
+		}
+	});
+	return jobs;
+}
+
+// Per-job metrics: the usual figures plus the absolute deadline and the
+// lateness (finish − deadline, negative when the job finished early).
+function computeJobMetrics(ps) {
+	return computeProcessMetrics(ps).map((m, i) => {
+		const p = ps[i];
+		return {
+			...m,
+			task: p.task,
+			release: p.arrival,
+			deadline: p.deadline,
+			finish: p.finishTime,
+			lateness: p.finishTime - p.deadline,
+			missed: p.finishTime > p.deadline
+		};
+	});
+}
+
+// Preemptive single-CPU dispatcher for periodic jobs; `compare` sorts the
+// better job first and the running job keeps the CPU on ties. A job that
+// misses its deadline still runs to completion so its lateness can be
+// measured: the part that runs after the deadline is a separate segment
+// flagged `late`, and the segment in which the deadline passes lists the
+// miss in `misses`.
+function runPeriodicJobs(ps, compare, options = {}) {
+	ps.sort((a, b) => a.arrival - b.arrival || a.taskIndex - b.taskIndex);
+	ps.forEach(resetRunState);
+
+	let time = 0;
+	let completed = 0;
+	const n = ps.length;
+	const gantt = [];
+	let lastRun = null;
+	let current = null; // running job, "Idle" or null
+	let segmentStart = 0;
+	const trace = createEventTrace(ps, readyInOrder(ps, compare));
+
+	const closeSegment = () => {
+		if (current === "Idle") {
+			gantt.push({ process: "Idle", start: segmentStart, end: time });
+		} else if (current) {
+			gantt.push({
+				process: current.name,
+				task: current.task,
+				start: segmentStart,
+				end: time,
+				late: segmentStart >= current.deadline
+			});
+		}
+		current = null;
+	};
+
+	while (completed < n) {
+		const ready = ps.filter(p => p.finishTime == null && p.arrival <= time);
+
+		if (ready.length === 0) {
+			if (current !== "Idle") {
+				closeSegment();
+				current = "Idle";
+				segmentStart = time;
+			}
+			time++;
+			lastRun = null;
+			continue;
+		}
+
+		ready.sort(compare);
+		let p = ready[0];
+		if (current && current !== "Idle" && compare(current, p) <= 0) p = current;
+
+		if (current !== p) {
+			if (current && current !== "Idle") trace.stop(time, "preempt", current, { by: p.name });
+			trace.dispatch(time, p);
+			closeSegment();
+			const cost = switchCostFor(lastRun, p.name, options);
+			if (cost) {
+				gantt.push(switchSegment(lastRun, p.name, time, cost));
+				time += cost;
+			}
+			current = p;
+			segmentStart = time;
+			if (p.startTime == null) p.startTime = time;
+		} else if (time === p.deadline) {
+			// Still unfinished at its deadline: the rest runs late
+			closeSegment();
+			current = p;
+			segmentStart = time;
+		}
+
+		p.remaining--;
+		p.burstLeft--;
+		time++;
+		lastRun = p.name;
+
+		if (p.burstLeft === 0) {
+			p.finishTime = time;
+			completed++;
+			trace.release(time, p);
+			closeSegment();
+		}
+	}
+	closeSegment();
+
+	ps.filter(p => p.finishTime > p.deadline).forEach(p => {
+		const seg = gantt.find(s => s.start < p.deadline && p.deadline <= s.end);
+		if (!seg) return;
+		seg.misses = seg.misses || [];
+		seg.misses.push({ job: p.name, task: p.task, deadline: p.deadline });
+	});
+
+	return { gantt, metrics: computeJobMetrics(ps), io: [], events: trace.events };
+}
+
+// Earliest Deadline First: dynamic priority by absolute deadline
+function edf(ps, options = {}) {
+	return runPeriodicJobs(ps, (a, b) => a.deadline - b.deadline || a.arrival - b.arrival || a.taskIndex - b.taskIndex, options);
+}
+
+// Rate-Monotonic: fixed priority by period (shorter period first)
+function rateMonotonic(ps, options = {}) {
+	return runPeriodicJobs(ps, (a, b) => a.period - b.period || a.taskIndex - b.taskIndex || a.arrival - b.arrival, options);
+}
+
+// Analytic schedulability tests for a periodic task set on one CPU, run
+// before any simulation. Each verdict is true (guaranteed), false (cannot
+// be met) or null (inconclusive: the test is only sufficient). The two
+// utilization bounds assume deadlines equal to periods. Response-time
+// analysis uses the Rate-Monotonic priority order of `rateMonotonic` and
+// is exact for deadlines up to the period:
+//   R = C_i + Σ_{j ∈ hp(i)} ⌈R / T_j⌉ · C_j, iterated to a fixed point.
+function analyzeSchedulability(tasks) {
+	const n = tasks.length;
+	const eps = 1e-9;
+	const utilization = tasks.reduce((sum, t) => sum + t.execution / t.period, 0);
+	const implicitDeadlines = tasks.every(t => t.deadline === t.period);
+	const liuLaylandBound = n * (Math.pow(2, 1 / n) - 1);
+	const hyperbolicProduct = tasks.reduce((prod, t) => prod * (t.execution / t.period + 1), 1);
+	const density = tasks.reduce((sum, t) => sum + t.execution / Math.min(t.deadline, t.period), 0);
+
+	const sufficient = (holds) => {
+		if (utilization > 1 + eps) return false;
+		if (!implicitDeadlines) return null;
+		return holds ? true : null;
+	};
+
+	const byPriority = tasks
+		.map((t, index) => ({ ...t, index }))
+		.sort((a, b) => a.period - b.period || a.index - b.index);
+	const results = new Array(n);
+	byPriority.forEach((t, rank) => {
+		const higher = byPriority.slice(0, rank);
+		const iterations = [t.execution + higher.reduce((sum, h) => sum + h.execution, 0)];
+		let response = iterations[0];
+		while (response <= t.deadline) {
+			const next = t.execution + higher.reduce((sum, h) => sum + Math.ceil(response / h.period) * h.execution, 0);
+			if (next === response) break;
+			response = next;
+			iterations.push(response);
+		}
+		results[t.index] = {
+			name: t.name,
+			period: t.period,
+			execution: t.execution,
+			deadline: t.deadline,
+			utilization: t.execution / t.period,
+			priority: rank + 1,
+			iterations,
+			response,
+			exact: t.deadline <= t.period,
+			schedulable: response <= t.deadline
+		};
+	});
+
+	let edfVerdict;
+	if (utilization > 1 + eps) edfVerdict = false;
+	else if (tasks.every(t => t.deadline >= t.period)) edfVerdict = true;
+	else edfVerdict = density <= 1 + eps ? true : null;
+
+	return {
+		n,
+		utilization,
+		implicitDeadlines,
+		liuLaylandBound,
+		hyperbolicProduct,
+		density,
+		tasks: results,
+		verdicts: {
+			liuLayland: sufficient(utilization <= liuLaylandBound + eps),
+			hyperbolic: sufficient(hyperbolicProduct <= 2 + eps),
+			responseTime: results.every(r => r.exact)
+				? results.every(r => r.schedulable)
+				: (results.some(r => r.exact && !r.schedulable) ? false : null),
+			edf: edfVerdict
+		}
+	};
+}
+
+// =============================
+// Multi-core scheduling
+// =============================
+
+// Selection rules of the single-CPU algorithms, reused per core. `compare`
+// sorts the better candidate first; ties go to the earlier arrival, as in
+// the single-CPU versions, and then keep ready-queue order.
+const MULTICORE_POLICIES = {
+	fcfs: {
+		preemptive: false,
+		compare: (a, b) => a.readyAt - b.readyAt || a.arrival - b.arrival
+	},
+	sjf: {
+		preemptive: false,
+		compare: (a, b) => a.burstLeft - b.burstLeft || a.arrival - b.arrival
+	},
+	srtf: {
+		preemptive: true,
+		compare: (a, b) => a.burstLeft - b.burstLeft || a.arrival - b.arrival
+	},
+	priority: {
+		preemptive: true,
+		compare: (a, b) => a.priority - b.priority || a.arrival - b.arrival
+	},
+	hrrn: {
+		preemptive: false,
+		compare: (a, b, time) => {
+			const ratio = p => (time - p.readyAt + p.burstLeft) / p.burstLeft;
+			return ratio(b) - ratio(a) || a.arrival - b.arrival;
+		}
+	},
+	rr: {
+		preemptive: false,
+		compare: () => 0
+	}
+};
+
+// Cores a process may run on. Affinity entries outside 0..cores-1 are
+// ignored; an affinity with no valid core leaves the process unrestricted.
+function eligibleCores(p, cores) {
+	const all = Array.from({ length: cores }, (_, i) => i);
+	if (!p.affinity) return all;
+	const allowed = p.affinity.filter(c => c < cores);
+	return allowed.length ? allowed : all;
+}
+
+// First process (by name) whose affinity does not include any of the
+// configured cores, or null when every process can run somewhere.
+function findUnschedulableAffinity(ps, cores) {
+	const p = ps.find(x => x.affinity && !x.affinity.some(c => c < cores));
+	return p ? p.name : null;
+}
+
+// Run one of the single-CPU algorithms on `options.cores` CPUs. The ready
+// queue is either shared ("global") or split per core, kept level by
+// pushing work to the least loaded core ("balance") or by letting idle
+// cores take work from the busiest one ("steal"). Gantt segments carry the
+// `core` they ran on; `queueTrace[t]` lists the queue contents at time t.
+function multiCore(ps, algoKey, options = {}) {
+	const policy = MULTICORE_POLICIES[algoKey] || MULTICORE_POLICIES.fcfs;
+	const cores = Math.max(1, parseInt(options.cores, 10) || 1);
+	const queueMode = CORE_QUEUE_MODES[options.queueMode] ? options.queueMode : "global";
+	const quantum = algoKey === "rr" && options.quantum > 0 ? options.quantum : Infinity;
+
+	ps.sort((a, b) => a.arrival - b.arrival);
+	ps.forEach(p => {
+		resetRunState(p);
+		p.queued = false;
+		p.lastCore = null;
+		p.transfer = null;
+		p.cores = eligibleCores(p, cores);
+	});
+
+	const queues = queueMode === "global" ? [[]] : Array.from({ length: cores }, () => []);
+	const queueOf = c => (queueMode === "global" ? queues[0] : queues[c]);
+	const running = new Array(cores).fill(null);
+	const used = new Array(cores).fill(0);
+	const segments = new Array(cores).fill(null);
+	// Context switches in progress: time left and the segment to open after
+	const switchLeft = new Array(cores).fill(0);
+	const pendingRun = new Array(cores).fill(null);
+	const lastRun = new Array(cores).fill(null);
+	const load = c => queues[c].length + (running[c] ? 1 : 0);
+
+	let time = 0;
+	let nextCore = 0;
+	const gantt = [];
+	const io = [];
+	const queueTrace = [];
+	const trace = createEventTrace(ps, t => [...queues.flat(), ...notYetQueued(ps, t, null)]);
+	const n = ps.length;
+	let completed = 0;
+
+	function closeSegment(c, reason) {
+		const seg = segments[c];
+		if (!seg) return;
+		seg.end = time;
+		if (reason) seg.reason = reason;
+		if (seg.end > seg.start) gantt.push(seg);
+		segments[c] = null;
+	}
+
+	function enqueue(p) {
+		p.queued = true;
+		if (queueMode === "global") {
+			queues[0].push(p);
+			return;
+		}
+		let target;
+		if (queueMode === "steal") {
+			// Work stealing keeps work local: back to the core it last ran
+			// on, new arrivals are spread round-robin over the cores.
+			if (p.lastCore != null && p.cores.includes(p.lastCore)) {
+				target = p.lastCore;
+			} else {
+				target = p.cores.find(c => c >= nextCore) ?? p.cores[0];
+				nextCore = (target + 1) % cores;
+			}
+		} else {
+			// Load balancing: least loaded allowed core, preferring the
+			// core the process last ran on when loads are equal.
+			target = p.cores.reduce((best, c) => {
+				if (load(c) < load(best)) return c;
+				if (load(c) === load(best) && c === p.lastCore) return c;
+				return best;
+			});
+		}
+		queues[target].push(p);
+	}
+
+	// Best waiting process that core `c` may run, from its own queue
+	function bestCandidate(c) {
+		const candidates = queueOf(c).filter(p => p.cores.includes(c));
+		if (!candidates.length) return null;
+		return candidates.sort((a, b) => policy.compare(a, b, time))[0];
+	}
+
+	function dispatch(c, p) {
+		const queue = queueOf(c);
+		if (queue.includes(p)) queue.splice(queue.indexOf(p), 1);
+		closeSegment(c, running[c] ? "preempted" : null);
+		running[c] = p;
+		used[c] = 0;
+		const run = {
+			process: p.name,
+			start: time,
+			end: time,
+			core: c,
+			queueMode,
+			migratedFrom: p.lastCore != null && p.lastCore !== c ? p.lastCore : null,
+			transfer: p.transfer
+		};
+		p.lastCore = c;
+		p.transfer = null;
+		trace.dispatch(time, p, { core: c });
+
+		const cost = switchCostFor(lastRun[c], p.name, options);
+		if (cost) {
+			switchLeft[c] = cost;
+			pendingRun[c] = run;
+			segments[c] = { ...switchSegment(lastRun[c], p.name, time, 0), core: c, queueMode };
+		} else {
+			startRun(c, run);
+		}
+	}
+
+	function startRun(c, run) {
+		const p = running[c];
+		if (p.startTime == null) p.startTime = time;
+		run.start = time;
+		run.end = time;
+		segments[c] = run;
+	}
+
+	// Idle cores take the best job from their queue, or steal one from
+	// the tail of the busiest other queue.
+	function fillIdleCores() {
+		for (let c = 0; c < cores; c++) {
+			if (running[c]) continue;
+			let p = bestCandidate(c);
+			if (!p && queueMode === "steal") {
+				const victims = queues.map((_, v) => v)
+					.filter(v => v !== c)
+					.sort((a, b) => queues[b].length - queues[a].length);
+				for (const v of victims) {
+					const stolen = [...queues[v]].reverse().find(x => x.cores.includes(c));
+					if (!stolen) continue;
+					queues[v].splice(queues[v].indexOf(stolen), 1);
+					queues[c].push(stolen);
+					stolen.transfer = { from: v, kind: "stolen" };
+					p = stolen;
+					break;
+				}
+			}
+			if (p) dispatch(c, p);
+		}
+	}
+
+	function requeue(c) {
+		const p = running[c];
+		running[c] = null;
+		p.queued = false;
+		enqueue(p);
+	}
+
+	while (completed < n) {
+		// Arrivals and returns from I/O, in the order they became ready
+		ps.filter(p => !p.queued && p.finishTime == null && p.readyAt <= time)
+			.sort((a, b) => a.readyAt - b.readyAt)
+			.forEach(enqueue);
+		trace.admit(time);
+
+		// Load balancing: move waiting work from the busiest queue to the
+		// least loaded core while their loads differ by two or more.
+		if (queueMode === "balance") {
+			let moved = true;
+			while (moved) {
+				moved = false;
+				const order = queues.map((_, c) => c).sort((a, b) => load(b) - load(a));
+				for (const src of order) {
+					for (const dst of [...order].reverse()) {
+						if (load(src) - load(dst) < 2) continue;
+						const p = [...queues[src]].reverse().find(x => x.cores.includes(dst));
+						if (!p) continue;
+						queues[src].splice(queues[src].indexOf(p), 1);
+						queues[dst].push(p);
+						p.transfer = { from: src, kind: "balanced" };
+						moved = true;
+						break;
+					}
+					if (moved) break;
+				}
+			}
+		}
+
+		// Round Robin: a used-up quantum sends the job to the back of its
+		// queue, unless nobody else is waiting for this core.
+		for (let c = 0; c < cores; c++) {
+			if (!running[c] || switchLeft[c] > 0 || used[c] < quantum) continue;
+			const p = running[c];
+			if (bestCandidate(c)) {
+				closeSegment(c, "quantum");
+				requeue(c);
+				trace.stop(time, "expire", p, { core: c, quantum });
+			} else {
+				closeSegment(c, "quantum");
+				used[c] = 0;
+				trace.stop(time, "expire", p, { core: c, quantum });
+				dispatch(c, p);
+			}
+		}
+
+		// Idle eligible cores are filled first, so a new arrival never
+		// preempts (and moves) a running job while a core it may use is free.
+		fillIdleCores();
+
+		// Preemptive policies: a better waiting job replaces the running
+		// one, checking the worst running job first. A job that was just
+		// switched in runs for at least one time unit.
+		if (policy.preemptive) {
+			const order = running
+				.map((p, c) => c)
+				.filter(c => running[c] && switchLeft[c] === 0 && segments[c].start < time)
+				.sort((a, b) => policy.compare(running[b], running[a], time));
+			order.forEach(c => {
+				const best = bestCandidate(c);
+				if (best && policy.compare(best, running[c], time) < 0) {
+					const prev = running[c];
+					dispatch(c, best);
+					prev.queued = false;
+					enqueue(prev);
+					trace.stop(time, "preempt", prev, { core: c, by: best.name });
+				}
+			});
+		}
+
+		// A preempted job may still fit on a core that none of the waiting
+		// jobs could use (affinity)
+		fillIdleCores();
+
+		// Idle segments for cores with nothing to run
+		for (let c = 0; c < cores; c++) {
+			if (running[c] || (segments[c] && segments[c].process === "Idle")) continue;
+			closeSegment(c, null);
+			segments[c] = { process: "Idle", start: time, end: time, core: c, queueMode };
+			lastRun[c] = null;
+		}
+
+		queueTrace[time] = queues.map(q => q.map(p => p.name));
+
+		if (running.every(p => p == null)) {
+			const next = nextReadyTime(ps, time);
+			if (!Number.isFinite(next)) break;
+			for (let t = time + 1; t < next; t++) queueTrace[t] = queueTrace[time];
+			time = next;
+			continue;
+		}
+
+		// Cores in a context switch make no progress this time unit
+		for (let c = 0; c < cores; c++) {
+			const p = running[c];
+			if (!p || switchLeft[c] > 0) continue;
+			p.remaining--;
+			p.burstLeft--;
+			used[c]++;
+			lastRun[c] = p.name;
+		}
+		time++;
+
+		for (let c = 0; c < cores; c++) {
+			const p = running[c];
+			if (p && switchLeft[c] > 0) {
+				switchLeft[c]--;
+				if (switchLeft[c] === 0) {
+					closeSegment(c, null);
+					startRun(c, pendingRun[c]);
+					pendingRun[c] = null;
+				}
+				continue;
+			}
+			if (!p || p.burstLeft > 0) continue;
+			const done = finishCpuBurst(p, time, io);
+			if (done) completed++;
+			p.queued = false;
+			running[c] = null;
+			closeSegment(c, done ? "completed" : "io");
+			trace.release(time, p, { core: c });
+		}
+	}
+
+	for (let c = 0; c < cores; c++) closeSegment(c, null);
+	gantt.sort((a, b) => a.start - b.start || a.core - b.core);
+
+	return { gantt, metrics: computeProcessMetrics(ps), io, cores, queueMode, queueTrace, events: trace.events };
+}
+
+// Number of times a process resumed on a different core than the one it
+// last ran on, summed over all processes.
+function countMigrations(gantt) {
+	const lastCore = {};
+	let migrations = 0;
+	[...gantt].sort((a, b) => a.start - b.start).forEach(seg => {
+		if (seg.process === "Idle" || seg.core == null) return;
+		if (lastCore[seg.process] != null && lastCore[seg.process] !== seg.core) migrations++;
+		lastCore[seg.process] = seg.core;
+	});
+	return migrations;
+}
+
+// Times a core changes from one process to another, whether or not the
+// switch is charged as a CS segment. The first dispatch on each core is
+// not a switch, and neither is resuming the same process after idling.
+function countContextSwitches(gantt) {
+	const lastOnCore = {};
+	let switches = 0;
+	[...gantt].sort((a, b) => a.start - b.start).forEach(seg => {
+		if (seg.process === "Idle" || seg.process === "CS") return;
+		const core = seg.core || 0;
+		if (lastOnCore[core] != null && lastOnCore[core] !== seg.process) switches++;
+		lastOnCore[core] = seg.process;
+	});
+	return switches;
+}
+
+// =============================
+// Simulation building & explanations
+// =============================
+
+// Turn a run into playback steps, each with its explanation. `options`
+// are the options the algorithm ran with (e.g. the RR quantum). The Gantt
+// chart only sets the step boundaries: who runs, who is ready (in queue
+// order) or blocked, and what happened during each step are replayed from
+// the scheduler's event trace.
+function buildSimulation(processList, result, algoKey, options = {}) {
+	if (result.cores > 1) return buildMultiCoreSimulation(processList, result, algoKey, options);
+
+	const gantt = [...result.gantt].sort((a, b) => a.start - b.start);
+	const ioSegments = result.io || [];
+	const events = result.events || [];
+	const finish = gantt.length ? gantt[gantt.length - 1].end : 0;
+	const eventsDuring = (start, end) => events.filter(ev => ev.time >= start && (ev.time < end || ev.time === finish && end === finish));
+
+	const processesByName = {};
+	processList.forEach(p => {
+		processesByName[p.name] = p;
+	});
+
+	const steps = [];
+	let currentTime = 0;
+
+	for (let i = 0; i < gantt.length; i++) {
+		const slot = gantt[i];
+
+		if (slot.start > currentTime) {
+			const idleStart = currentTime;
+			const idleEnd = slot.start;
+			const state = traceStateAt(processList, events, idleStart);
+			const idleEvents = eventsDuring(idleStart, idleEnd);
+			const explanation = createExplanationForStep({
+				isIdle: true,
+				start: idleStart,
+				end: idleEnd,
+				ready: state.ready,
+				queue: state.queue,
+				events: idleEvents,
+				completed: state.completed,
+				blocked: state.blocked,
+				running: null,
+				slot: null
+			}, algoKey, options);
+			steps.push({
+				index: steps.length,
+				start: idleStart,
+				end: idleEnd,
+				processName: "Idle",
+				isIdle: true,
+				ready: state.ready,
+				queue: state.queue,
+				events: idleEvents,
+				blocked: state.blocked,
+				completed: state.completed,
+				explanation
+			});
+			currentTime = idleEnd;
+		}
+
+		const stepStart = slot.start;
+		const stepEnd = slot.end;
+		const state = traceStateAt(processList, events, stepStart);
+		const stepEvents = eventsDuring(stepStart, stepEnd);
+		const runningProc = state.switching[0] ? null : processesByName[state.running[0]] || null;
+		const prev = gantt[i - 1];
+		const switchBefore = prev && prev.process === "CS" && prev.end === slot.start ? prev : null;
+		const explanation = createExplanationForStep({
+			isIdle: slot.process === "Idle",
+			start: stepStart,
+			end: stepEnd,
+			ready: state.ready,
+			queue: state.queue,
+			events: stepEvents,
+			blocked: state.blocked,
+			completed: state.completed,
+			running: runningProc,
+			slot,
+			switchBefore
+		}, algoKey, options);
+
+		steps.push({
+			index: steps.length,
+			start: stepStart,
+			end: stepEnd,
+			processName: slot.process,
+			isIdle: slot.process === "Idle",
+			ready: state.ready,
+			queue: state.queue,
+			events: stepEvents,
+			blocked: state.blocked,
+			completed: state.completed,
+			slot,
+			explanation
+		});
+		currentTime = stepEnd;
+	}
+
+	const summary = computeSummaryMetrics(result.metrics, gantt);
+
+	return {
+		steps,
+		gantt,
+		metrics: result.metrics,
+		summary,
+		algo: algoKey,
+		processes: processList,
+		io: ioSegments,
+		events
+	};
+}
+
+// Multi-core runs have one step per Gantt segment of every core, ordered by
+// start time and core. The ready set of a step only holds the jobs in that
+// core's queue (plus the one it runs), so the explanation compares the
+// same candidates the core chose from. Trace events that name a core go
+// to that core's step; arrivals go to the first step covering their time.
+function buildMultiCoreSimulation(processList, result, algoKey, options = {}) {
+	const gantt = [...result.gantt].sort((a, b) => a.start - b.start || a.core - b.core);
+	const ioSegments = result.io || [];
+	const queueTrace = result.queueTrace || [];
+	const events = result.events || [];
+	const finish = Math.max(0, ...gantt.map(seg => seg.end));
+	const stepEvents = gantt.map(() => []);
+	events.forEach(ev => {
+		const index = gantt.findIndex(seg =>
+			ev.time >= seg.start && (ev.time < seg.end || ev.time === finish && seg.end === finish) &&
+			(ev.core == null || ev.core === seg.core));
+		if (index >= 0) stepEvents[index].push(ev);
+	});
+
+	const processesByName = {};
+	processList.forEach(p => {
+		processesByName[p.name] = p;
+	});
+
+	const steps = gantt.map((slot, index) => {
+		const time = slot.start;
+		const state = traceStateAt(processList, events, time, result.cores);
+		const runningOnCores = state.running.map((name, c) => (state.switching[c] ? "CS" : name));
+		const queues = queueTrace[time] || [];
+		const coreQueue = queues[result.queueMode === "global" ? 0 : slot.core] || [];
+		const isIdle = slot.process === "Idle";
+		const switchBefore = gantt.find(seg => seg.process === "CS" && seg.core === slot.core && seg.end === slot.start) || null;
+		const queue = state.queue;
+		const candidates = state.ready.filter(p => p.name === slot.process || coreQueue.includes(p.name));
+		const explanation = createExplanationForStep({
+			isIdle,
+			start: slot.start,
+			end: slot.end,
+			ready: candidates,
+			queue: queue && queue.filter(name => coreQueue.includes(name)),
+			events: stepEvents[index],
+			blocked: state.blocked,
+			completed: state.completed,
+			running: processesByName[slot.process] || null,
+			slot,
+			switchBefore
+		}, algoKey, options);
+
+		return {
+			index,
+			start: slot.start,
+			end: slot.end,
+			processName: slot.process,
+			isIdle,
+			core: slot.core,
+			cores: runningOnCores,
+			coreQueues: queues,
+			ready: state.ready.filter(p => !state.running.includes(p.name)),
+			queue,
+			events: stepEvents[index],
+			blocked: state.blocked,
+			completed: state.completed,
+			slot,
+			explanation
+		};
+	});
+
+	return {
+		steps,
+		gantt,
+		metrics: result.metrics,
+		summary: computeSummaryMetrics(result.metrics, gantt),
+		algo: algoKey,
+		cores: result.cores,
+		queueMode: result.queueMode,
+		processes: processList,
+		io: ioSegments,
+		events,
+		queueTrace
+	};
+}
+
+// Trace events that take a process off its CPU
+const OFF_CPU_EVENTS = ["preempt", "expire", "boost", "block", "complete"];
+
+// State of a run at `time`, replayed from its event trace up to and
+// including the events at `time`: what each core runs (`switching` while
+// its context switch is still going on), the ready processes with the
+// running ones first and the rest in the order of the last traced queue,
+// who is blocked on I/O and who has completed. Every event stores the CPU
+// time its process has left; a running process counts down from its
+// dispatch once the switch is over, which the event that later takes it
+// off the CPU pins down. `queue` is null for runs without a trace.
+function traceStateAt(processList, events, time, cores = 1) {
+	const byName = {};
+	const left = {};
+	processList.forEach(p => {
+		byName[p.name] = p;
+		left[p.name] = { remaining: p.burst, burstLeft: (p.bursts || [p.burst])[0], phase: 0, readySince: p.arrival, ioDone: 0, io: null };
+	});
+	const runs = new Array(cores).fill(null);
+	const present = new Set();
+	const completed = [];
+	let queue = null;
+
+	for (let i = 0; i < events.length && events[i].time <= time; i++) {
+		const ev = events[i];
+		queue = ev.ready;
+		const s = left[ev.process];
+		if (!s) continue;
+		if (ev.remaining != null) {
+			s.remaining = ev.remaining;
+			s.burstLeft = ev.burstLeft;
+		}
+		const core = runs.findIndex(run => run && run.name === ev.process);
+		if (ev.type === "dispatch") runs[ev.core || 0] = { name: ev.process, index: i, remaining: ev.remaining, burstLeft: ev.burstLeft };
+		else if (core >= 0 && OFF_CPU_EVENTS.includes(ev.type)) runs[core] = null;
+
+		if (ev.type === "arrive" || ev.type === "wake") {
+			present.add(ev.process);
+			s.readySince = ev.time;
+			if (s.io) s.ioDone += s.io.until - s.io.ioStart;
+			s.io = null;
+		} else if (ev.type === "block") {
+			present.delete(ev.process);
+			s.phase++;
+			s.io = { name: ev.process, ioStart: ev.time, until: ev.until };
+		} else if (ev.type === "complete") {
+			present.delete(ev.process);
+			completed.push(ev.process);
+		}
+	}
+
+	const switching = runs.map(run => {
+		if (!run) return false;
+		const off = events.slice(run.index + 1).find(ev => ev.process === run.name && OFF_CPU_EVENTS.includes(ev.type));
+		const start = off ? off.time - (run.remaining - off.remaining) : events[run.index].time;
+		const ran = Math.max(time - start, 0);
+		left[run.name].remaining = run.remaining - ran;
+		left[run.name].burstLeft = run.burstLeft - ran;
+		return time < start;
+	});
+
+	const aging = agingAt(events, time);
+	const record = name => {
+		const p = byName[name];
+		const s = left[name];
+		const ioDone = s.ioDone + (s.io ? time - s.io.ioStart : 0);
+		const state = {
+			name,
+			arrival: p.arrival,
+			burst: p.burst,
+			priority: p.priority,
+			queueClass: p.queueClass,
+			tickets: ticketsOf(p),
+			task: p.task,
+			period: p.period,
+			deadline: p.deadline,
+			currentBurst: (p.bursts || [p.burst])[2 * s.phase],
+			burstLeft: s.burstLeft,
+			readySince: s.readySince,
+			remaining: s.remaining,
+			waiting: Math.max(time - p.arrival - (p.burst - s.remaining) - ioDone, 0)
+		};
+		return aging[name] ? { ...state, aging: aging[name] } : state;
+	};
+
+	// An arrival is sometimes traced only at the next scheduling decision,
+	// with the queue of that moment, so the snapshot can name processes that
+	// come later; only those that arrived or woke up by `time` are kept.
+	const running = runs.map(run => (run ? run.name : null));
+	const waiting = (queue || []).filter(name => present.has(name) && !running.includes(name));
+	return {
+		running,
+		switching,
+		ready: [...running.filter(Boolean), ...waiting].map(record),
+		queue,
+		blocked: processList.filter(p => left[p.name].io).map(p => ({ ...left[p.name].io, ioLeft: left[p.name].io.until - time })),
+		completed
+	};
+}
+
+// Aging of every process at `time`, replayed from the "age" events: a
+// process keeps its last level while it waits or runs, and starts over
+// once it leaves the CPU or becomes ready again.
+function agingAt(events, time) {
+	const aging = {};
+	for (const ev of events) {
+		if (ev.time > time) break;
+		if (ev.type === "age") aging[ev.process] = { key: ev.key, level: ev.level, value: ev.value };
+		else if (ev.type !== "dispatch" && ev.process) delete aging[ev.process];
+	}
+	return aging;
+}
+
+// One trace event as a sentence for the step explanation
+function formatTraceEvent(ev) {
+	const on = ev.core != null ? ` on CPU${ev.core}` : "";
+	const who = `<strong>${ev.process}</strong>`;
+	let text;
+	switch (ev.type) {
+		case "arrive": text = `${who} arrives`; break;
+		case "wake": text = `${who} returns from I/O`; break;
+		case "dispatch": text = `${who} is dispatched${on}`; break;
+		case "preempt": text = `${who} is preempted${ev.by ? ` by ${ev.by}` : ""}${on}`; break;
+		case "expire":
+			if (ev.toLevel != null) text = `${who} used up its quantum${on} (Q${ev.level} → Q${ev.toLevel})`;
+			else if (ev.slice) text = `${who}'s time slice ended${on}`;
+			else text = `${who} used up its quantum${on}`;
+			break;
+		case "block": text = `${who} starts I/O until t = ${ev.until}`; break;
+		case "complete": text = `${who} completes${on}`; break;
+		case "boost": text = `priority boost: ${(ev.moved || []).join(", ") || "every job"} back to Q0`; break;
+		case "age": text = `${who} ages to ${ev.key === "burst" ? "effective burst" : "priority"} ${ev.value}`; break;
+		default: text = `${ev.process || ""} ${ev.type}`.trim();
+	}
+	return `t = ${ev.time}: ${text} → ready queue [${ev.ready.join(", ")}]`;
+}
+
+function traceEventsHtml(events) {
+	return events && events.length
+		? `<br>🗒️ <strong>Events:</strong> ${events.map(formatTraceEvent).join("; ")}.`
+		: "";
+}
+
+// State of a simulation at any `time`, not just where a step starts (used
+// by tick-by-tick playback): who is ready (in queue order), blocked or
+// completed, and for multi-core runs what each core runs and its queue.
+function simulationStateAt(sim, time) {
+	const state = traceStateAt(sim.processes, sim.events || [], time, sim.cores || 1);
+	const frame = { ready: state.ready, queue: state.queue, blocked: state.blocked, completed: state.completed };
+	if (sim.cores > 1) {
+		frame.cores = state.running.map((name, c) => (state.switching[c] ? "CS" : name));
+		const trace = sim.queueTrace || [];
+		for (let t = Math.floor(time); t >= 0; t--) {
+			if (trace[t]) {
+				frame.coreQueues = trace[t];
+				break;
+			}
+		}
+	}
+	return frame;
+}
+
+function createExplanationForStep(step, algoKey, options = {}) {
+	const { isIdle, start, end, ready, queue, events, blocked, running, slot, switchBefore } = step;
+
+	// Find the state record for the running process inside the ready set,
+	// so we can show its waiting/remaining/burst values in formulas.
+	const runningState = running && Array.isArray(ready)
+		? ready.find(p => p.name === running.name)
+		: null;
+
+	const readySummary = ready && ready.length
+		? ready.map(p => `${p.name}(arrival=${p.arrival}, burst=${p.burst}, remaining=${p.remaining}, waiting=${p.waiting})`).join(", ")
+		: "(empty)";
+
+	// Multi-core runs: name the core and how the job got to its queue
+	const coreLabel = slot && slot.core != null ? `CPU${slot.core}` : null;
+
+	// Real-time runs: deadlines that pass during this step unmet
+	const missHtml = slot && slot.misses
+		? `<br>⏰ <strong>Deadline miss:</strong> ${slot.misses.map(m => `${m.job} is not finished at its deadline t = ${m.deadline}`).join("; ")}.`
+		: "";
+	const eventsHtml = traceEventsHtml(events);
+
+	if (slot && slot.process === "CS") {
+		const fromText = slot.from ? `saves the state of ${slot.from}` : "leaves the idle loop";
+		return `
+			<div class="step-detail">
+				<div class="step-header">🔄 Context Switch${coreLabel ? ` on ${coreLabel}` : ""}: Time ${start}–${end}</div>
+				<div class="step-decision">
+					The dispatcher ${fromText} and loads ${slot.to}. This takes ${end - start} time unit(s) of pure overhead: no process makes progress, and every ready process (including ${slot.to}) keeps waiting.${missHtml}${eventsHtml}
+				</div>
+			</div>
+		`;
+	}
+
+	if (isIdle && coreLabel) {
+		let reason;
+		if (slot.queueMode === "global") {
+			reason = `The global ready queue holds no job that may run on ${coreLabel}: every ready job is already running on another core or pinned to other cores.`;
+		} else if (slot.queueMode === "steal") {
+			reason = `${coreLabel}'s own ready queue is empty and no other core's queue has a job it is allowed to steal.`;
+		} else {
+			reason = `${coreLabel}'s own ready queue is empty and load balancing has nothing to move to it.`;
+		}
+		const ioPart = blocked && blocked.length
+			? ` Waiting for I/O: ${blocked.map(b => `${b.name} (until t = ${b.until})`).join(", ")}.`
+			: "";
+		return `
+			<div class="step-detail">
+				<div class="step-header">⏸️ ${coreLabel} Idle: Time ${start}–${end}</div>
+				<div class="step-decision">
+					${reason}${ioPart}${eventsHtml}
+				</div>
+			</div>
+		`;
+	}
+
+	if (isIdle) {
+		if ((!ready || ready.length === 0) && blocked && blocked.length) {
+			const ioList = blocked.map(b => `${b.name} (I/O until t = ${b.until})`).join(", ");
+			return `
+				<div class="step-detail">
+					<div class="step-header">⏸️ CPU Idle: Time ${start}–${end}</div>
+					<div class="step-decision">
+						Every unfinished process is blocked waiting for I/O: ${ioList}. The CPU stays idle until one of them returns to the ready queue.${eventsHtml}
+					</div>
+				</div>
+			`;
+		}
+		if (!ready || ready.length === 0) {
+			return `
+				<div class="step-detail">
+					<div class="step-header">⏸️ CPU Idle: Time ${start}–${end}</div>
+					<div class="step-decision">
+						At this time no process has arrived yet, so the CPU stays idle.${eventsHtml}
+					</div>
+				</div>
+			`;
+		}
+		return `
+			<div class="step-detail">
+				<div class="step-header">⏸️ CPU Idle: Time ${start}–${end}</div>
+				<div class="step-decision">
+					There are ready processes but the timeline shows an idle gap (e.g., between dispatches or due to modelling granularity).${eventsHtml}
+				</div>
+			</div>
+		`;
+	}
+
+	if (!running) {
+		return `
+			<div class="step-detail">
+				<div class="step-header">⚙️ Time ${start}–${end}</div>
+				<div class="step-decision">The CPU executes a process, but detailed information is not available.</div>
+			</div>
+		`;
+	}
+
+	const algorithm = getAlgorithm(algoKey);
+	const baseTitle = algorithm ? algorithm.info.title : algoKey.toUpperCase();
+
+	const explained = algorithm && algorithm.explain
+		? algorithm.explain({ start, end, ready, queue, running, runningState, slot, options })
+		: {};
+	const {
+		ruleSummary = "",
+		detailedExplanation = "",
+		formula = "",
+		ruleChunks = null,
+		decisionHtml = null
+	} = explained;
+
+	const ruleHtml = ruleChunks && ruleChunks.length
+		? ruleChunks.map((chunk, idx) => `
+			<span class="word-chunk" style="animation-delay:${(0.20 * idx).toFixed(2)}s">${chunk}</span>
+		`).join(" ")
+		: ruleSummary;
+
+	const decisionContent = decisionHtml != null ? decisionHtml : detailedExplanation;
+
+	let coreHtml = "";
+	if (coreLabel) {
+		const parts = [slot.queueMode === "global"
+			? `${coreLabel} picks from the global ready queue`
+			: `${coreLabel} picks from its own ready queue`];
+		if (slot.transfer && slot.transfer.kind === "stolen") {
+			parts.push(`${running.name} was stolen from CPU${slot.transfer.from}'s queue`);
+		} else if (slot.transfer && slot.transfer.kind === "balanced") {
+			parts.push(`load balancing moved ${running.name} here from CPU${slot.transfer.from}'s queue`);
+		}
+		if (slot.migratedFrom != null) {
+			parts.push(`${running.name} last ran on CPU${slot.migratedFrom}, so this is a migration`);
+		}
+		coreHtml = `<br>🖥️ <strong>Core:</strong> ${parts.join("; ")}.`;
+	}
+
+	return `
+		<div class="step-detail">
+			<div class="step-header">⚙️ ${baseTitle} — ${coreLabel ? `${coreLabel}, ` : ""}Time ${start}–${end}</div>
+			<div class="step-rule">📚 ${ruleHtml}</div>
+			<div class="step-decision">
+				✅ <strong>Scheduling decision:</strong> ${decisionContent}<br>
+				📊 <strong>Ready queue:</strong> [${readySummary}]${coreHtml}
+				${switchBefore ? `<br>🔄 <strong>Context switch:</strong> ${switchBefore.from ? `switching from ${switchBefore.from}` : "dispatching onto the idle CPU"} cost ${switchBefore.end - switchBefore.start} time unit(s) (t = ${switchBefore.start}–${switchBefore.end}) before ${running.name} could start.` : ""}
+				${slot && slot.late ? `<br>⚠️ <strong>Running late:</strong> ${running.name} already missed its deadline (t = ${running.deadline}) and keeps running until it completes.` : ""}${missHtml}
+				${blocked && blocked.length ? `<br>⏳ <strong>Waiting for I/O:</strong> [${blocked.map(b => `${b.name}(until t=${b.until})`).join(", ")}]` : ""}${eventsHtml}
+			</div>
+			${formula ? `<div class="step-formula">🔢 ${formula}</div>` : ""}
+		</div>
+	`;
+}
+
+// Per-algorithm explanation hooks (see registerAlgorithm). Each receives the
+// step's time range, ready set (in queue order), the traced queue behind
+// the running process, the running process and the run's options and
+// returns the rule, the decision text and the formula shown for that step.
+
+function explainFcfs({ start, ready, running }) {
+	const ruleSummary = "FCFS always chooses the process that arrived earliest among the ready processes (non-preemptive).";
+	const ruleChunks = [
+		"First-Come First-Served (FCFS):",
+		"non-preemptive,",
+		"serve ready processes strictly by arrival order."
+	];
+	let orderPart = "";
+	if (ready && ready.length) {
+		const sorted = [...ready].sort((a, b) => a.arrival - b.arrival);
+		orderPart = sorted.map(p => `${p.name}: arrival = ${p.arrival}`).join(" \u2192 ");
+	}
+	const detailedExplanation = `The scheduler chooses <strong>${running.name}</strong> because it is at the front of the arrival-time order.`;
+	const decisionHtml = `
+		It chooses
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		because it is
+		<span class="word-chunk" style="animation-delay:0.65s">the earliest-arrived process</span>
+		in the
+		<span class="word-chunk" style="animation-delay:0.90s">ready set.</span>
+	`;
+	const formula = ready && ready.length
+		? `Order by arrival time at t = ${start}: ${orderPart}. The first in this order is ${running.name}.`
+		: "Selection rule: min(arrival_time) among ready processes.";
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainSjf({ start, ready, running, runningState, options }) {
+	const aging = options && options.agingInterval > 0 ? options.agingInterval : 0;
+	const agingRule = aging ? ` With aging, every ${aging} time units of waiting take one unit off a job's effective burst.` : "";
+	const ruleSummary = "SJF (non-preemptive) always runs the job with the smallest burst time among all ready jobs." + agingRule;
+	const ruleChunks = [
+		"Shortest Job First (SJF):",
+		"non-preemptive,",
+		"pick the job with the smallest CPU burst among ready jobs."
+	];
+	if (aging) ruleChunks.push(`Aging: every ${aging} time units of waiting count one unit off the burst.`);
+	let burstsPart = "";
+	if (ready && ready.length) {
+		burstsPart = ready.map(p => `${p.name}: burst = ${p.currentBurst}${p.aging ? ` (aged to ${p.aging.value})` : ""}`).join(", ");
+	}
+	const burstShown = runningState
+		? (runningState.aging ? runningState.aging.value : runningState.currentBurst)
+		: running.burst;
+	const agedNote = runningState && runningState.aging
+		? `, its burst ${runningState.currentBurst} less ${runningState.currentBurst - runningState.aging.value} for aging`
+		: "";
+	const detailedExplanation = `<strong>${running.name}</strong> has the shortest ${aging ? "effective " : ""}CPU burst time among the ready jobs (Burst = ${burstShown}${agedNote}).`;
+	const decisionHtml = `
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		has the
+		<span class="word-chunk" style="animation-delay:0.65s">smallest ${aging ? "effective " : ""}CPU burst</span>
+		among the ready jobs
+		<span class="word-chunk" style="animation-delay:0.90s">(Burst = ${burstShown}${agedNote}).</span>
+	`;
+	const formula = ready && ready.length
+		? `Burst times at t = ${start}: ${burstsPart}. The smallest ${aging ? "effective " : ""}burst is ${burstShown}, so SJF chooses ${running.name}.`
+		: `Selection rule: pick the smallest burst time.`;
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainSrtf({ start, ready, running, runningState }) {
+	const ruleSummary = "SRTF (preemptive) always runs the process with the smallest remaining time; new short jobs may preempt the current one.";
+	const ruleChunks = [
+		"Shortest Remaining Time First (SRTF):",
+		"preemptive,",
+		"choose the job with the smallest remaining processing time;",
+		"new short jobs can preempt the current one."
+	];
+	let remPart = "";
+	if (ready && ready.length) {
+		remPart = ready.map(p => `${p.name}: remaining = ${p.burstLeft}`).join(", ");
+	}
+	const remShown = runningState ? runningState.burstLeft : (running.remaining ?? "?");
+	const detailedExplanation = `At time ${start}, <strong>${running.name}</strong> has the smallest remaining time among all ready processes (Remaining = ${remShown}).`;
+	const decisionHtml = `
+		At time ${start},
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		has the
+		<span class="word-chunk" style="animation-delay:0.65s">smallest remaining time</span>
+		among ready processes
+		<span class="word-chunk" style="animation-delay:0.90s">(Remaining = ${remShown}).</span>
+	`;
+	const formula = ready && ready.length
+		? `Remaining times at t = ${start}: ${remPart}. The smallest remaining time is ${remShown}, so SRTF runs ${running.name}.`
+		: "Selection rule: min(remaining_time) among ready processes.";
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainPriority({ start, ready, running, runningState, options }) {
+	const aging = options && options.agingInterval > 0 ? options.agingInterval : 0;
+	const agingRule = aging ? ` With aging, every ${aging} time units of waiting raise a job's priority by one.` : "";
+	const ruleSummary = "Preemptive priority scheduling always runs the ready job with the highest priority (here: smallest numeric value)." + agingRule;
+	const ruleChunks = [
+		"Preemptive priority scheduling:",
+		"always run the job with the highest priority",
+		"(here: the smallest numeric priority value)."
+	];
+	if (aging) ruleChunks.push(`Aging: every ${aging} time units of waiting raise the priority by one.`);
+	let prioPart = "";
+	if (ready && ready.length) {
+		prioPart = ready.map(p => `${p.name}: priority = ${p.priority}${p.aging ? ` (aged to ${p.aging.value})` : ""}`).join(", ");
+	}
+	const prioShown = runningState
+		? (runningState.aging ? runningState.aging.value : runningState.priority)
+		: running.priority;
+	const agedNote = runningState && runningState.aging
+		? `, raised from ${runningState.priority} by aging`
+		: "";
+	const detailedExplanation = `<strong>${running.name}</strong> has the highest priority among the ready jobs (Priority = ${prioShown}${agedNote}, smaller means higher priority).`;
+	const decisionHtml = `
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		has the
+		<span class="word-chunk" style="animation-delay:0.65s">highest priority</span>
+		among ready jobs
+		<span class="word-chunk" style="animation-delay:0.90s">(Priority = ${prioShown}${agedNote}, smaller means higher).</span>
+	`;
+	const formula = ready && ready.length
+		? `Priorities at t = ${start}: ${prioPart}. The smallest ${aging ? "effective " : ""}priority value is ${prioShown}, so the scheduler runs ${running.name}.`
+		: "Selection rule: run the job with the smallest priority value.";
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainHrrn({ start, ready, running }) {
+	let formula;
+	let decisionHtml;
+	const ruleSummary = "HRRN (non-preemptive) chooses the job with the highest response ratio RR = (Waiting + Burst) / Burst.";
+	const ruleChunks = [
+		"Highest Response Ratio Next (HRRN):",
+		"non-preemptive,",
+		"choose the job with the largest response ratio",
+		"RR = (Waiting + Burst) / Burst."
+	];
+	let chosenRR = null;
+	if (ready && ready.length) {
+		const withRR = ready.map(p => {
+			const waiting = start - p.readySince;
+			const burst = p.currentBurst;
+			const rrVal = (waiting + burst) / burst;
+			return { name: p.name, waiting, burst, rrVal };
+		});
+		withRR.sort((a, b) => b.rrVal - a.rrVal);
+		chosenRR = withRR.find(x => x.name === running.name) || withRR[0];
+	}
+	const detailedExplanation = `<strong>${running.name}</strong> has the highest response ratio among the ready processes.`;
+	if (chosenRR) {
+		decisionHtml = `
+			<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+			has the
+			<span class="word-chunk" style="animation-delay:0.65s">largest RR</span>
+			among all ready jobs
+			<span class="word-chunk" style="animation-delay:0.90s">so it is chosen.</span>
+		`;
+	}
+	if (chosenRR) {
+		const W = chosenRR.waiting;
+		const B = chosenRR.burst;
+		const RR = chosenRR.rrVal;
+		const procName = chosenRR.name;
+		const numerator = W + B;
+		formula = `
+			<div class="formula-animate formula-hrrn">
+				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 0s forwards;">
+					Step 1: RR(i) = (Waiting_i + Burst_i) / Burst_i
+				</div>
+				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 0.5s forwards;">
+					Step 2: RR(${procName}) = (<span class="term-part1">${W} + ${B}</span>) / <span class="term-part2">${B}</span>
+				</div>
+				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 1s forwards;">
+					Step 3: RR(${procName}) = <span class="term-result">${numerator}/${B}</span>
+				</div>
+				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 1.5s forwards;">
+					Step 4: RR(${procName}) ≈ <span class="term-result">${RR.toFixed(3)}</span> (largest RR, so chosen)
+				</div>
+			</div>
+		`;
+	} else {
+		formula = "RR = (Waiting + Burst) / Burst; pick the job with the largest RR.";
+	}
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainRoundRobin({ start, end, ready, queue, running, runningState, options }) {
+	const ruleSummary = "Round Robin runs each ready job for at most one time quantum, then moves it to the back of the ready queue if it is not finished.";
+	const ruleChunks = [
+		"Round Robin (RR):",
+		"time-sliced scheduling,",
+		"each job runs at most one time quantum,",
+		"then moves to the back of the ready queue."
+	];
+	const quantum = options && options.quantum > 0 ? options.quantum : "Q";
+	const slice = end - start;
+	const remBefore = runningState ? runningState.burstLeft : "R";
+	const behind = queue ? ` Behind it in the queue: [${queue.join(", ")}].` : "";
+	const detailedExplanation = `It is <strong>${running.name}</strong>'s turn in the RR queue; it runs for ${slice} time unit(s).${behind}`;
+	const decisionHtml = `
+		It is now
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		's turn in the RR queue, so it runs for
+		<span class="word-chunk" style="animation-delay:0.65s">${slice} time unit(s)</span>
+		before going to the back of the queue if not finished.${behind}
+	`;
+	const formula = `Execution this step: exec = min(quantum = ${quantum}, remaining = ${remBefore}) = ${slice}.`;
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainMlq({ start, ready, running, slot }) {
+	const ruleSummary = "Multilevel Queue keeps one ready queue per process class; an inter-queue policy picks the class, and the class's own algorithm picks the job.";
+	const ruleChunks = [
+		"Multilevel Queue (MLQ):",
+		"one ready queue per class,",
+		"the inter-queue policy picks the class,",
+		"the class's own algorithm picks the job."
+	];
+	const clsKey = slot && slot.queueClass ? slot.queueClass : running.queueClass;
+	const clsLabel = MLQ_CLASS_LABELS[clsKey] || clsKey;
+	const clsAlgo = slot && slot.classAlgo ? slot.classAlgo : "fcfs";
+	const algoLabel = MLQ_CLASS_ALGOS[clsAlgo] || clsAlgo.toUpperCase();
+	let classReason;
+	if (slot && slot.policy === "slice") {
+		classReason = `Under time slicing the ${clsLabel} class owns the CPU for its slice of ${slot.slice} time unit(s) per cycle.`;
+	} else {
+		const higher = MLQ_CLASSES.slice(0, MLQ_CLASSES.indexOf(clsKey)).map(k => MLQ_CLASS_LABELS[k]);
+		classReason = higher.length
+			? `Under fixed priority the ${clsLabel} class runs because the higher classes (${higher.join(", ")}) have no ready jobs.`
+			: `Under fixed priority the ${clsLabel} class always runs first when it has ready jobs.`;
+	}
+	let jobReason;
+	switch (clsAlgo) {
+		case "sjf":
+			jobReason = `it has the shortest burst (${running.burst}) in that queue`;
+			break;
+		case "priority":
+			jobReason = `it has the highest priority (${running.priority}) in that queue`;
+			break;
+		case "rr":
+			jobReason = "it is at the front of that queue's Round Robin rotation";
+			break;
+		default:
+			jobReason = "it arrived first among that queue's jobs";
+	}
+	const detailedExplanation = `${classReason} Inside the class (${algoLabel}), <strong>${running.name}</strong> runs because ${jobReason}.`;
+	const decisionHtml = `
+		<span class="word-chunk" style="animation-delay:0.40s">${classReason}</span>
+		Inside the class (${algoLabel}),
+		<span class="word-chunk" style="animation-delay:0.65s"><strong>${running.name}</strong></span>
+		runs because
+		<span class="word-chunk" style="animation-delay:0.90s">${jobReason}.</span>
+	`;
+	const formula = slot && Array.isArray(slot.queues)
+		? `Class queues at t = ${start}: ${slot.queues.map(q => `${MLQ_CLASS_LABELS[q.key]} (${MLQ_CLASS_ALGOS[q.algo]}): [${q.names.join(", ") || "empty"}]`).join(" · ")}.`
+		: "Selection rule: pick the class by the inter-queue policy, then the job by the class's algorithm.";
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainMlfq({ start, end, running, slot }) {
+	const ruleSummary = "MLFQ runs the front job of the highest non-empty queue; a job that uses up its quantum is demoted one level, and a periodic boost moves every job back to the top queue.";
+	const ruleChunks = [
+		"Multilevel Feedback Queue (MLFQ):",
+		"run the front job of the highest non-empty queue,",
+		"demote a job that uses its whole quantum,",
+		"periodically boost every job back to Q0."
+	];
+	const level = slot && slot.level != null ? slot.level : 0;
+	const quantum = slot && slot.quantum != null ? slot.quantum : "Q";
+	const slice = end - start;
+	const queuesPart = slot && Array.isArray(slot.queues)
+		? slot.queues.map((q, lvl) => `Q${lvl}: [${q.join(", ") || "empty"}]`).join(" · ")
+		: "";
+	const boostPart = slot && slot.boost
+		? `At t = ${slot.boost.time} a priority boost moved every job back to Q0${slot.boost.moved.length ? ` (raised: ${slot.boost.moved.join(", ")})` : ""}. `
+		: "";
+	let outcome;
+	switch (slot ? slot.reason : null) {
+		case "demoted":
+			outcome = `${running.name} used its whole quantum at Q${level}, so it is demoted to Q${slot.toLevel}.`;
+			break;
+		case "expired":
+			outcome = `${running.name} used its whole quantum at the lowest level Q${level}, so it goes to the back of Q${level}.`;
+			break;
+		case "preempted":
+			outcome = `A job arrived in a higher queue at t = ${end}, so ${running.name} is preempted and stays in Q${level}.`;
+			break;
+		case "boost":
+			outcome = `A priority boost at t = ${end} interrupts ${running.name} and moves it back to Q0.`;
+			break;
+		default:
+			outcome = `${running.name} finishes its CPU burst at t = ${end}.`;
+	}
+	const detailedExplanation = `${boostPart}<strong>${running.name}</strong> is at the front of Q${level}, the highest non-empty queue. ${outcome}`;
+	const decisionHtml = `
+		${boostPart}
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		is at the front of
+		<span class="word-chunk" style="animation-delay:0.65s">Q${level}, the highest non-empty queue.</span>
+		<span class="word-chunk" style="animation-delay:0.90s">${outcome}</span>
+	`;
+	const usedBefore = slot && slot.usedBefore ? slot.usedBefore : 0;
+	const formula = `Queue level Q${level} has quantum ${quantum}; allotment used before this step = ${usedBefore}, executed now = ${slice}.${queuesPart ? ` Queues after dispatch: ${queuesPart}.` : ""}`;
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainCfs({ start, end, running, slot }) {
+	let formula;
+	const ruleSummary = "CFS runs the runnable task with the smallest virtual runtime (the leftmost node of the red-black tree) for its weighted share of the target latency.";
+	const ruleChunks = [
+		"Completely Fair Scheduler (CFS):",
+		"run the task with the smallest vruntime (leftmost in the tree),",
+		"for a slice proportional to its weight;",
+		"vruntime grows more slowly for heavier (lower nice) tasks."
+	];
+	const fmt = v => (Number.isFinite(v) ? v.toFixed(2) : "?");
+	const treeList = slot && Array.isArray(slot.tree) ? slot.tree : [];
+	const detailedExplanation = `<strong>${running.name}</strong> is the leftmost task in the tree: it has the smallest vruntime (${fmt(slot && slot.vruntimeBefore)}).`;
+	const decisionHtml = `
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		is the
+		<span class="word-chunk" style="animation-delay:0.65s">leftmost task in the red-black tree</span>
+		with the
+		<span class="word-chunk" style="animation-delay:0.90s">smallest vruntime (${fmt(slot && slot.vruntimeBefore)}).</span>
+	`;
+	if (slot && slot.tree) {
+		const order = treeList.map((t, idx) => `${idx === 0 ? "<strong>" : ""}${t.name}: vruntime = ${fmt(t.vruntime)} (nice ${t.nice}, weight ${t.weight})${idx === 0 ? "</strong>" : ""}`).join(" \u2192 ");
+		const exec = end - start;
+		formula = `
+			<div class="formula-animate formula-cfs">
+				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 0s forwards;">
+					Step 1: tree order by vruntime at t = ${start}: ${order}
+				</div>
+				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 0.5s forwards;">
+					Step 2: with ${slot.runnable} runnable process(es) at t = ${end}: period = max(target latency, ${slot.runnable} × min granularity) = ${slot.period}
+				</div>
+				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 1s forwards;">
+					Step 3: slice = max(min granularity, round(${slot.period} × ${slot.weight} / ${slot.totalWeight} = ${slot.idealSlice.toFixed(2)})) = ${slot.slice}${exec < slot.slice ? `, but the CPU burst ends after ${exec}` : ""}
+				</div>
+				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 1.5s forwards;">
+					Step 4: vruntime(${running.name}) = ${fmt(slot.vruntimeBefore)} + ${exec} × 1024 / ${slot.weight} = <span class="term-result">${fmt(slot.vruntimeAfter)}</span>
+				</div>
+			</div>
+		`;
+	} else {
+		formula = "Selection rule: min(vruntime) among runnable tasks; vruntime += executed × 1024 / weight.";
+	}
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainLottery({ start, running, slot }) {
+	const ruleSummary = "Lottery scheduling draws a random winning ticket every quantum; the process holding it runs, so each process gets a CPU share proportional to its tickets.";
+	const ruleChunks = [
+		"Lottery scheduling:",
+		"each quantum draw a random winning ticket,",
+		"the process holding it runs;",
+		"more tickets = proportionally more CPU time."
+	];
+	const draw = slot && slot.draw;
+	const detailedExplanation = draw
+		? `<strong>${running.name}</strong> holds the winning ticket #${draw.winning} of ${draw.total}.`
+		: `<strong>${running.name}</strong> holds the winning ticket.`;
+	const decisionHtml = draw ? `
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		holds the
+		<span class="word-chunk" style="animation-delay:0.65s">winning ticket #${draw.winning}</span>
+		of
+		<span class="word-chunk" style="animation-delay:0.90s">${draw.total} tickets.</span>
+	` : null;
+	const formula = draw
+		? `Ticket ranges at t = ${start}: ${draw.ranges.map(r => `${r.name}: ${r.from}–${r.to} (${r.tickets} tickets)`).join(", ")}. The seeded draw gives ticket ${draw.winning}, which falls in ${running.name}'s range; its chance was ${(100 * (draw.ranges.find(r => r.name === running.name) || { tickets: 0 }).tickets / draw.total).toFixed(1)}%.`
+		: "Selection rule: draw a random ticket in [0, Σ tickets) and run its holder.";
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainStride({ start, ready, running, slot }) {
+	const ruleSummary = "Stride scheduling runs the ready process with the smallest pass value and then advances its pass by its stride (10000 / tickets).";
+	const ruleChunks = [
+		"Stride scheduling:",
+		"run the process with the smallest pass,",
+		"then pass += stride = 10000 / tickets;",
+		"more tickets = smaller stride = runs more often."
+	];
+	const passes = slot && slot.passes;
+	const chosen = passes ? passes[0] : null;
+	const detailedExplanation = chosen
+		? `<strong>${running.name}</strong> has the smallest pass value (${chosen.pass}).`
+		: `<strong>${running.name}</strong> has the smallest pass value.`;
+	const decisionHtml = chosen ? `
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		has the
+		<span class="word-chunk" style="animation-delay:0.65s">smallest pass value</span>
+		among ready processes
+		<span class="word-chunk" style="animation-delay:0.90s">(pass = ${chosen.pass}).</span>
+	` : null;
+	const formula = chosen
+		? `Pass values at t = ${start}: ${passes.map(q => `${q.name}: pass = ${q.pass} (stride ${q.stride}, ${q.tickets} tickets)`).join(", ")}. After this quantum pass(${running.name}) = ${chosen.pass} + ${chosen.stride} = ${slot.passAfter}.`
+		: "Selection rule: min(pass) among ready processes; then pass += stride.";
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainEdf({ start, ready, running, runningState }) {
+	const ruleSummary = "EDF always runs the ready job with the earliest absolute deadline; a newly released job with an earlier deadline preempts the running one.";
+	const ruleChunks = [
+		"Earliest Deadline First (EDF):",
+		"preemptive, dynamic priorities,",
+		"run the ready job with the earliest absolute deadline."
+	];
+	const deadlineShown = runningState ? runningState.deadline : running.deadline;
+	const detailedExplanation = `<strong>${running.name}</strong> has the earliest absolute deadline among the ready jobs (d = ${deadlineShown}).`;
+	const decisionHtml = `
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		has the
+		<span class="word-chunk" style="animation-delay:0.65s">earliest absolute deadline</span>
+		among ready jobs
+		<span class="word-chunk" style="animation-delay:0.90s">(d = ${deadlineShown}).</span>
+	`;
+	const formula = ready && ready.length
+		? `Absolute deadlines (release + relative deadline) at t = ${start}: ${ready.map(p => `${p.name}: d = ${p.deadline}`).join(", ")}. The earliest is ${deadlineShown}, so EDF runs ${running.name}.`
+		: "Selection rule: min(absolute deadline) among ready jobs.";
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainRateMonotonic({ start, ready, running, runningState }) {
+	const ruleSummary = "Rate-Monotonic gives every task a fixed priority by its period (shorter period = higher priority) and always runs the ready job of the highest-priority task.";
+	const ruleChunks = [
+		"Rate-Monotonic (RM):",
+		"preemptive, fixed priorities,",
+		"the task with the shortest period has the highest priority."
+	];
+	const periodShown = runningState ? runningState.period : running.period;
+	const detailedExplanation = `<strong>${running.name}</strong> belongs to the ready task with the shortest period (${periodShown}), so it has the highest fixed priority.`;
+	const decisionHtml = `
+		<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
+		belongs to the task with the
+		<span class="word-chunk" style="animation-delay:0.65s">shortest period</span>
+		among ready jobs
+		<span class="word-chunk" style="animation-delay:0.90s">(period = ${periodShown}).</span>
+	`;
+	const formula = ready && ready.length
+		? `Periods at t = ${start}: ${ready.map(p => `${p.name}: period = ${p.period}`).join(", ")}. The shortest period is ${periodShown}, so RM runs ${running.name}.`
+		: "Selection rule: min(period) among ready jobs.";
+	return { ruleSummary, ruleChunks, detailedExplanation, decisionHtml, formula };
+}
+
+function explainCustom({ running, slot }) {
+	const ruleSummary = "Custom algorithm: your pick() function chooses the process that runs in every time unit.";
+	const ruleChunks = [
+		"Custom algorithm:",
+		"your pick() function is called every time unit",
+		"and returns the ready process that runs next."
+	];
+	const pickedAt = slot && slot.pickedAt != null ? slot.pickedAt : slot.start;
+	const reason = slot && slot.reason ? escapeHtml(slot.reason) : "";
+	const detailedExplanation = `At t = ${pickedAt} your pick() function returned <strong>${running.name}</strong>${reason ? `, because ${reason}` : ""}. It keeps the CPU as long as pick() keeps returning it.`;
+	const candidates = slot && slot.candidates ? slot.candidates : [];
+	const formula = `pick({ time: ${pickedAt}, running: ${slot && slot.running ? `"${slot.running}"` : "null"}, ready: [${candidates.map(c => `${c.name}(remaining=${c.remaining}, waiting=${c.waiting})`).join(", ")}] }) → "${running.name}"`;
+	return { ruleSummary, ruleChunks, detailedExplanation, formula };
+}
+
+// Averages over all processes. With the Gantt chart it also reports CPU
+// utilization (useful busy time over cores × makespan), per core, the
+// migrations and the context-switch overhead. `stats` holds the mean,
+// maximum, standard deviation and 95th percentile of waiting, turnaround,
+// response and slowdown; `fairness` is Jain's index of the slowdowns.
+function computeSummaryMetrics(metrics, gantt) {
+	const coreStats = computeCpuUsage(gantt);
+	const list = metrics || [];
+	const stats = {};
+	["waiting", "turnaround", "response", "slowdown"].forEach(key => {
+		stats[key] = describeValues(list.map(m => m[key]));
+	});
+	const extended = {
+		stats,
+		throughput: coreStats.makespan > 0 ? list.length / coreStats.makespan : 0,
+		fairness: jainIndex(list.map(m => m.slowdown))
+	};
+	if (list.length === 0) {
+		return { avgWaiting: 0, avgTurnaround: 0, avgResponse: 0, avgIo: 0, ...coreStats, ...extended };
+	}
+	let totalIo = 0;
+	list.forEach(m => {
+		totalIo += m.io || 0;
+	});
+	return {
+		avgWaiting: stats.waiting.avg,
+		avgTurnaround: stats.turnaround.avg,
+		avgResponse: stats.response.avg,
+		avgIo: totalIo / list.length,
+		...coreStats,
+		...extended,
+		...computeDeadlineStats(list)
+	};
+}
+
+// Spread of one per-process metric: mean, maximum, population standard
+// deviation and 95th percentile (nearest rank)
+function describeValues(values) {
+	const n = values.length;
+	if (n === 0) return { avg: 0, max: 0, stddev: 0, p95: 0 };
+	const avg = values.reduce((sum, v) => sum + v, 0) / n;
+	const sorted = [...values].sort((a, b) => a - b);
+	return {
+		avg,
+		max: sorted[n - 1],
+		stddev: Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / n),
+		p95: sorted[Math.ceil(0.95 * n) - 1]
+	};
+}
+
+// Jain's fairness index (Σx)² / (n·Σx²): 1 when all values are equal, down
+// to 1/n when a single process accounts for everything
+function jainIndex(values) {
+	const sum = values.reduce((total, v) => total + v, 0);
+	const squares = values.reduce((total, v) => total + v * v, 0);
+	return squares > 0 ? (sum * sum) / (values.length * squares) : 1;
+}
+
+// Deadline figures for real-time runs (empty for ordinary processes)
+function computeDeadlineStats(metrics) {
+	const jobs = metrics.filter(m => m.deadline != null);
+	if (jobs.length === 0) return {};
+	const missesByTask = {};
+	jobs.forEach(m => {
+		if (m.missed) missesByTask[m.task] = (missesByTask[m.task] || 0) + 1;
+	});
+	return {
+		jobs: jobs.length,
+		deadlineMisses: jobs.filter(m => m.missed).length,
+		missesByTask,
+		maxLateness: Math.max(...jobs.map(m => m.lateness))
+	};
+}
+
+// CPU efficiency is the share of non-idle CPU time spent running
+// processes rather than switching between them.
+function computeCpuUsage(gantt) {
+	if (!Array.isArray(gantt) || gantt.length === 0) {
+		return {
+			cores: 1, makespan: 0, utilization: 0, coreUtilization: [0], migrations: 0,
+			contextSwitches: 0, switches: 0, switchTime: 0, switchOverhead: 0, cpuEfficiency: 1
+		};
+	}
+	const cores = gantt.reduce((max, seg) => Math.max(max, (seg.core || 0) + 1), 1);
+	const makespan = gantt.reduce((max, seg) => Math.max(max, seg.end), 0);
+	const busy = new Array(cores).fill(0);
+	let switches = 0;
+	let switchTime = 0;
+	gantt.forEach(seg => {
+		if (seg.process === "CS") {
+			switches++;
+			switchTime += seg.end - seg.start;
+		} else if (seg.process !== "Idle") {
+			busy[seg.core || 0] += seg.end - seg.start;
+		}
+	});
+	const total = busy.reduce((sum, b) => sum + b, 0);
+	return {
+		cores,
+		makespan,
+		utilization: makespan > 0 ? total / (cores * makespan) : 0,
+		coreUtilization: busy.map(b => (makespan > 0 ? b / makespan : 0)),
+		migrations: countMigrations(gantt),
+		contextSwitches: countContextSwitches(gantt),
+		switches,
+		switchTime,
+		switchOverhead: makespan > 0 ? switchTime / (cores * makespan) : 0,
+		cpuEfficiency: total + switchTime > 0 ? total / (total + switchTime) : 1
+	};
+}
+
+// =============================
+// Phenomenon detection
+// =============================
+
+// Replays the ready-queue snapshots of a trace. `intervals` holds, per
+// process, the [from, to) periods it spent waiting in the ready queue.
+// `bypasses` lists, per process, the dispatches of processes that became
+// ready after it while it kept waiting.
+function analyzeReadyQueue(events, finish) {
+	const intervals = {};
+	const bypasses = {};
+	const since = {};
+	const close = (name, time) => {
+		if (time > since[name]) {
+			if (!intervals[name]) intervals[name] = [];
+			intervals[name].push([since[name], time]);
+		}
+		delete since[name];
+	};
+
+	events.forEach(ev => {
+		if (ev.type === "dispatch" && since[ev.process] != null) {
+			ev.ready.forEach(name => {
+				if (since[name] != null && since[name] < since[ev.process]) {
+					if (!bypasses[name]) bypasses[name] = [];
+					bypasses[name].push({ by: ev.process, time: ev.time, core: ev.core });
+				}
+			});
+		}
+		const queued = new Set(ev.ready);
+		Object.keys(since).forEach(name => {
+			if (!queued.has(name)) close(name, ev.time);
+		});
+		ev.ready.forEach(name => {
+			if (since[name] == null) since[name] = ev.time;
+		});
+	});
+	Object.keys(since).forEach(name => close(name, finish));
+	return { intervals, bypasses };
+}
+
+// Time spent in the ready queue between `start` and `end`
+function waitedDuring(intervals, start, end) {
+	return (intervals || []).reduce((sum, [from, to]) => sum + Math.max(0, Math.min(to, end) - Math.max(from, start)), 0);
+}
+
+// Gantt segment as stored in a finding (the step it belongs to is looked
+// up by process, start and core)
+function findingSegment(seg) {
+	return { process: seg.process, start: seg.start, end: seg.end, core: seg.core || 0 };
+}
+
+const formatNames = names => names.length > 1
+	? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`
+	: names.join("");
+
+// Textbook phenomena recognized in a finished run. Each detector gets the
+// run ({ algo, options, processes, metrics, gantt, events, summary, queue })
+// and returns findings { kind, title, text, processes, segments }, where
+// `segments` are the Gantt segments that show the problem.
+const PHENOMENON_DETECTORS = [
+	{
+		// A long CPU burst holds the CPU while several short jobs wait
+		// behind it
+		kind: "convoy",
+		detect({ processes, gantt, summary, queue }) {
+			const byLeader = new Map();
+			gantt.forEach(seg => {
+				if (seg.process === "Idle" || seg.process === "CS") return;
+				const length = seg.end - seg.start;
+				const stuck = processes.filter(p => p.name !== seg.process &&
+					p.burst <= length / 2 &&
+					waitedDuring(queue.intervals[p.name], seg.start, seg.end) >= length / 2);
+				if (stuck.length < 2) return;
+				if (!byLeader.has(seg.process)) byLeader.set(seg.process, { segments: [], stuck: new Set() });
+				const entry = byLeader.get(seg.process);
+				entry.segments.push(seg);
+				stuck.forEach(p => entry.stuck.add(p.name));
+			});
+			return [...byLeader].map(([leader, { segments, stuck }]) => {
+				const names = processes.filter(p => stuck.has(p.name));
+				const held = segments.map(seg => `t = ${seg.start}–${seg.end}`).join(", ");
+				return {
+					kind: "convoy",
+					title: "Convoy effect",
+					text: `${leader} held the CPU (${held}) while ${formatNames(names.map(p => p.name))}, ` +
+						`which need only ${formatNames(names.map(p => String(p.burst)))} time units of CPU, waited behind it. ` +
+						`The short jobs' waiting drives the average waiting time up to ${summary.avgWaiting.toFixed(2)}. ` +
+						"Preempting long bursts (SRTF, Round Robin) or, for jobs that are ready together, running the short ones first (SJF) breaks the convoy.",
+					processes: [leader, ...names.map(p => p.name)],
+					segments: segments.map(findingSegment)
+				};
+			});
+		}
+	},
+	{
+		// A process is passed over again and again by jobs that became
+		// ready after it
+		kind: "starvation",
+		detect({ algo, options, metrics, gantt, summary, queue }) {
+			// Fair-share schedulers hand out small shares by design
+			if (summary.cores > 1 || ["cfs", "lottery", "stride"].includes(algo)) return [];
+			// With aging on the wait is bounded, just still long
+			const aged = AGING_ALGOS.includes(algo) && options.agingInterval > 0;
+			const picked = aged ? "picked first until aging lifts it" : "always picked first";
+			const remedy = AGING_ALGOS.includes(algo) && !aged
+				? " Aging (an Aging Interval in Setup) lifts a waiting job one level every K time units and bounds the wait."
+				: "";
+			const bound = aged
+				? ` One level per ${options.agingInterval} time units of waiting bounds the wait, though here it still came to at least twice the average.`
+				: ` With a steady stream of such jobs its waiting has no upper bound.${remedy}`;
+			const reason = {
+				sjf: `shorter jobs keep arriving and are ${picked}`,
+				srtf: "jobs with less remaining time keep arriving and are always picked first",
+				priority: `higher-priority jobs keep arriving and are ${picked}`
+			}[algo] || "later jobs keep being picked first";
+			return metrics.filter(m => {
+				const passed = queue.bypasses[m.process] || [];
+				return passed.length >= 3 && m.waiting > 0 && m.waiting >= 2 * summary.avgWaiting;
+			}).map(m => {
+				const passed = queue.bypasses[m.process];
+				const by = [...new Set(passed.map(b => b.by))];
+				const segments = passed
+					.map(b => gantt.find(seg => seg.process === b.by && seg.start === b.time))
+					.filter(Boolean);
+				return {
+					kind: "starvation",
+					title: "Starvation",
+					text: `${m.process} waited ${m.waiting} time units (average ${summary.avgWaiting.toFixed(2)}) ` +
+						`and was passed over ${passed.length} times by ${formatNames(by)}, which became ready after it: ` +
+						`${reason}.${bound}`,
+					processes: [m.process, ...by],
+					segments: segments.map(findingSegment)
+				};
+			});
+		}
+	},
+	{
+		// Round Robin quantum so long that no process ever uses it up
+		kind: "quantum-too-large",
+		detect({ algo, options, processes, gantt, events, summary }) {
+			if (algo !== "rr" || processes.length < 2 || summary.avgWaiting === 0) return [];
+			if (events.some(ev => ev.type === "expire")) return [];
+			const longest = Math.max(...processes.flatMap(p => p.bursts.filter((_, i) => i % 2 === 0)));
+			if (options.quantum < longest) return [];
+			return [{
+				kind: "quantum-too-large",
+				title: "Quantum too large",
+				text: `The quantum (${options.quantum}) is at least as long as every CPU burst (longest: ${longest}), ` +
+					"so no process ever used it up and Round Robin ran exactly like FCFS, convoys included. " +
+					"A quantum a little shorter than the typical burst keeps the response times low.",
+				processes: [],
+				segments: gantt.filter(seg => seg.process !== "Idle" && seg.process !== "CS").map(findingSegment)
+			}];
+		}
+	},
+	{
+		// Round Robin quantum so short that processes keep being switched
+		kind: "quantum-too-small",
+		detect({ algo, options, processes, gantt, events, summary }) {
+			if (algo !== "rr") return [];
+			const expired = events.filter(ev => ev.type === "expire");
+			const cpuBursts = processes.flatMap(p => p.bursts.filter((_, i) => i % 2 === 0));
+			const meanBurst = cpuBursts.reduce((sum, b) => sum + b, 0) / cpuBursts.length;
+			const costly = summary.switchOverhead >= 0.1 && expired.length >= 2 * processes.length;
+			const tiny = options.quantum * 4 <= meanBurst && expired.length >= 3 * processes.length;
+			if (!costly && !tiny) return [];
+			const overhead = summary.switchTime > 0
+				? `, spending ${(summary.switchOverhead * 100).toFixed(1)}% of the time on switch overhead`
+				: "";
+			return [{
+				kind: "quantum-too-small",
+				title: "Quantum too small",
+				text: `The quantum (${options.quantum}) is short compared with the average CPU burst (${meanBurst.toFixed(2)}): ` +
+					`quanta expired ${expired.length} times and the CPU switched processes ${summary.contextSwitches} times${overhead}. ` +
+					`Every process queues behind all the others again and again, so the average turnaround (${summary.avgTurnaround.toFixed(2)}) grows.`,
+				processes: [],
+				segments: gantt
+					.filter(seg => seg.process === "CS" || expired.some(ev => ev.process === seg.process && ev.time === seg.end))
+					.map(findingSegment)
+			}];
+		}
+	}
+];
+
+// All findings of a run (real-time runs are judged by their deadlines
+// instead)
+function detectPhenomena(run) {
+	if (!run.events || !run.metrics || run.metrics.some(m => m.deadline != null)) return [];
+	const gantt = [...run.gantt].sort((a, b) => a.start - b.start);
+	const context = {
+		...run,
+		gantt,
+		queue: analyzeReadyQueue(run.events, run.summary.makespan)
+	};
+	return PHENOMENON_DETECTORS.flatMap(detector => detector.detect(context));
+}
+
+// =============================
+// Headless API
+// =============================
+
+// Message when a process is pinned only to cores that do not exist
+function affinityError(ps, cores) {
+	const pinned = findUnschedulableAffinity(ps, cores);
+	return pinned ? `${pinned} is pinned to cores that do not exist with ${cores} cores (numbering starts at 0).` : null;
+}
+
+// Run one registered algorithm without any page. `workload` is a list of
+// process definitions ({ name, arrival, burst, priority, bursts, tickets,
+// queueClass, affinity }), or for EDF / RM a periodic task set. `options`
+// holds the algorithm's settings plus cores, queueMode, switchCost and
+// switchFromIdle, as values or as text typed into a form.
+// Returns { algo, processes, options, gantt, metrics, io, summary,
+// findings, simulation } or { error }. User-defined algorithms return a promise of
+// that, rejected when their code fails.
+function simulate(workload, algoKey, options = {}) {
+	const def = getAlgorithm(algoKey);
+	if (!def) return { error: `Unknown algorithm "${algoKey}".` };
+
+	let ps;
+	if (def.buildWorkload) {
+		const built = def.buildWorkload(workload);
+		if (built.error) return { error: built.error };
+		ps = built.processes;
+	} else {
+		if (!Array.isArray(workload) || workload.length === 0) {
+			return { error: "The workload has no processes." };
+		}
+		ps = workload.map(cloneProcess);
+	}
+
+	const algoOptions = def.normalizeOptions ? def.normalizeOptions(options) : {};
+	if (!algoOptions) return { error: def.invalidOptions || `${def.label} has invalid settings.` };
+	const runOptions = normalizeRunOptions(options);
+	if (runOptions.error) return runOptions;
+
+	const multiCoreRun = runOptions.cores > 1 && !!MULTICORE_POLICIES[def.key];
+	if (multiCoreRun) {
+		const error = affinityError(ps, runOptions.cores);
+		if (error) return { error };
+		if (algoOptions.agingInterval > 0) {
+			return { error: `Aging is only simulated on a single CPU: set the cores to 1 or the aging interval of ${def.label} to 0.` };
+		}
+	}
+
+	const settings = { ...runOptions, ...algoOptions };
+	const finish = result => {
+		const summary = computeSummaryMetrics(result.metrics, result.gantt);
+		const findings = detectPhenomena({ algo: def.key, options: settings, processes: ps, ...result, summary });
+		const simulation = buildSimulation(ps, result, def.key, settings);
+		simulation.findings = findings;
+		return {
+			algo: def.key,
+			processes: ps,
+			options: settings,
+			...result,
+			summary,
+			findings,
+			simulation
+		};
+	};
+	const result = multiCoreRun
+		? multiCore(ps, def.key, settings)
+		: def.run(ps, settings);
+	return result && typeof result.then === "function" ? result.then(finish) : finish(result);
+}
+
+// Node: require("./scheduler_core.js") gives the same API the page uses
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		simulate,
+		registerAlgorithm,
+		getAlgorithm,
+		listAlgorithms,
+		Process,
+		cloneProcess,
+		parseBurstSequence,
+		parseRealTimeTasks,
+		analyzeSchedulability,
+		computeSummaryMetrics,
+		detectPhenomena,
+		buildSimulation,
+		simulationStateAt,
+		createExplanationForStep,
+		fcfs,
+		sjf,
+		srtf,
+		priorityScheduling,
+		hrrn,
+		rr,
+		mlq,
+		mlfq,
+		cfs,
+		lottery,
+		stride,
+		edf,
+		rateMonotonic,
+		multiCore,
+		MULTICORE_POLICIES
+	};
+}
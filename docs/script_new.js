@@ -1,29 +1,12 @@
 // Process Scheduling Simulator - New UI Logic (index_new.html)
 // CPS 3250 Final Project - All English, teaching-focused visualizations
+// The algorithms, metrics and explanations come from scheduler_core.js,
+// which index.html loads first.
 
 // =============================
-// Basic data model & global state
+// Global state
 // =============================
 
-class Process {
-	constructor(name, arrival, burst, priority = 0) {
-		this.name = name || "";
-		this.arrival = parseInt(arrival, 10);
-		this.burst = parseInt(burst, 10);
-		this.priority = parseInt(priority, 10);
-
-		if (!Number.isFinite(this.arrival) || this.arrival < 0) this.arrival = 0;
-		if (!Number.isFinite(this.burst) || this.burst <= 0) this.burst = 1;
-		if (!Number.isFinite(this.priority)) this.priority = 0;
-
-		this.startTime = null;
-		this.finishTime = null;
-		this.responseTime = null;
-		this.remaining = null;
-		this.RR = null;
-	}
-}
-
 // Global process list used by the Setup / Simulate / Compare tabs
 let processes = [];
 let autoProcessCount = 1; // for auto-generated names P1, P2, ...
@@ -34,6 +17,16 @@ let currentStepIndex = 0;
 let isPlaying = false;
 let playTimer = null;
 let playSpeed = 1;
+// Playback granularity: "segment" advances one Gantt segment per step,
+// "tick" advances the clock `playTime` by `playbackTick` time units and
+// grows the current Gantt bar as it goes.
+let playbackMode = "segment";
+let playbackTick = 1;
+let playTime = 0;
+// Step whose explanation is on screen (tick playback redraws it only when
+// the clock enters a new step)
+let renderedStepIndex = -1;
+const TICK_INTERVAL_MS = 500;
 // Track whether the latest step advance was triggered by the user
 // clicking the Step button (as opposed to automatic playback).
 let lastStepUserInitiated = false;
@@ -106,18 +99,35 @@ function saveUserConfig() {
 	try {
 		const algoInput = document.querySelector("input[name='algo']:checked");
 		const algo = algoInput ? algoInput.value : null;
-		const qInput = document.getElementById("quantum");
-		const quantum = qInput ? parseInt(qInput.value, 10) || null : null;
+		const algoParams = {};
+		algorithmParamIds().forEach(id => {
+			const input = document.getElementById(id);
+			if (input) algoParams[id] = input.value;
+		});
+		const mlqOptions = normalizeMlqOptions(readMlqInputs());
+		const coreOptions = normalizeMultiCoreOptions(readCoreInputs());
+		const switchOptions = normalizeSwitchOptions(readSwitchInputs());
+		const rtInput = document.getElementById("rt-tasks");
+		const codeInput = document.getElementById("custom-code");
 
 		const data = {
 			processes: processes.map(p => ({
 				name: p.name,
 				arrival: p.arrival,
 				burst: p.burst,
-				priority: p.priority
+				priority: p.priority,
+				queueClass: p.queueClass,
+				bursts: p.bursts,
+				affinity: p.affinity,
+				tickets: p.tickets
 			})),
 			algo,
-			quantum
+			algoParams,
+			mlq: mlqOptions,
+			cores: coreOptions,
+			contextSwitch: switchOptions,
+			realTimeTasks: rtInput ? rtInput.value : null,
+			customCode: codeInput ? codeInput.value : null
 		};
 		if (typeof window !== "undefined" && window.localStorage) {
 			window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
@@ -127,6 +137,31 @@ function saveUserConfig() {
 	}
 }
 
+// Settings saved before `algoParams` existed kept the quantum, MLFQ, CFS
+// and lottery / stride values in fields of their own; map them to the
+// ids of the generated inputs.
+function legacyAlgoParams(data) {
+	const params = {};
+	const set = (id, value) => {
+		if (value != null) params[id] = String(value);
+	};
+	if (typeof data.quantum === "number") set("quantum", data.quantum);
+	if (data.mlfq && typeof data.mlfq === "object") {
+		set("mlfq-levels", data.mlfq.levels || null);
+		if (Array.isArray(data.mlfq.quanta)) set("mlfq-quanta", data.mlfq.quanta.join(", "));
+		if (typeof data.mlfq.boostInterval === "number") set("mlfq-boost", data.mlfq.boostInterval);
+	}
+	if (data.cfs && typeof data.cfs === "object") {
+		set("cfs-latency", data.cfs.targetLatency || null);
+		set("cfs-granularity", data.cfs.minGranularity || null);
+	}
+	if (data.proportionalShare && typeof data.proportionalShare === "object") {
+		set("share-quantum", data.proportionalShare.quantum || null);
+		if (typeof data.proportionalShare.seed === "number") set("share-seed", data.proportionalShare.seed);
+	}
+	return params;
+}
+
 function loadUserConfig() {
 	let raw = null;
 	try {
@@ -151,7 +186,7 @@ function loadUserConfig() {
 	}
 
 	processes = Array.isArray(data.processes)
-		? data.processes.map(p => new Process(p.name, p.arrival, p.burst, p.priority))
+		? data.processes.map(cloneProcess)
 		: [];
 
 	// Rebuild autoProcessCount based on existing names (P1, P2, ...)
@@ -167,6 +202,13 @@ function loadUserConfig() {
 
 	updateProcessTable();
 
+	// Restore the generated algorithm settings (quantum, MLFQ, CFS, ...)
+	const algoParams = data.algoParams && typeof data.algoParams === "object" ? data.algoParams : legacyAlgoParams(data);
+	algorithmParamIds().forEach(id => {
+		const input = document.getElementById(id);
+		if (input && typeof algoParams[id] === "string") input.value = algoParams[id];
+	});
+
 	// Restore algorithm choice
 	if (data.algo) {
 		const radio = document.querySelector(`input[name='algo'][value='${data.algo}']`);
@@ -176,44 +218,204 @@ function loadUserConfig() {
 		}
 	}
 
-	// Restore quantum for Round Robin
-	if (typeof data.quantum === "number") {
-		const qInput = document.getElementById("quantum");
-		if (qInput) qInput.value = String(data.quantum);
+	// Restore Multilevel Queue per-class algorithms and inter-queue policy
+	if (data.mlq && typeof data.mlq === "object") {
+		MLQ_CLASSES.forEach(key => {
+			const algoSelect = document.getElementById(`mlq-algo-${key}`);
+			const shareInput = document.getElementById(`mlq-share-${key}`);
+			if (algoSelect && data.mlq.algorithms && MLQ_CLASS_ALGOS[data.mlq.algorithms[key]]) {
+				algoSelect.value = data.mlq.algorithms[key];
+			}
+			if (shareInput && data.mlq.shares && typeof data.mlq.shares[key] === "number") {
+				shareInput.value = String(data.mlq.shares[key]);
+			}
+		});
+		const policySelect = document.getElementById("mlq-policy");
+		const quantumInput = document.getElementById("mlq-quantum");
+		const cycleInput = document.getElementById("mlq-cycle");
+		if (policySelect && data.mlq.policy) policySelect.value = data.mlq.policy;
+		if (quantumInput && data.mlq.quantum) quantumInput.value = String(data.mlq.quantum);
+		if (cycleInput && data.mlq.cycle) cycleInput.value = String(data.mlq.cycle);
+		onMlqConfigChange(false);
+	}
+
+	// Restore number of cores and ready-queue organisation
+	if (data.cores && typeof data.cores === "object") {
+		const coresInput = document.getElementById("cpu-cores");
+		const modeSelect = document.getElementById("core-queue-mode");
+		if (coresInput && data.cores.cores) coresInput.value = String(data.cores.cores);
+		if (modeSelect && CORE_QUEUE_MODES[data.cores.queueMode]) modeSelect.value = data.cores.queueMode;
+	}
+
+	// Restore context-switch cost and dispatch latency
+	if (data.contextSwitch && typeof data.contextSwitch === "object") {
+		const costInput = document.getElementById("cs-cost");
+		const idleSelect = document.getElementById("cs-from-idle");
+		if (costInput && typeof data.contextSwitch.switchCost === "number") costInput.value = String(data.contextSwitch.switchCost);
+		if (idleSelect) idleSelect.value = data.contextSwitch.switchFromIdle ? "yes" : "no";
+	}
+
+	// Restore the periodic task set used by EDF / Rate-Monotonic
+	if (typeof data.realTimeTasks === "string") {
+		const rtInput = document.getElementById("rt-tasks");
+		if (rtInput) rtInput.value = data.realTimeTasks;
+		renderSchedulabilityPanel();
+	}
+
+	// Restore the user-defined algorithm
+	if (typeof data.customCode === "string" && data.customCode.trim()) {
+		const codeInput = document.getElementById("custom-code");
+		if (codeInput) codeInput.value = data.customCode;
 	}
 }
 
 // =============================
-// Algorithm descriptions (Setup tab)
+// Setup tab settings
 // =============================
 
-const ALGO_INFO = {
-	fcfs: {
-		title: "First-Come First-Served (FCFS)",
-		text: "Non-preemptive: always runs the process that arrived earliest among the ready queue."
-	},
-	sjf: {
-		title: "Shortest Job First (SJF)",
-		text: "Non-preemptive: among all ready processes, runs the one with the smallest CPU burst time."
-	},
-	srtf: {
-		title: "Shortest Remaining Time First (SRTF)",
-		text: "Preemptive: at each moment, chooses the job with the smallest remaining time; new short jobs may preempt the current one."
-	},
-	priority: {
-		title: "Preemptive Priority Scheduling",
-		text: "Preemptive: always runs the job with the highest priority (here: the smallest numeric value)."
-	},
-	hrrn: {
-		title: "Highest Response Ratio Next (HRRN)",
-		text: "Non-preemptive: selects the job with the largest response ratio RR = (Waiting + Burst) / Burst."
-	},
-	rr: {
-		title: "Round Robin (RR)",
-		text: "Time-sliced: each ready process runs for at most one time quantum before moving to the back of the ready queue."
-	}
+// The readers below return the values as typed; scheduler_core.js
+// validates them (see normalizeRunOptions and the normalizeX functions).
+
+function readMlqInputs() {
+	const raw = { algorithms: {}, shares: {} };
+	MLQ_CLASSES.forEach(key => {
+		const algoSelect = document.getElementById(`mlq-algo-${key}`);
+		const shareInput = document.getElementById(`mlq-share-${key}`);
+		if (algoSelect) raw.algorithms[key] = algoSelect.value;
+		if (shareInput) raw.shares[key] = shareInput.value;
+	});
+	const policySelect = document.getElementById("mlq-policy");
+	const quantumInput = document.getElementById("mlq-quantum");
+	const cycleInput = document.getElementById("mlq-cycle");
+	if (policySelect) raw.policy = policySelect.value;
+	if (quantumInput) raw.quantum = quantumInput.value;
+	if (cycleInput) raw.cycle = cycleInput.value;
+	return raw;
+}
+
+function readCoreInputs() {
+	const raw = {};
+	const coresInput = document.getElementById("cpu-cores");
+	const modeSelect = document.getElementById("core-queue-mode");
+	if (coresInput) raw.cores = coresInput.value;
+	if (modeSelect) raw.queueMode = modeSelect.value;
+	return raw;
+}
+
+function readSwitchInputs() {
+	const raw = {};
+	const costInput = document.getElementById("cs-cost");
+	const idleSelect = document.getElementById("cs-from-idle");
+	if (costInput) raw.switchCost = costInput.value;
+	if (idleSelect) raw.switchFromIdle = idleSelect.value === "yes";
+	return raw;
+}
+
+function readCustomCode() {
+	const input = document.getElementById("custom-code");
+	return input ? input.value : "";
+}
+
+function readRealTimeTaskText() {
+	const input = document.getElementById("rt-tasks");
+	return input ? input.value : RT_DEFAULT_TASKS;
+}
+
+// Settings sections written in index.html: how to read their inputs and
+// what to refresh when one is shown
+const STATIC_SETTINGS = {
+	"mlq-config": { read: readMlqInputs },
+	"rt-config": { onShow: () => renderSchedulabilityPanel() },
+	"custom-config": { read: () => ({ code: readCustomCode() }) }
 };
 
+// Raw settings of one algorithm, keyed by option name
+function readAlgorithmInputs(def) {
+	const settings = def.settings;
+	if (!settings) return {};
+	if (!settings.params) {
+		const section = STATIC_SETTINGS[settings.id];
+		return section && section.read ? section.read() : {};
+	}
+	const raw = {};
+	settings.params.forEach(param => {
+		const input = document.getElementById(param.id);
+		if (input) raw[param.option] = input.value;
+	});
+	return raw;
+}
+
+// Options passed to simulate(): the algorithm's settings plus the cores
+// and context-switch settings
+function readSetupOptions(def) {
+	return { ...readCoreInputs(), ...readSwitchInputs(), ...readAlgorithmInputs(def) };
+}
+
+// Ids of all generated settings inputs (saved, restored and locked in
+// teaching mode)
+function algorithmParamIds() {
+	const ids = [];
+	listAlgorithms().forEach(def => {
+		const params = def.settings && def.settings.params;
+		if (!params) return;
+		params.forEach(param => {
+			if (!ids.includes(param.id)) ids.push(param.id);
+		});
+	});
+	return ids;
+}
+
+// Build the algorithm cards on the Setup tab from the registry
+function renderAlgorithmCards() {
+	const grid = document.getElementById("algo-grid");
+	if (!grid) return;
+	grid.innerHTML = listAlgorithms().map(def => `
+		<div class="algo-card" data-algo="${def.key}">
+			<input type="radio" id="algo-${def.key}" name="algo" value="${def.key}" onclick="onAlgoChange('${def.key}')">
+			<label for="algo-${def.key}">
+				<div class="algo-icon">${def.icon || "🧩"}</div>
+				<h3>${def.label}</h3>
+				<p>${def.subtitle || ""}</p>
+			</label>
+		</div>
+	`).join("");
+}
+
+// Build one settings section per distinct settings id that declares params.
+// Sections written in index.html are only shown and hidden.
+function renderAlgorithmSettings() {
+	const container = document.getElementById("algo-settings");
+	if (!container) return;
+	const seen = [];
+	container.innerHTML = listAlgorithms().map(def => {
+		const settings = def.settings;
+		if (!settings || !settings.params || seen.includes(settings.id)) return "";
+		seen.push(settings.id);
+		const fields = settings.params.map(param => {
+			const attrs = [
+				`id="${param.id}"`,
+				`type="${param.type || "number"}"`,
+				param.min != null ? `min="${param.min}"` : "",
+				param.max != null ? `max="${param.max}"` : "",
+				`value="${param.value}"`
+			].filter(Boolean).join(" ");
+			return `
+				<div class="form-group">
+					<label for="${param.id}">${param.label}</label>
+					<input ${attrs} class="input-field" oninput="saveUserConfig()">
+					${param.hint ? `<span class="field-hint">${param.hint}</span>` : ""}
+				</div>
+			`;
+		}).join("");
+		return `
+			<div id="${settings.id}" class="config-section" style="display:none;">
+				<span class="config-label">${settings.title}</span>
+				<div class="form-grid">${fields}</div>
+			</div>
+		`;
+	}).join("");
+}
+
 // =============================
 // Setup tab helpers (process table & examples)
 // =============================
@@ -246,13 +448,25 @@ function updateProcessTable() {
 		tr.appendChild(tdArr);
 
 		const tdBurst = document.createElement("td");
-		tdBurst.textContent = p.burst;
+		tdBurst.textContent = formatBurstSequence(p);
 		tr.appendChild(tdBurst);
 
 		const tdPrio = document.createElement("td");
 		tdPrio.textContent = p.priority;
 		tr.appendChild(tdPrio);
 
+		const tdClass = document.createElement("td");
+		tdClass.textContent = MLQ_CLASS_LABELS[p.queueClass] || p.queueClass;
+		tr.appendChild(tdClass);
+
+		const tdAffinity = document.createElement("td");
+		tdAffinity.textContent = p.affinity ? p.affinity.map(c => `CPU${c}`).join(", ") : "Any";
+		tr.appendChild(tdAffinity);
+
+		const tdTickets = document.createElement("td");
+		tdTickets.textContent = p.tickets != null ? p.tickets : `${ticketsOf(p)} (from priority)`;
+		tr.appendChild(tdTickets);
+
 		const tdActions = document.createElement("td");
 		const btn = document.createElement("button");
 		btn.className = "btn-secondary";
@@ -279,14 +493,39 @@ function addProcess() {
 	const arrivalInput = document.getElementById("arrival");
 	const burstInput = document.getElementById("burst");
 	const priorityInput = document.getElementById("priority");
+	const classInput = document.getElementById("pclass");
+	const burstsInput = document.getElementById("bursts");
+	const affinityInput = document.getElementById("affinity");
+	const ticketsInput = document.getElementById("tickets");
 
 	if (!arrivalInput || !burstInput || !priorityInput) return;
 
 	const arrival = parseInt(arrivalInput.value, 10);
 	const burst = parseInt(burstInput.value, 10);
 	const priority = parseInt(priorityInput.value, 10);
+	const burstsText = burstsInput ? burstsInput.value.trim() : "";
+	const bursts = burstsText ? parseBurstSequence(burstsText) : null;
+	const affinityText = affinityInput ? affinityInput.value.trim() : "";
+	const affinity = affinityText ? parseAffinity(affinityText) : null;
+	const ticketsText = ticketsInput ? ticketsInput.value.trim() : "";
+	const tickets = parseTickets(ticketsText);
+
+	if (burstsText && !bursts) {
+		alert("CPU / I/O bursts must be positive whole numbers alternating CPU and I/O, starting and ending with a CPU burst (e.g. 4 2 3).");
+		return;
+	}
+
+	if (affinityText && !affinity) {
+		alert("Core affinity must be a list of core numbers starting at 0 (e.g. 0, 2), or empty for any core.");
+		return;
+	}
+
+	if (ticketsText && !tickets) {
+		alert("Tickets must be a positive whole number, or empty to derive them from the priority.");
+		return;
+	}
 
-	if (!Number.isFinite(arrival) || arrival < 0 || !Number.isFinite(burst) || burst <= 0) {
+	if (!Number.isFinite(arrival) || arrival < 0 || (!bursts && (!Number.isFinite(burst) || burst <= 0))) {
 		alert("Please enter a valid arrival time (≥ 0) and burst time (> 0). ");
 		return;
 	}
@@ -302,12 +541,20 @@ function addProcess() {
 		}
 	}
 
-	const p = new Process(name, arrival, burst, Number.isFinite(priority) ? priority : 0);
+	const p = new Process(name, arrival, burst, Number.isFinite(priority) ? priority : 0, {
+		queueClass: classInput ? classInput.value : undefined,
+		bursts,
+		affinity,
+		tickets
+	});
 	processes.push(p);
 	updateProcessTable();
 	saveUserConfig();
 
 	if (nameInput) nameInput.value = "";
+	if (burstsInput) burstsInput.value = "";
+	if (affinityInput) affinityInput.value = "";
+	if (ticketsInput) ticketsInput.value = "";
 }
 
 function clearProcesses() {
@@ -358,6 +605,50 @@ function loadExample(type) {
 			];
 			break;
 		}
+		case "mlq": {
+			// Multilevel Queue: system, interactive and batch jobs competing
+			example = [
+				{ name: "P1", arrival: 0, burst: 9, priority: 2, queueClass: "batch" },
+				{ name: "P2", arrival: 1, burst: 4, priority: 1, queueClass: "interactive" },
+				{ name: "P3", arrival: 2, burst: 3, priority: 0, queueClass: "system" },
+				{ name: "P4", arrival: 3, burst: 5, priority: 1, queueClass: "interactive" },
+				{ name: "P5", arrival: 4, burst: 6, priority: 3, queueClass: "batch" },
+				{ name: "P6", arrival: 8, burst: 2, priority: 0, queueClass: "system" }
+			];
+			break;
+		}
+		case "io": {
+			// I/O-bound: interactive jobs with short CPU bursts between I/O
+			// waits, competing with two long CPU-bound jobs
+			example = [
+				{ name: "P1", arrival: 0, burst: 14, priority: 2 },
+				{ name: "P2", arrival: 0, burst: 6, priority: 1, bursts: [2, 4, 2, 4, 2] },
+				{ name: "P3", arrival: 1, burst: 3, priority: 1, bursts: [1, 3, 1, 3, 1] },
+				{ name: "P4", arrival: 2, burst: 10, priority: 3 }
+			];
+			break;
+		}
+		case "multicore": {
+			// Multi-core: more jobs than cores, with P6 pinned to CPU1
+			example = [
+				{ name: "P1", arrival: 0, burst: 8, priority: 2 },
+				{ name: "P2", arrival: 0, burst: 3, priority: 1 },
+				{ name: "P3", arrival: 1, burst: 6, priority: 3 },
+				{ name: "P4", arrival: 2, burst: 2, priority: 1 },
+				{ name: "P5", arrival: 3, burst: 5, priority: 2 },
+				{ name: "P6", arrival: 4, burst: 4, priority: 0, affinity: [1] }
+			];
+			break;
+		}
+		case "share": {
+			// Proportional share: CPU-bound jobs with a 4 : 2 : 1 ticket ratio
+			example = [
+				{ name: "P1", arrival: 0, burst: 12, priority: 0, tickets: 400 },
+				{ name: "P2", arrival: 0, burst: 12, priority: 0, tickets: 200 },
+				{ name: "P3", arrival: 0, burst: 12, priority: 0, tickets: 100 }
+			];
+			break;
+		}
 		case "basic":
 		default: {
 			// Balanced default example
@@ -372,7 +663,12 @@ function loadExample(type) {
 	}
 
 	example.forEach(e => {
-		processes.push(new Process(e.name, e.arrival, e.burst, e.priority));
+		processes.push(new Process(e.name, e.arrival, e.burst, e.priority, {
+			queueClass: e.queueClass,
+			bursts: e.bursts,
+			affinity: e.affinity,
+			tickets: e.tickets
+		}));
 	});
 
 	// Update autoProcessCount so that future auto-named processes don't collide
@@ -387,928 +683,453 @@ function loadExample(type) {
 }
 
 // =============================
-// Scheduling algorithms
+// Running the simulation
 // =============================
 
-function fcfs(ps) {
-	ps.sort((a, b) => a.arrival - b.arrival);
-
-	let time = 0;
-	const gantt = [];
-
-	ps.forEach(p => {
-		if (time < p.arrival) {
-			// CPU idle until process arrives
-			gantt.push({ process: "Idle", start: time, end: p.arrival });
-			time = p.arrival;
-		}
-
-		const start = time;
-		const end = start + p.burst;
-		gantt.push({ process: p.name, start, end });
-
-		p.startTime = start;
-		p.finishTime = end;
-		p.responseTime = start - p.arrival;
-
-		time = end;
-	});
+function runScheduler() {
+	const algo = document.querySelector("input[name='algo']:checked");
+	const def = algo ? getAlgorithm(algo.value) : null;
+	if (processes.length === 0 && !(def && def.buildWorkload)) {
+		alert("Please add at least one process in the Setup tab.");
+		return;
+	}
 
-	const metrics = ps.map(p => {
-		const turnaround = p.finishTime - p.arrival;
-		const waiting = turnaround - p.burst;
-		return {
-			process: p.name,
-			waiting,
-			turnaround,
-			response: p.responseTime
-		};
-	});
+	if (!def) {
+		alert("Please select a scheduling algorithm in the Setup tab.");
+		return;
+	}
 
-	return { gantt, metrics };
+	// Real-time algorithms schedule the periodic task set instead
+	const workload = def.buildWorkload ? readRealTimeTaskText() : processes;
+	const run = simulate(workload, def.key, readSetupOptions(def));
+	if (typeof run.then === "function") {
+		// User-defined algorithms answer asynchronously from their worker
+		run.then(
+			showSchedulerResult,
+			err => alert(`The ${def.label} algorithm stopped: ${err.message}`)
+		);
+		return;
+	}
+	if (run.error) {
+		alert(run.error);
+		return;
+	}
+	showSchedulerResult(run);
 }
 
-function sjf(ps) {
-	ps.sort((a, b) => a.arrival - b.arrival);
-
-	let time = 0;
-	let completed = 0;
-	const n = ps.length;
-	const gantt = [];
+// Load a finished run (see simulate) into the Simulate tab
+function showSchedulerResult(run) {
+	simulation = run.simulation;
+	currentStepIndex = 0;
+	playTime = 0;
+	renderedStepIndex = -1;
+	autoFitGantt = true;
+	fitMainGanttToViewport();
+	pauseSimulation();
+	renderPhenomena(run.findings || []);
+	renderCurrentStep();
+	updateSimStatus("ready");
 
-	while (completed < n) {
-		const ready = ps.filter(p => p.finishTime == null && p.arrival <= time);
+	saveUserConfig();
+}
 
-		if (ready.length === 0) {
-			const next = ps.find(p => p.finishTime == null);
-			if (!next) break;
-			if (next.arrival > time) {
-				gantt.push({ process: "Idle", start: time, end: next.arrival });
-				time = next.arrival;
-			}
-			continue;
-		}
+// =============================
+// Rendering (Simulate tab)
+// =============================
 
-		ready.sort((a, b) => a.burst - b.burst);
-		const p = ready[0];
+function renderCurrentStep() {
+	if (!simulation || !simulation.steps || simulation.steps.length === 0) {
+		const chart = document.getElementById("gantt");
+		if (chart) chart.innerHTML = "";
+		return;
+	}
 
-		const start = time;
-		const end = start + p.burst;
-		gantt.push({ process: p.name, start, end });
+	if (currentStepIndex < 0) currentStepIndex = 0;
+	if (currentStepIndex >= simulation.steps.length) currentStepIndex = simulation.steps.length - 1;
 
-		p.startTime = start;
-		p.finishTime = end;
-		p.responseTime = start - p.arrival;
+	const step = simulation.steps[currentStepIndex];
+	const tickMode = playbackMode === "tick";
+	// In tick mode the CPU, queues and I/O lane show the exact moment
+	// `playTime`; the explanation covers the whole step, so it is only
+	// redrawn when the clock enters a new step.
+	const frame = tickMode ? { ...step, ...simulationStateAt(simulation, playTime) } : step;
+	const newStep = !tickMode || currentStepIndex !== renderedStepIndex;
+	renderedStepIndex = currentStepIndex;
+
+	renderGanttAtStep(step, tickMode ? playTime : null);
+	renderCpuAndQueue(frame);
+	if (newStep) {
+		renderStepExplanation(step);
+		renderDecisionLog(currentStepIndex);
+	}
+	showMetrics(simulation.metrics);
+	renderMetricSummary(simulation.summary);
 
-		time = end;
-		completed++;
+	const tLabel = document.getElementById("current-time");
+	if (tLabel) tLabel.textContent = tickMode ? playTime : step.start;
+	const scrubber = document.getElementById("timeline-scrubber");
+	if (scrubber) {
+		scrubber.max = simulationEndTime();
+		scrubber.step = tickMode ? playbackTick : "any";
+		scrubber.value = tickMode ? playTime : step.start;
 	}
 
-	const metrics = ps.map(p => {
-		const turnaround = p.finishTime - p.arrival;
-		const waiting = turnaround - p.burst;
-		return {
-			process: p.name,
-			waiting,
-			turnaround,
-			response: p.responseTime
-		};
-	});
+	// Decide whether to drive the "camera" (scrolling focus) for this step.
+	// In Teaching Mode (CPU stage), we always run the full staged focus
+	// pattern. Outside teaching mode we only apply a lighter focus hint
+	// during auto-play or when the user manually pressed Step.
+	const inTeachingCpuStage = isTeachingMode && teachingStage === "cpu";
+	const shouldGuide = newStep && (
+		inTeachingCpuStage ||
+		(!isTeachingMode && (isPlaying || lastStepUserInitiated)));
+	if (shouldGuide) {
+		guideTeachingFocusForCurrentStep(inTeachingCpuStage);
+	}
 
-	return { gantt, metrics };
+	// This flag is only meaningful for the frame in which a manual
+	// step happened; clear it after we've rendered the step.
+	lastStepUserInitiated = false;
 }
 
-function srtf(ps) {
-	ps.sort((a, b) => a.arrival - b.arrival);
-	ps.forEach(p => {
-		p.remaining = p.burst;
-		p.startTime = null;
-		p.finishTime = null;
-	});
-
-	let time = 0;
-	let completed = 0;
-	const n = ps.length;
-	const gantt = [];
+// Draw the Gantt chart up to `step`. With a `time` (tick playback) only
+// the part before that moment is drawn: the bars running at `time` grow
+// over one tick and later segments are hidden but keep their place.
+function renderGanttAtStep(step, time = null) {
+	if (!simulation) return;
+	const chart = document.getElementById("gantt");
+	if (!chart) return;
 
-	let currentProcess = null;
-	let segmentStart = 0;
+	chart.innerHTML = "";
+	const currentTime = time != null ? time : step.end;
 
-	while (completed < n) {
-		const ready = ps.filter(p => p.arrival <= time && p.remaining > 0);
+	// Multi-core runs get one lane per core
+	const tracks = simulation.cores > 1 ? createGanttLanes(chart, simulation.cores) : null;
+	chart.classList.toggle("gantt-lanes", !!tracks);
+	chart.classList.toggle("gantt-tick", time != null);
+	const stepBySlot = new Map(simulation.steps.map((s, i) => [s.slot, i]));
 
-		if (ready.length === 0) {
-			// CPU idle
-			if (currentProcess !== "Idle") {
-				if (currentProcess !== null) {
-					gantt.push({ process: currentProcess, start: segmentStart, end: time });
-				}
-				currentProcess = "Idle";
-				segmentStart = time;
+		simulation.gantt.forEach(slot => {
+			const box = document.createElement("div");
+			box.className = "gantt-box";
+			const isIdle = slot.process === "Idle";
+			const isSwitch = slot.process === "CS";
+			if (isIdle) box.classList.add("idle");
+			if (isSwitch) box.classList.add("cs");
+			let width = (slot.end - slot.start) * ganttScale;
+			if (!Number.isFinite(width) || width <= 0) {
+				width = 1; // ensure very small/edge segments are still visible
 			}
-			time++;
-			continue;
-		}
-
-		ready.sort((a, b) => a.remaining - b.remaining);
-		const p = ready[0];
+			box.style.width = width + "px";
+			box.dataset.process = slot.process;
+			box.dataset.start = slot.start;
+			box.dataset.core = slot.core || 0;
 
-		if (currentProcess !== p.name) {
-			if (currentProcess !== null) {
-				gantt.push({ process: currentProcess, start: segmentStart, end: time });
-			}
-			currentProcess = p.name;
-			segmentStart = time;
-			if (p.startTime == null) p.startTime = time;
+		const isCurrent = slot.start === step.start && slot.process === step.processName &&
+			(slot.core == null || slot.core === step.core);
+		if (isCurrent) {
+			box.classList.add("current");
 		}
 
-		p.remaining--;
-		time++;
-
-		if (p.remaining === 0) {
-			p.finishTime = time;
-			completed++;
+		if (isSwitch) {
+			box.title = `Context switch ${slot.from || "idle"} → ${slot.to}`;
+		} else if (!isIdle && slot.end <= currentTime) {
+			box.style.backgroundColor = getColorForProcess(slot.task || slot.process);
+		} else if (!isIdle && slot.start < currentTime) {
+			box.style.backgroundColor = getColorForProcess(slot.task || slot.process);
+			box.style.opacity = "0.6";
 		}
-	}
-
-	if (currentProcess !== null) {
-		gantt.push({ process: currentProcess, start: segmentStart, end: time });
-	}
-
-	const metrics = ps.map(p => {
-		const turnaround = p.finishTime - p.arrival;
-		const waiting = turnaround - p.burst;
-		const response = p.startTime - p.arrival;
-		return { process: p.name, waiting, turnaround, response };
-	});
-
-	return { gantt, metrics };
-}
-
-function priorityScheduling(ps) {
-	ps.forEach(p => {
-		p.remaining = p.burst;
-		p.startTime = null;
-		p.finishTime = null;
-	});
 
-	ps.sort((a, b) => a.arrival - b.arrival);
-
-	let time = 0;
-	let completed = 0;
-	const n = ps.length;
-	const gantt = [];
-	let current = null;
-	let segmentStart = 0;
-
-	while (completed < n) {
-		const ready = ps.filter(p => p.arrival <= time && p.remaining > 0);
-
-		if (ready.length === 0) {
-			if (current !== "Idle") {
-				if (current !== null) {
-					gantt.push({ process: current, start: segmentStart, end: time });
-				}
-				current = "Idle";
-				segmentStart = time;
-			}
-			time++;
-			continue;
+		const nameEl = document.createElement("div");
+		nameEl.textContent = slot.process;
+		const timeEl = document.createElement("div");
+		timeEl.className = "time-range";
+		timeEl.textContent = time != null && slot.end > time ? `${slot.start}-${time}` : `${slot.start}-${slot.end}`;
+
+		if (time != null) growGanttBox(box, slot, time);
+		// Click a segment to jump to its step
+		if (stepBySlot.has(slot)) {
+			box.classList.add("seekable");
+			box.addEventListener("click", () => {
+				if (!isTeachingMode) goToStep(stepBySlot.get(slot));
+			});
 		}
 
-		ready.sort((a, b) => a.priority - b.priority);
-		const p = ready[0];
+		box.appendChild(nameEl);
+		box.appendChild(timeEl);
+		markDeadlineMisses(box, slot);
+		(tracks ? tracks[slot.core] : chart).appendChild(box);
 
-		if (current !== p.name) {
-			if (current !== null) {
-				gantt.push({ process: current, start: segmentStart, end: time });
+		// Keep the current execution segment in view by scrolling the
+		// Gantt container horizontally as the simulation progresses.
+		if (isCurrent) {
+			const container = chart.parentElement;
+			if (container && typeof container.scrollLeft === "number") {
+				const boxRect = box.getBoundingClientRect();
+				const contRect = container.getBoundingClientRect();
+				const boxCenter = (boxRect.left + boxRect.right) / 2;
+				const contCenter = (contRect.left + contRect.right) / 2;
+				container.scrollLeft += boxCenter - contCenter;
+			} else if (box.scrollIntoView) {
+				box.scrollIntoView({ behavior: "smooth", block: "nearest", inline: "center" });
 			}
-			current = p.name;
-			segmentStart = time;
-			if (p.startTime == null) p.startTime = time;
 		}
+	});
+}
 
-		p.remaining--;
-		time++;
-
-		if (p.remaining === 0) {
-			p.finishTime = time;
-			completed++;
-		}
+// Tick playback: cut a Gantt box off at `time`, animating its growth since
+// the previous tick, or hide it if it has not started yet
+function growGanttBox(box, slot, time) {
+	if (slot.start >= time) {
+		box.classList.add("future");
+		return;
 	}
+	if (slot.end <= time - playbackTick) return;
+	const from = Math.max(slot.start, time - playbackTick) - slot.start;
+	const to = Math.min(slot.end, time) - slot.start;
+	box.style.width = Math.max(to * ganttScale, 1) + "px";
+	box.style.setProperty("--grow-from", from * ganttScale + "px");
+	box.style.setProperty("--grow-duration", tickInterval() + "ms");
+	box.classList.add("growing");
+}
 
-	if (current !== null) {
-		gantt.push({ process: current, start: segmentStart, end: time });
+// Add one labelled Gantt lane per core to `container` and return the
+// lane tracks, indexed by core.
+function createGanttLanes(container, cores) {
+	const tracks = [];
+	for (let c = 0; c < cores; c++) {
+		const lane = document.createElement("div");
+		lane.className = "gantt-lane";
+		const label = document.createElement("div");
+		label.className = "gantt-lane-label";
+		label.textContent = `CPU${c}`;
+		const track = document.createElement("div");
+		track.className = "gantt-lane-track";
+		lane.appendChild(label);
+		lane.appendChild(track);
+		container.appendChild(lane);
+		tracks.push(track);
 	}
-
-	const metrics = ps.map(p => {
-		const turnaround = p.finishTime - p.arrival;
-		const waiting = turnaround - p.burst;
-		const response = p.startTime - p.arrival;
-		return { process: p.name, waiting, turnaround, response };
-	});
-
-	return { gantt, metrics };
+	return tracks;
 }
 
-function hrrn(ps) {
-	ps.forEach(p => {
-		p.finishTime = null;
-		p.startTime = null;
+// Real-time runs: flag the part of a job that runs after its deadline and
+// draw a marker where a deadline passes unmet.
+function markDeadlineMisses(box, slot) {
+	if (slot.late) box.classList.add("late");
+	(slot.misses || []).forEach(m => {
+		const marker = document.createElement("div");
+		marker.className = "deadline-miss-marker";
+		marker.style.left = `${((m.deadline - slot.start) / (slot.end - slot.start)) * 100}%`;
+		marker.title = `${m.job} missed its deadline at t = ${m.deadline}`;
+		box.appendChild(marker);
 	});
+}
 
-	ps.sort((a, b) => a.arrival - b.arrival);
-
-	let time = 0;
-	let completed = 0;
-	const n = ps.length;
-	const gantt = [];
+// The step's waiting processes in the scheduler's queue order. Runs with
+// an event trace list exactly the traced queue; otherwise everything ready
+// except the process on the CPU.
+function queuedProcesses(step) {
+	const ready = step.ready || [];
+	return step.queue ? ready.filter(p => step.queue.includes(p.name)) : ready.filter(p => p.name !== step.processName);
+}
 
-	while (completed < n) {
-		const ready = ps.filter(p => p.finishTime == null && p.arrival <= time);
+function renderCpuAndQueue(step) {
+	const cpuContent = document.getElementById("cpu-content");
+	const queueContent = document.getElementById("queue-content");
+	if (!cpuContent || !queueContent) return;
 
-		if (ready.length === 0) {
-			const next = ps.find(p => p.finishTime == null);
-			if (!next) break;
-			if (next.arrival > time) {
-				gantt.push({ process: "Idle", start: time, end: next.arrival });
-				time = next.arrival;
+	// CPU (one box per core for multi-core runs)
+	cpuContent.innerHTML = "";
+	const multiCoreRun = !!(simulation && simulation.cores > 1);
+	cpuContent.classList.toggle("core-grid", multiCoreRun);
+	if (multiCoreRun) {
+		cpuContent.classList.remove("running");
+		(step.cores || []).forEach((name, c) => {
+			const coreBox = document.createElement("div");
+			coreBox.className = "core-box" + (name ? " running" : "") + (c === step.core ? " current" : "");
+			const label = document.createElement("div");
+			label.className = "core-box-label";
+			label.textContent = `CPU${c}`;
+			coreBox.appendChild(label);
+			if (name === "CS") {
+				const chip = document.createElement("div");
+				chip.className = "process-chip cs";
+				chip.innerHTML = `<span class="name">⇄ switching</span>`;
+				coreBox.appendChild(chip);
+			} else if (name) {
+				const chip = document.createElement("div");
+				chip.className = "process-chip";
+				chip.style.backgroundColor = getColorForProcess(name);
+				chip.innerHTML = `<span class="name">${name}</span>`;
+				coreBox.appendChild(chip);
+			} else {
+				const idle = document.createElement("div");
+				idle.className = "idle-indicator";
+				idle.textContent = "Idle";
+				coreBox.appendChild(idle);
 			}
-			continue;
-		}
-
-		ready.forEach(p => {
-			const waiting = time - p.arrival;
-			p.RR = (waiting + p.burst) / p.burst;
+			cpuContent.appendChild(coreBox);
 		});
+	} else if (step.isIdle) {
+		cpuContent.classList.remove("running");
+		cpuContent.innerHTML = '<div class="idle-indicator">Idle</div>';
+	} else if (step.processName === "CS") {
+		// Context switch: the dispatcher runs instead of a process
+		cpuContent.classList.remove("running");
+		const chip = document.createElement("div");
+		chip.className = "process-chip cs";
+		const from = step.slot && step.slot.from ? step.slot.from : "idle";
+		const to = step.slot ? step.slot.to : "";
+		chip.innerHTML = `<span class="name">⇄ ${from} → ${to}</span><span class="meta"> context switch</span>`;
+		cpuContent.appendChild(chip);
+	} else {
+		cpuContent.classList.add("running");
+		const chip = document.createElement("div");
+		chip.className = "process-chip";
+		chip.style.backgroundColor = getColorForProcess((step.slot && step.slot.task) || step.processName);
+		chip.innerHTML = `<span class="name">${step.processName}</span>`;
+		cpuContent.appendChild(chip);
+	}
 
-		ready.sort((a, b) => b.RR - a.RR);
-		const p = ready[0];
-
-		const start = time;
-		const end = start + p.burst;
-		if (p.startTime == null) p.startTime = start;
-		gantt.push({ process: p.name, start, end });
-
-		p.finishTime = end;
-		time = end;
-		completed++;
+	// I/O devices / waiting (blocked) processes
+	const ioContent = document.getElementById("io-content");
+	if (ioContent) {
+		ioContent.innerHTML = "";
+		if (!step.blocked || step.blocked.length === 0) {
+			const emptyMsg = document.createElement("div");
+			emptyMsg.style.color = "#9ca3af";
+			emptyMsg.style.fontSize = "13px";
+			emptyMsg.textContent = "No process waiting for I/O";
+			ioContent.appendChild(emptyMsg);
+		} else {
+			step.blocked.forEach(b => {
+				const chip = document.createElement("div");
+				chip.className = "process-chip blocked";
+				chip.style.backgroundColor = getColorForProcess(b.name);
+				chip.innerHTML = `<span class="name">${b.name}</span><span class="meta"> I/O until t=${b.until}</span>`;
+				ioContent.appendChild(chip);
+			});
+		}
 	}
 
-	const metrics = ps.map(p => {
-		const turnaround = p.finishTime - p.arrival;
-		const waiting = turnaround - p.burst;
-		const response = p.startTime - p.arrival;
-		return { process: p.name, waiting, turnaround, response };
-	});
-
-	return { gantt, metrics };
-}
-
-function rr(ps, quantum) {
-	ps.forEach(p => {
-		p.remaining = p.burst;
-		p.startTime = null;
-		p.finishTime = null;
-	});
-
-	ps.sort((a, b) => a.arrival - b.arrival);
-
-	let time = 0;
-	const gantt = [];
-	const queue = [];
-	const n = ps.length;
-	let completed = 0;
-	let idx = 0;
-
-	while (completed < n) {
-		while (idx < n && ps[idx].arrival <= time) {
-			queue.push(ps[idx]);
-			idx++;
-		}
-
-		if (queue.length === 0) {
-			const nextArrival = ps[idx]?.arrival;
-			if (nextArrival != null && nextArrival > time) {
-				gantt.push({ process: "Idle", start: time, end: nextArrival });
-				time = nextArrival;
-				continue;
+	// Ready queue
+	queueContent.innerHTML = "";
+	const perCoreQueues = multiCoreRun && simulation.queueMode !== "global";
+	queueContent.classList.toggle("queue-lanes", !!(simulation && simulation.algo === "mlq") || perCoreQueues);
+	if (multiCoreRun) {
+		// Multi-core: the recorded queue order, one lane per core when
+		// every core has its own ready queue
+		const readyByName = {};
+		(step.ready || []).forEach(p => { readyByName[p.name] = p; });
+		const queues = step.coreQueues && step.coreQueues.length ? step.coreQueues : [[]];
+		queues.forEach((names, c) => {
+			const target = perCoreQueues ? document.createElement("div") : queueContent;
+			const members = names.filter(name => readyByName[name]);
+			if (perCoreQueues) {
+				target.className = "queue-lane-chips";
+				const lane = document.createElement("div");
+				lane.className = "queue-lane";
+				const laneLabel = document.createElement("div");
+				laneLabel.className = "queue-lane-label";
+				laneLabel.textContent = `CPU${c}`;
+				lane.appendChild(laneLabel);
+				lane.appendChild(target);
+				queueContent.appendChild(lane);
 			}
-			time++;
-			continue;
-		}
-
-		const p = queue.shift();
-		if (p.startTime == null) p.startTime = time;
-
-		const exec = Math.min(quantum, p.remaining);
-		gantt.push({ process: p.name, start: time, end: time + exec });
-
-		time += exec;
-		p.remaining -= exec;
-
-		while (idx < n && ps[idx].arrival <= time) {
-			queue.push(ps[idx]);
-			idx++;
-		}
-
-		if (p.remaining > 0) {
-			queue.push(p);
-		} else {
-			p.finishTime = time;
-			completed++;
-		}
-	}
-
-	const metrics = ps.map(p => {
-		const turnaround = p.finishTime - p.arrival;
-		const waiting = turnaround - p.burst;
-		const response = p.startTime - p.arrival;
-		return { process: p.name, waiting, turnaround, response };
-	});
-
-	return { gantt, metrics };
-}
-
-// =============================
-// Simulation building & explanations
-// =============================
-
-function runScheduler() {
-	if (processes.length === 0) {
-		alert("Please add at least one process in the Setup tab.");
-		return;
-	}
-
-	const algo = document.querySelector("input[name='algo']:checked");
-	if (!algo) {
-		alert("Please select a scheduling algorithm in the Setup tab.");
-		return;
-	}
-	const selected = algo.value;
-
-	const ps = processes.map(
-		p => new Process(p.name, p.arrival, p.burst, p.priority)
-	);
-
-	let result;
-	if (selected === "fcfs") result = fcfs(ps);
-	else if (selected === "sjf") result = sjf(ps);
-	else if (selected === "srtf") result = srtf(ps);
-	else if (selected === "priority") result = priorityScheduling(ps);
-	else if (selected === "hrrn") result = hrrn(ps);
-	else if (selected === "rr") {
-		const qVal = document.getElementById("quantum")?.value;
-		const q = parseInt(qVal, 10);
-		if (!q || q <= 0) {
-			alert("Round Robin requires a positive time quantum.");
-			return;
-		}
-		result = rr(ps, q);
-	}
-
-	if (!result) return;
-
-	simulation = buildSimulation(ps, result, selected);
-	currentStepIndex = 0;
-	autoFitGantt = true;
-	fitMainGanttToViewport();
-	pauseSimulation();
-	renderCurrentStep();
-	updateSimStatus("ready");
-
-	saveUserConfig();
-}
-
-function buildSimulation(processList, result, algoKey) {
-	const gantt = [...result.gantt].sort((a, b) => a.start - b.start);
-
-	const processesByName = {};
-	processList.forEach(p => {
-		processesByName[p.name] = p;
-	});
-
-	const executed = {};
-	processList.forEach(p => {
-		executed[p.name] = 0;
-	});
-
-	const steps = [];
-	let currentTime = 0;
-
-	for (let i = 0; i < gantt.length; i++) {
-		const slot = gantt[i];
-
-		if (slot.start > currentTime) {
-			const idleStart = currentTime;
-			const idleEnd = slot.start;
-			const state = computeStateAtTime(processList, executed, idleStart);
-			const explanation = createExplanationForStep({
-				isIdle: true,
-				start: idleStart,
-				end: idleEnd,
-				ready: state.ready,
-				completed: state.completed,
-				running: null
-			}, algoKey);
-			steps.push({
-				index: steps.length,
-				start: idleStart,
-				end: idleEnd,
-				processName: "Idle",
-				isIdle: true,
-				ready: state.ready,
-				completed: state.completed,
-				explanation
+			if (members.length === 0) {
+				const emptyMsg = document.createElement("span");
+				emptyMsg.className = "queue-lane-empty";
+				emptyMsg.textContent = perCoreQueues ? "empty" : "Queue is empty";
+				target.appendChild(emptyMsg);
+			}
+			members.forEach(name => {
+				const chip = document.createElement("div");
+				chip.className = "process-chip";
+				chip.style.backgroundColor = getColorForProcess(name);
+				chip.innerHTML = `<span class="name">${name}</span><span class="meta"> remaining=${readyByName[name].remaining}</span>`;
+				target.appendChild(chip);
 			});
-			currentTime = idleEnd;
-		}
-
-		const stepStart = slot.start;
-		const stepEnd = slot.end;
-		const state = computeStateAtTime(processList, executed, stepStart);
-		const runningProc = processesByName[slot.process] || null;
-		const explanation = createExplanationForStep({
-			isIdle: false,
-			start: stepStart,
-			end: stepEnd,
-			ready: state.ready,
-			completed: state.completed,
-			running: runningProc
-		}, algoKey);
-
-		steps.push({
-			index: steps.length,
-			start: stepStart,
-			end: stepEnd,
-			processName: slot.process,
-			isIdle: false,
-			ready: state.ready,
-			completed: state.completed,
-			explanation
 		});
-
-		if (runningProc) {
-			executed[runningProc.name] += (stepEnd - stepStart);
-		}
-		currentTime = stepEnd;
-	}
-
-	const summary = computeSummaryMetrics(result.metrics);
-
-	return {
-		steps,
-		gantt,
-		metrics: result.metrics,
-		summary,
-		algo: algoKey
-	};
-}
-
-function computeStateAtTime(processList, executed, time) {
-	const ready = [];
-	const completed = [];
-
-	processList.forEach(p => {
-		const exec = executed[p.name] || 0;
-		const remaining = Math.max(p.burst - exec, 0);
-		const waiting = Math.max(time - p.arrival - exec, 0);
-
-		if (p.finishTime != null && p.finishTime <= time) {
-			completed.push(p.name);
-		} else if (p.arrival <= time && remaining > 0) {
-			ready.push({
-				name: p.name,
-				arrival: p.arrival,
-				burst: p.burst,
-				priority: p.priority,
-				remaining,
-				waiting
-			});
-		}
-	});
-
-	return { ready, completed };
-}
-
-function createExplanationForStep(step, algoKey) {
-	const { isIdle, start, end, ready, running } = step;
-
-	// Find the state record for the running process inside the ready set,
-	// so we can show its waiting/remaining/burst values in formulas.
-	const runningState = running && Array.isArray(ready)
-		? ready.find(p => p.name === running.name)
-		: null;
-
-	const readySummary = ready && ready.length
-		? ready.map(p => `${p.name}(arrival=${p.arrival}, burst=${p.burst}, remaining=${p.remaining}, waiting=${p.waiting})`).join(", ")
-		: "(empty)";
-
-	if (isIdle) {
-		if (!ready || ready.length === 0) {
-			return `
-				<div class="step-detail">
-					<div class="step-header">⏸️ CPU Idle: Time ${start}–${end}</div>
-					<div class="step-decision">
-						At this time no process has arrived yet, so the CPU stays idle.
-					</div>
-				</div>
-			`;
-		}
-		return `
-			<div class="step-detail">
-				<div class="step-header">⏸️ CPU Idle: Time ${start}–${end}</div>
-				<div class="step-decision">
-					There are ready processes but the timeline shows an idle gap (e.g., between dispatches or due to modelling granularity).
-				</div>
-			</div>
-		`;
-	}
-
-	if (!running) {
-		return `
-			<div class="step-detail">
-				<div class="step-header">⚙️ Time ${start}–${end}</div>
-				<div class="step-decision">The CPU executes a process, but detailed information is not available.</div>
-			</div>
-		`;
+		return;
 	}
-
-	const algoInfo = ALGO_INFO[algoKey];
-	const baseTitle = algoInfo ? algoInfo.title : algoKey.toUpperCase();
-
-	let ruleSummary = "";
-	let detailedExplanation = "";
-	let formula = "";
-	let ruleChunks = null;
-	let decisionHtml = null;
-
-	switch (algoKey) {
-		case "fcfs": {
-			ruleSummary = "FCFS always chooses the process that arrived earliest among the ready processes (non-preemptive).";
-			ruleChunks = [
-				"First-Come First-Served (FCFS):",
-				"non-preemptive,",
-				"serve ready processes strictly by arrival order."
-			];
-			let orderPart = "";
-			if (ready && ready.length) {
-				const sorted = [...ready].sort((a, b) => a.arrival - b.arrival);
-				orderPart = sorted.map(p => `${p.name}: arrival = ${p.arrival}`).join(" \u2192 ");
-			}
-			detailedExplanation = `The scheduler chooses <strong>${running.name}</strong> because it is at the front of the arrival-time order.`;
-			decisionHtml = `
-				It chooses
-				<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
-				because it is
-				<span class="word-chunk" style="animation-delay:0.65s">the earliest-arrived process</span>
-				in the
-				<span class="word-chunk" style="animation-delay:0.90s">ready set.</span>
-			`;
-			formula = ready && ready.length
-				? `Order by arrival time at t = ${start}: ${orderPart}. The first in this order is ${running.name}.`
-				: "Selection rule: min(arrival_time) among ready processes.";
-			break;
-		}
-		case "sjf": {
-			ruleSummary = "SJF (non-preemptive) always runs the job with the smallest burst time among all ready jobs.";
-			ruleChunks = [
-				"Shortest Job First (SJF):",
-				"non-preemptive,",
-				"pick the job with the smallest CPU burst among ready jobs."
-			];
-			let burstsPart = "";
-			if (ready && ready.length) {
-				burstsPart = ready.map(p => `${p.name}: burst = ${p.burst}`).join(", ");
-			}
-			const burstShown = runningState ? runningState.burst : running.burst;
-			detailedExplanation = `<strong>${running.name}</strong> has the shortest CPU burst time among the ready jobs (Burst = ${burstShown}).`;
-			decisionHtml = `
-				<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
-				has the
-				<span class="word-chunk" style="animation-delay:0.65s">smallest CPU burst</span>
-				among the ready jobs
-				<span class="word-chunk" style="animation-delay:0.90s">(Burst = ${burstShown}).</span>
-			`;
-			formula = ready && ready.length
-				? `Burst times at t = ${start}: ${burstsPart}. The smallest burst is ${burstShown}, so SJF chooses ${running.name}.`
-				: `Selection rule: pick the smallest burst time.`;
-			break;
-		}
-		case "srtf": {
-			ruleSummary = "SRTF (preemptive) always runs the process with the smallest remaining time; new short jobs may preempt the current one.";
-			ruleChunks = [
-				"Shortest Remaining Time First (SRTF):",
-				"preemptive,",
-				"choose the job with the smallest remaining processing time;",
-				"new short jobs can preempt the current one."
-			];
-			let remPart = "";
-			if (ready && ready.length) {
-				remPart = ready.map(p => `${p.name}: remaining = ${p.remaining}`).join(", ");
-			}
-			const remShown = runningState ? runningState.remaining : (running.remaining ?? "?");
-			detailedExplanation = `At time ${start}, <strong>${running.name}</strong> has the smallest remaining time among all ready processes (Remaining = ${remShown}).`;
-			decisionHtml = `
-				At time ${start},
-				<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
-				has the
-				<span class="word-chunk" style="animation-delay:0.65s">smallest remaining time</span>
-				among ready processes
-				<span class="word-chunk" style="animation-delay:0.90s">(Remaining = ${remShown}).</span>
-			`;
-			formula = ready && ready.length
-				? `Remaining times at t = ${start}: ${remPart}. The smallest remaining time is ${remShown}, so SRTF runs ${running.name}.`
-				: "Selection rule: min(remaining_time) among ready processes.";
-			break;
-		}
-		case "priority": {
-			ruleSummary = "Preemptive priority scheduling always runs the ready job with the highest priority (here: smallest numeric value).";
-			ruleChunks = [
-				"Preemptive priority scheduling:",
-				"always run the job with the highest priority",
-				"(here: the smallest numeric priority value)."
-			];
-			let prioPart = "";
-			if (ready && ready.length) {
-				prioPart = ready.map(p => `${p.name}: priority = ${p.priority}`).join(", ");
-			}
-			const prioShown = runningState ? runningState.priority : running.priority;
-			detailedExplanation = `<strong>${running.name}</strong> has the highest priority among the ready jobs (Priority = ${prioShown}, smaller means higher priority).`;
-			decisionHtml = `
-				<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
-				has the
-				<span class="word-chunk" style="animation-delay:0.65s">highest priority</span>
-				among ready jobs
-				<span class="word-chunk" style="animation-delay:0.90s">(Priority = ${prioShown}, smaller means higher).</span>
-			`;
-			formula = ready && ready.length
-				? `Priorities at t = ${start}: ${prioPart}. The smallest priority value is ${prioShown}, so the scheduler runs ${running.name}.`
-				: "Selection rule: run the job with the smallest priority value.";
-			break;
-		}
-		case "hrrn": {
-			ruleSummary = "HRRN (non-preemptive) chooses the job with the highest response ratio RR = (Waiting + Burst) / Burst.";
-			ruleChunks = [
-				"Highest Response Ratio Next (HRRN):",
-				"non-preemptive,",
-				"choose the job with the largest response ratio",
-				"RR = (Waiting + Burst) / Burst."
-			];
-			let chosenRR = null;
-			if (ready && ready.length) {
-				const withRR = ready.map(p => {
-					const waiting = p.waiting;
-					const burst = p.burst;
-					const rrVal = (waiting + burst) / burst;
-					return { name: p.name, waiting, burst, rrVal };
-				});
-				withRR.sort((a, b) => b.rrVal - a.rrVal);
-				chosenRR = withRR.find(x => x.name === running.name) || withRR[0];
-			}
-			detailedExplanation = `<strong>${running.name}</strong> has the highest response ratio among the ready processes.`;
-			if (chosenRR) {
-				decisionHtml = `
-					<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
-					has the
-					<span class="word-chunk" style="animation-delay:0.65s">largest RR</span>
-					among all ready jobs
-					<span class="word-chunk" style="animation-delay:0.90s">so it is chosen.</span>
-				`;
-			}
-			if (chosenRR) {
-				const W = chosenRR.waiting;
-				const B = chosenRR.burst;
-				const RR = chosenRR.rrVal;
-				const procName = chosenRR.name;
-				const numerator = W + B;
-				formula = `
-					<div class="formula-animate formula-hrrn">
-						<div class="formula-line" style="animation:formulaLineHighlight 0.5s 0s forwards;">
-							Step 1: RR(i) = (Waiting_i + Burst_i) / Burst_i
-						</div>
-						<div class="formula-line" style="animation:formulaLineHighlight 0.5s 0.5s forwards;">
-							Step 2: RR(${procName}) = (<span class="term-part1">${W} + ${B}</span>) / <span class="term-part2">${B}</span>
-						</div>
-						<div class="formula-line" style="animation:formulaLineHighlight 0.5s 1s forwards;">
-							Step 3: RR(${procName}) = <span class="term-result">${numerator}/${B}</span>
-						</div>
-						<div class="formula-line" style="animation:formulaLineHighlight 0.5s 1.5s forwards;">
-							Step 4: RR(${procName}) ≈ <span class="term-result">${RR.toFixed(3)}</span> (largest RR, so chosen)
-						</div>
-					</div>
-				`;
-			} else {
-				formula = "RR = (Waiting + Burst) / Burst; pick the job with the largest RR.";
+	if (simulation && simulation.algo === "mlq") {
+		// Multilevel Queue: one ready-queue lane per process class
+		MLQ_CLASSES.forEach(key => {
+			const lane = document.createElement("div");
+			lane.className = "queue-lane";
+			const laneLabel = document.createElement("div");
+			laneLabel.className = "queue-lane-label";
+			laneLabel.textContent = MLQ_CLASS_LABELS[key];
+			const laneChips = document.createElement("div");
+			laneChips.className = "queue-lane-chips";
+
+			const members = queuedProcesses(step).filter(p => p.queueClass === key);
+			if (members.length === 0) {
+				const emptyMsg = document.createElement("span");
+				emptyMsg.className = "queue-lane-empty";
+				emptyMsg.textContent = "empty";
+				laneChips.appendChild(emptyMsg);
 			}
-			break;
-		}
-		case "rr": {
-			ruleSummary = "Round Robin runs each ready job for at most one time quantum, then moves it to the back of the ready queue if it is not finished.";
-			ruleChunks = [
-				"Round Robin (RR):",
-				"time-sliced scheduling,",
-				"each job runs at most one time quantum,",
-				"then moves to the back of the ready queue."
-			];
-			const qInput = document.getElementById("quantum");
-			const qVal = qInput ? parseInt(qInput.value, 10) : NaN;
-			const quantum = Number.isFinite(qVal) && qVal > 0 ? qVal : "Q";
-			const slice = end - start;
-			const remBefore = runningState ? runningState.remaining : "R";
-			detailedExplanation = `It is <strong>${running.name}</strong>'s turn in the RR queue; it runs for ${slice} time unit(s).`;
-			decisionHtml = `
-				It is now
-				<span class="word-chunk" style="animation-delay:0.40s"><strong>${running.name}</strong></span>
-				's turn in the RR queue, so it runs for
-				<span class="word-chunk" style="animation-delay:0.65s">${slice} time unit(s)</span>
-				before going to the back of the queue if not finished.
-			`;
-			formula = `Execution this step: exec = min(quantum = ${quantum}, remaining = ${remBefore}) = ${slice}.`;
-			break;
-		}
-		default:
-			ruleSummary = "";
-	}
-
-	const ruleHtml = ruleChunks && ruleChunks.length
-		? ruleChunks.map((chunk, idx) => `
-			<span class="word-chunk" style="animation-delay:${(0.20 * idx).toFixed(2)}s">${chunk}</span>
-		`).join(" ")
-		: ruleSummary;
-
-	const decisionContent = decisionHtml != null ? decisionHtml : detailedExplanation;
-
-	return `
-		<div class="step-detail">
-			<div class="step-header">⚙️ ${baseTitle} — Time ${start}–${end}</div>
-			<div class="step-rule">📚 ${ruleHtml}</div>
-			<div class="step-decision">
-				✅ <strong>Scheduling decision:</strong> ${decisionContent}<br>
-				📊 <strong>Ready queue:</strong> [${readySummary}]
-			</div>
-			${formula ? `<div class="step-formula">🔢 ${formula}</div>` : ""}
-		</div>
-	`;
-}
-
-function computeSummaryMetrics(metrics) {
-	if (!metrics || metrics.length === 0) {
-		return { avgWaiting: 0, avgTurnaround: 0, avgResponse: 0 };
-	}
-	let totalW = 0, totalT = 0, totalR = 0;
-	metrics.forEach(m => {
-		totalW += m.waiting;
-		totalT += m.turnaround;
-		totalR += m.response;
-	});
-	const n = metrics.length;
-	return {
-		avgWaiting: totalW / n,
-		avgTurnaround: totalT / n,
-		avgResponse: totalR / n
-	};
-}
-
-// =============================
-// Rendering (Simulate tab)
-// =============================
+			members.forEach(p => {
+				const chip = document.createElement("div");
+				chip.className = "process-chip";
+				chip.style.backgroundColor = getColorForProcess(p.name);
+				chip.innerHTML = `<span class="name">${p.name}</span><span class="meta"> remaining=${p.remaining}</span>`;
+				laneChips.appendChild(chip);
+			});
 
-function renderCurrentStep() {
-	if (!simulation || !simulation.steps || simulation.steps.length === 0) {
-		const chart = document.getElementById("gantt");
-		if (chart) chart.innerHTML = "";
+			lane.appendChild(laneLabel);
+			lane.appendChild(laneChips);
+			queueContent.appendChild(lane);
+		});
 		return;
 	}
-
-	if (currentStepIndex < 0) currentStepIndex = 0;
-	if (currentStepIndex >= simulation.steps.length) currentStepIndex = simulation.steps.length - 1;
-
-	const step = simulation.steps[currentStepIndex];
-
-	renderGanttAtStep(step);
-	renderCpuAndQueue(step);
-	renderStepExplanation(step);
-	renderDecisionLog(currentStepIndex);
-	showMetrics(simulation.metrics);
-	renderMetricSummary(simulation.summary);
-
-	const tLabel = document.getElementById("current-time");
-	if (tLabel) tLabel.textContent = step.start;
-
-	// Decide whether to drive the "camera" (scrolling focus) for this step.
-	// In Teaching Mode (CPU stage), we always run the full staged focus
-	// pattern. Outside teaching mode we only apply a lighter focus hint
-	// during auto-play or when the user manually pressed Step.
-	const inTeachingCpuStage = isTeachingMode && teachingStage === "cpu";
-	const shouldGuide =
-		inTeachingCpuStage ||
-		(!isTeachingMode && (isPlaying || lastStepUserInitiated));
-	if (shouldGuide) {
-		guideTeachingFocusForCurrentStep(inTeachingCpuStage);
-	}
-
-	// This flag is only meaningful for the frame in which a manual
-	// step happened; clear it after we've rendered the step.
-	lastStepUserInitiated = false;
-}
-
-function renderGanttAtStep(step) {
-	if (!simulation) return;
-	const chart = document.getElementById("gantt");
-	if (!chart) return;
-
-	chart.innerHTML = "";
-	const currentTime = step.end;
-
-		simulation.gantt.forEach(slot => {
-			const box = document.createElement("div");
-			box.className = "gantt-box";
-			const isIdle = slot.process === "Idle";
-			if (isIdle) box.classList.add("idle");
-			let width = (slot.end - slot.start) * ganttScale;
-			if (!Number.isFinite(width) || width <= 0) {
-				width = 1; // ensure very small/edge segments are still visible
-			}
-			box.style.width = width + "px";
-
-		const isCurrent = slot.start === step.start && slot.process === step.processName;
-		if (isCurrent) {
-			box.classList.add("current");
-		}
-
-		if (!isIdle && slot.end <= currentTime) {
-			box.style.backgroundColor = getColorForProcess(slot.process);
-		} else if (!isIdle && slot.start < currentTime) {
-			box.style.backgroundColor = getColorForProcess(slot.process);
-			box.style.opacity = "0.6";
-		}
-
-		const nameEl = document.createElement("div");
-		nameEl.textContent = slot.process;
-		const timeEl = document.createElement("div");
-		timeEl.className = "time-range";
-		timeEl.textContent = `${slot.start}-${slot.end}`;
-
-		box.appendChild(nameEl);
-		box.appendChild(timeEl);
-		chart.appendChild(box);
-
-		// Keep the current execution segment in view by scrolling the
-		// Gantt container horizontally as the simulation progresses.
-		if (isCurrent) {
-			const container = chart.parentElement;
-			if (container && typeof container.scrollLeft === "number") {
-				const boxRect = box.getBoundingClientRect();
-				const contRect = container.getBoundingClientRect();
-				const boxCenter = (boxRect.left + boxRect.right) / 2;
-				const contCenter = (contRect.left + contRect.right) / 2;
-				container.scrollLeft += boxCenter - contCenter;
-			} else if (box.scrollIntoView) {
-				box.scrollIntoView({ behavior: "smooth", block: "nearest", inline: "center" });
-			}
+	if (simulation && simulation.algo === "cfs" && step.slot && Array.isArray(step.slot.tree)) {
+		// CFS: runnable tasks in red-black tree order (smallest vruntime
+		// first); the leftmost one is the task on the CPU
+		const waiting = step.slot.tree.filter(t => t.name !== step.processName);
+		if (waiting.length === 0) {
+			const emptyMsg = document.createElement("div");
+			emptyMsg.style.color = "#9ca3af";
+			emptyMsg.style.fontSize = "13px";
+			emptyMsg.textContent = "Queue is empty";
+			queueContent.appendChild(emptyMsg);
 		}
-	});
-}
-
-function renderCpuAndQueue(step) {
-	const cpuContent = document.getElementById("cpu-content");
-	const queueContent = document.getElementById("queue-content");
-	if (!cpuContent || !queueContent) return;
-
-	// CPU
-	cpuContent.innerHTML = "";
-	if (step.isIdle) {
-		cpuContent.classList.remove("running");
-		cpuContent.innerHTML = '<div class="idle-indicator">Idle</div>';
-	} else {
-		cpuContent.classList.add("running");
-		const chip = document.createElement("div");
-		chip.className = "process-chip";
-		chip.style.backgroundColor = getColorForProcess(step.processName);
-		chip.innerHTML = `<span class="name">${step.processName}</span>`;
-		cpuContent.appendChild(chip);
+		waiting.forEach(t => {
+			const chip = document.createElement("div");
+			chip.className = "process-chip";
+			chip.style.backgroundColor = getColorForProcess(t.name);
+			chip.innerHTML = `<span class="name">${t.name}</span><span class="meta"> vruntime=${t.vruntime.toFixed(2)}, nice=${t.nice}</span>`;
+			queueContent.appendChild(chip);
+		});
+		return;
 	}
-
-	// Ready queue
-	queueContent.innerHTML = "";
-	if (!step.ready || step.ready.length === 0) {
+	const waiting = queuedProcesses(step);
+	if (waiting.length === 0) {
 		const emptyMsg = document.createElement("div");
 		emptyMsg.style.color = "#9ca3af";
 		emptyMsg.style.fontSize = "13px";
 		emptyMsg.textContent = "Queue is empty";
 		queueContent.appendChild(emptyMsg);
 	} else {
-		step.ready.forEach(p => {
+		waiting.forEach(p => {
 			const chip2 = document.createElement("div");
 			chip2.className = "process-chip";
-			chip2.style.backgroundColor = getColorForProcess(p.name);
+			chip2.style.backgroundColor = getColorForProcess(p.task || p.name);
 			const label = document.createElement("span");
 			label.className = "name";
 			label.textContent = p.name;
 			const meta = document.createElement("span");
 			meta.className = "meta";
-			meta.textContent = ` arrival=${p.arrival}, remaining=${p.remaining}`;
+			if (p.deadline != null) meta.textContent = ` deadline=${p.deadline}, remaining=${p.remaining}`;
+			else if (simulation && (simulation.algo === "lottery" || simulation.algo === "stride")) {
+				const passInfo = step.slot && step.slot.passes ? step.slot.passes.find(q => q.name === p.name) : null;
+				meta.textContent = ` tickets=${p.tickets}` + (passInfo ? `, pass=${passInfo.pass}` : "") + `, remaining=${p.remaining}`;
+			} else if (simulation && simulation.algo === "priority") {
+				meta.textContent = ` priority=${p.priority}` + (p.aging ? ` → ${p.aging.value} (aged)` : "") + `, remaining=${p.remaining}`;
+			} else if (simulation && simulation.algo === "sjf") {
+				meta.textContent = ` burst=${p.burstLeft}` + (p.aging ? ` → ${p.aging.value} (aged)` : "") + `, arrival=${p.arrival}`;
+			} else meta.textContent = ` arrival=${p.arrival}, remaining=${p.remaining}`;
 			chip2.appendChild(label);
 			chip2.appendChild(meta);
 			queueContent.appendChild(chip2);
@@ -1459,9 +1280,13 @@ function renderStepExplanation(step) {
 	box.appendChild(explanationWrapper);
 
 	const p2 = document.createElement("p");
-	const readyNames = step.ready && step.ready.length ? step.ready.map(p => p.name).join(", ") : "(empty)";
+	const queued = queuedProcesses(step);
+	const readyNames = queued.length ? queued.map(p => p.name).join(", ") : "(empty)";
 	const completedNames = step.completed && step.completed.length ? step.completed.join(", ") : "(none)";
-	p2.textContent = `Ready queue: [${readyNames}], Completed: [${completedNames}]`;
+	const blockedNames = step.blocked && step.blocked.length ? step.blocked.map(b => b.name).join(", ") : "";
+	p2.textContent = `Ready queue: [${readyNames}], ` +
+		(blockedNames ? `Waiting for I/O: [${blockedNames}], ` : "") +
+		`Completed: [${completedNames}]`;
 	box.appendChild(p2);
 
 	// As we move through time, show a small live summary of metrics for
@@ -1506,12 +1331,92 @@ function renderStepExplanation(step) {
 	}
 }
 
+const PHENOMENON_ICONS = {
+	convoy: "🚚",
+	starvation: "⏳",
+	"quantum-too-large": "🐢",
+	"quantum-too-small": "🔀"
+};
+
+// Mark the Gantt boxes of `segments` (a finding's segments; null clears)
+function flagGanttSegments(segments) {
+	document.querySelectorAll("#gantt .gantt-box").forEach(box => {
+		const flagged = !!segments && segments.some(seg => seg.process === box.dataset.process &&
+			String(seg.start) === box.dataset.start && String(seg.core) === box.dataset.core);
+		box.classList.toggle("flagged", flagged);
+	});
+}
+
+// Step that draws one segment of a finding
+function stepIndexOfSegment(seg) {
+	if (!simulation) return -1;
+	return simulation.steps.findIndex(s => s.slot && s.slot.process === seg.process &&
+		s.slot.start === seg.start && (s.slot.core || 0) === seg.core);
+}
+
+// Phenomena detected in the whole run (see detectPhenomena), shown above
+// the step explanation. Each segment link jumps to its step; hovering a
+// finding outlines its segments in the Gantt chart.
+function renderPhenomena(findings) {
+	const box = document.getElementById("phenomena");
+	if (!box) return;
+	box.innerHTML = "";
+	box.classList.toggle("has-findings", findings.length > 0);
+
+	findings.forEach(finding => {
+		const item = document.createElement("div");
+		item.className = `phenomenon phenomenon-${finding.kind}`;
+
+		const title = document.createElement("strong");
+		title.textContent = `${PHENOMENON_ICONS[finding.kind] || "⚠️"} ${finding.title}`;
+		const text = document.createElement("p");
+		text.textContent = finding.text;
+		item.appendChild(title);
+		item.appendChild(text);
+
+		const links = document.createElement("div");
+		links.className = "phenomenon-segments";
+		const multiCore = simulation && simulation.cores > 1;
+		finding.segments.forEach(seg => {
+			const index = stepIndexOfSegment(seg);
+			if (index < 0) return;
+			const link = document.createElement("button");
+			link.type = "button";
+			link.className = "phenomenon-segment";
+			link.textContent = `${seg.process} ${seg.start}–${seg.end}${multiCore ? ` (CPU${seg.core})` : ""}`;
+			link.title = "Show this segment";
+			link.addEventListener("click", () => {
+				if (!isTeachingMode) goToStep(index);
+			});
+			links.appendChild(link);
+		});
+		item.appendChild(links);
+
+		item.addEventListener("mouseenter", () => flagGanttSegments(finding.segments));
+		item.addEventListener("mouseleave", () => flagGanttSegments(null));
+		box.appendChild(item);
+	});
+}
+
+// Short decision-log labels for the trace events of a step (dispatches
+// are already the entry itself)
+const LOG_EVENT_LABELS = {
+	arrive: "arrives",
+	wake: "back from I/O",
+	preempt: "preempted",
+	expire: "quantum over",
+	block: "starts I/O",
+	complete: "done",
+	age: "ages"
+};
+
 function renderDecisionLog(currentIdx) {
 	const container = document.getElementById("decision-log");
 	if (!container || !simulation) return;
 	container.innerHTML = "";
 
-	simulation.steps.forEach((s, idx) => {
+	// Only what has happened up to the current step
+	simulation.steps.slice(0, currentIdx + 1).forEach((s, idx) => {
 		const row = document.createElement("div");
 		row.className = "decision-log-entry" + (idx === currentIdx ? " current" : "");
 		const t = document.createElement("span");
@@ -1519,9 +1424,27 @@ function renderDecisionLog(currentIdx) {
 		t.textContent = `${s.start}-${s.end}`;
 		const proc = document.createElement("span");
 		proc.className = "proc";
-		proc.textContent = s.processName;
+		proc.textContent = s.core != null ? `CPU${s.core}: ${s.processName}` : s.processName;
+		if (s.processName === "CS" && s.slot) {
+			proc.textContent += ` (${s.slot.from || "idle"} → ${s.slot.to})`;
+		}
+		if (s.slot && s.slot.level != null) {
+			// MLFQ: show the queue level and any demotion at the end of the slice
+			proc.textContent += s.slot.reason === "demoted"
+				? ` (Q${s.slot.level} → Q${s.slot.toLevel})`
+				: ` (Q${s.slot.level})`;
+		}
 		row.appendChild(t);
 		row.appendChild(proc);
+		const notes = (s.events || [])
+			.map(ev => ev.type === "boost" ? "priority boost" : LOG_EVENT_LABELS[ev.type] && `${ev.process} ${LOG_EVENT_LABELS[ev.type]}`)
+			.filter(Boolean);
+		if (notes.length) {
+			const events = document.createElement("span");
+			events.className = "events";
+			events.textContent = notes.join(", ");
+			row.appendChild(events);
+		}
 		container.appendChild(row);
 
 		// Auto-scroll the decision log so the current step stays in view.
@@ -1531,29 +1454,134 @@ function renderDecisionLog(currentIdx) {
 	});
 }
 
+const RESULT_HEADERS = {
+	processes: ["Process", "Waiting Time (CPU)", "I/O Time", "Turnaround Time", "Response Time"],
+	shares: ["Process", "Waiting Time (CPU)", "I/O Time", "Turnaround Time", "Response Time", "Tickets", "Expected Share While Runnable", "Achieved Share While Runnable"],
+	jobs: ["Job", "Release", "Deadline", "Finish", "Response Time", "Lateness", "Status"]
+};
+
 function showMetrics(metrics) {
 	const tbody = document.querySelector("#result-table tbody");
 	if (!tbody) return;
 	tbody.innerHTML = "";
 
+	// Real-time runs list jobs with their deadline and lateness instead
+	// and proportional-share runs add tickets and CPU shares
+	const jobRun = metrics.length > 0 && metrics[0].deadline != null;
+	const shareRun = metrics.length > 0 && metrics[0].expectedShare != null;
+	const headRow = document.querySelector("#result-table thead tr");
+	if (headRow) {
+		const headers = jobRun ? RESULT_HEADERS.jobs : (shareRun ? RESULT_HEADERS.shares : RESULT_HEADERS.processes);
+		headRow.innerHTML = headers.map(h => `<th>${h}</th>`).join("");
+	}
+	if (jobRun) {
+		metrics.forEach(m => {
+			const row = document.createElement("tr");
+			if (m.missed) row.className = "deadline-missed";
+			row.innerHTML = `
+				<td>${m.process}</td>
+				<td>${m.release}</td>
+				<td>${m.deadline}</td>
+				<td>${m.finish}</td>
+				<td>${m.response}</td>
+				<td>${m.lateness > 0 ? "+" : ""}${m.lateness}</td>
+				<td>${m.missed ? "✖ Missed" : "✔ Met"}</td>
+			`;
+			tbody.appendChild(row);
+		});
+		return;
+	}
+
 	metrics.forEach(m => {
 		const row = document.createElement("tr");
 		row.innerHTML = `
 			<td>${m.process}</td>
 			<td>${m.waiting}</td>
+			<td>${m.io || 0}</td>
 			<td>${m.turnaround}</td>
 			<td>${m.response}</td>
+			${shareRun ? `
+				<td>${m.tickets}</td>
+				<td>${(m.expectedShare * 100).toFixed(1)}%</td>
+				<td>${(m.achievedShare * 100).toFixed(1)}%</td>
+			` : ""}
 		`;
 		tbody.appendChild(row);
 	});
 }
 
+// Definitions shown as tooltips wherever the metrics appear
+const METRIC_DEFINITIONS = {
+	waiting: "Waiting time: time spent in the ready queue (turnaround − CPU time − I/O time).",
+	turnaround: "Turnaround time: completion time − arrival time.",
+	response: "Response time: time of the first run on the CPU − arrival time.",
+	slowdown: "Normalized turnaround (slowdown): turnaround ÷ the CPU time the process needs. 1 means it never waited; 4 means it took four times as long as its own work.",
+	utilization: "CPU utilization: share of the schedule, over all cores, spent running processes (not idle and not context switching).",
+	throughput: "Throughput: completed processes per time unit (number of processes ÷ end time of the schedule).",
+	contextSwitches: "Context switches: how often a CPU changes from one process to another. The first dispatch on a CPU and resuming the same process do not count.",
+	fairness: "Jain's fairness index of the slowdowns, (Σx)² ÷ (n·Σx²): 1 when every process is slowed down equally, down to 1/n when a single process bears all the delay.",
+	avg: "Mean over all processes.",
+	max: "Value of the worst-off process.",
+	stddev: "Standard deviation: how far processes typically are from the mean.",
+	p95: "95th percentile: 95% of the processes are at or below this value."
+};
+
+// Label with its definition as a tooltip
+function metricTerm(label, key) {
+	return `<span class="metric-term" title="${METRIC_DEFINITIONS[key]}">${label}</span>`;
+}
+
+// Spread of waiting, turnaround, response and slowdown, plus the key
+// throughput and fairness figures
+function renderExtendedMetrics(summary) {
+	const rows = [["Waiting", "waiting"], ["Turnaround", "turnaround"], ["Response", "response"], ["Slowdown", "slowdown"]];
+	const utilization = `${(summary.utilization * 100).toFixed(1)}%` +
+		(summary.cores > 1 ? ` (${summary.coreUtilization.map((u, c) => `CPU${c} ${(u * 100).toFixed(0)}%`).join(", ")})` : "");
+	return `
+		<div class="metric-extended">
+			<div class="metric-figures">
+				<span>${metricTerm("CPU Utilization", "utilization")}: ${utilization}</span>
+				<span>${metricTerm("Throughput", "throughput")}: ${summary.throughput.toFixed(3)} / time unit</span>
+				<span>${metricTerm("Context Switches", "contextSwitches")}: ${summary.contextSwitches}</span>
+				<span>${metricTerm("Jain's Fairness", "fairness")}: ${summary.fairness.toFixed(3)}</span>
+			</div>
+			<table class="metrics-so-far-table">
+				<thead><tr>
+					<th>Metric</th><th>${metricTerm("Avg", "avg")}</th><th>${metricTerm("Max", "max")}</th>
+					<th>${metricTerm("Std Dev", "stddev")}</th><th>${metricTerm("P95", "p95")}</th>
+				</tr></thead>
+				<tbody>
+					${rows.map(([label, key]) => {
+						const s = summary.stats[key];
+						return `<tr><td>${metricTerm(label, key)}</td><td>${s.avg.toFixed(2)}</td><td>${s.max.toFixed(2)}</td><td>${s.stddev.toFixed(2)}</td><td>${s.p95.toFixed(2)}</td></tr>`;
+					}).join("")}
+				</tbody>
+			</table>
+		</div>
+	`;
+}
+
 function renderMetricSummary(summary) {
 	const box = document.getElementById("metric-summary");
 	if (!box || !summary) return;
 	box.innerHTML = `Average Waiting Time: ${summary.avgWaiting.toFixed(2)} &nbsp; | &nbsp; ` +
+		(summary.avgIo > 0 ? `Average I/O Time: ${summary.avgIo.toFixed(2)} &nbsp; | &nbsp; ` : "") +
 		`Average Turnaround Time: ${summary.avgTurnaround.toFixed(2)} &nbsp; | &nbsp; ` +
-		`Average Response Time: ${summary.avgResponse.toFixed(2)}`;
+		`Average Response Time: ${summary.avgResponse.toFixed(2)}` +
+		(summary.cores > 1 ? ` &nbsp; | &nbsp; Migrations: ${summary.migrations}` : "") +
+		(summary.switchTime > 0
+			? ` &nbsp; | &nbsp; Switch Overhead: ${summary.switchTime} time units ` +
+				`(${(summary.switchOverhead * 100).toFixed(1)}%) &nbsp; | &nbsp; ` +
+				`CPU Efficiency: ${(summary.cpuEfficiency * 100).toFixed(1)}%`
+			: "") +
+		(summary.jobs
+			? ` &nbsp; | &nbsp; Deadline Misses: ${summary.deadlineMisses} of ${summary.jobs} jobs` +
+				(summary.deadlineMisses
+					? ` (${Object.entries(summary.missesByTask).map(([task, count]) => `${task}: ${count}`).join(", ")})`
+					: "") +
+				` &nbsp; | &nbsp; Max Lateness: ${summary.maxLateness}`
+			: "") +
+		renderExtendedMetrics(summary);
 }
 
 // =============================
@@ -1581,6 +1609,7 @@ function resetSimulation() {
 	pauseSimulation();
 	if (!simulation) return;
 	currentStepIndex = 0;
+	playTime = 0;
 	renderCurrentStep();
 	updateSimStatus("ready");
 }
@@ -1588,6 +1617,11 @@ function resetSimulation() {
 function stepSimulation() {
 	pauseSimulation();
 	if (!simulation || !simulation.steps) return;
+	if (playbackMode === "tick") {
+		lastStepUserInitiated = true;
+		updateSimStatus(advanceTick() ? "running" : "finished");
+		return;
+	}
 	if (currentStepIndex < simulation.steps.length - 1) {
 		// Mark this frame as a user-driven step so that renderCurrentStep
 		// can apply guided focus even outside Teaching Mode (helpful for
@@ -1601,6 +1635,39 @@ function stepSimulation() {
 	}
 }
 
+function stepBackSimulation() {
+	pauseSimulation();
+	if (!simulation || !simulation.steps || simulation.steps.length === 0) return;
+	lastStepUserInitiated = true;
+	if (playbackMode === "tick") {
+		playTime = Math.max(Math.round((playTime - playbackTick) * 1000) / 1000, 0);
+		currentStepIndex = stepIndexAt(playTime);
+	} else if (currentStepIndex > 0) {
+		currentStepIndex--;
+	}
+	renderCurrentStep();
+}
+
+// Jump to step `index` (a clicked Gantt segment). Tick playback shows the
+// first tick of that step.
+function goToStep(index) {
+	pauseSimulation();
+	if (!simulation || !simulation.steps || simulation.steps.length === 0) return;
+	currentStepIndex = Math.max(0, Math.min(index, simulation.steps.length - 1));
+	const step = simulation.steps[currentStepIndex];
+	playTime = Math.min(step.start + playbackTick, step.end);
+	renderCurrentStep();
+}
+
+// Timeline scrubber (and Home / End): show the moment `value`
+function scrubTimeline(value) {
+	pauseSimulation();
+	if (!simulation || !simulation.steps || simulation.steps.length === 0) return;
+	playTime = Math.max(0, Math.min(Number(value) || 0, simulationEndTime()));
+	currentStepIndex = stepIndexAt(playTime);
+	renderCurrentStep();
+}
+
 function scheduleNextStep() {
 	if (!isPlaying || !simulation || !simulation.steps) return;
 	// In Teaching Mode (CPU stage), slow down the automatic playback so
@@ -1608,7 +1675,9 @@ function scheduleNextStep() {
 	// cycle (approximately 2s + 2s + 3s = 7s per step). Outside teaching
 	// mode, keep the normal 1s base interval.
 	let baseInterval;
-	if (isTeachingMode && teachingStage === "cpu") {
+	if (playbackMode === "tick") {
+		baseInterval = TICK_INTERVAL_MS;
+	} else if (isTeachingMode && teachingStage === "cpu") {
 		let factor = 1;
 		if (simulation && simulation.algo && TEACHING_ALGO_PACE[simulation.algo]) {
 			factor = TEACHING_ALGO_PACE[simulation.algo];
@@ -1620,7 +1689,14 @@ function scheduleNextStep() {
 	const interval = baseInterval / playSpeed;
 	playTimer = setTimeout(() => {
 		if (!simulation || !simulation.steps) return;
-		if (currentStepIndex < simulation.steps.length - 1) {
+		if (playbackMode === "tick") {
+			if (advanceTick()) {
+				scheduleNextStep();
+			} else {
+				isPlaying = false;
+				updateSimStatus("finished");
+			}
+		} else if (currentStepIndex < simulation.steps.length - 1) {
 			currentStepIndex++;
 			renderCurrentStep();
 			scheduleNextStep();
@@ -1631,6 +1707,59 @@ function scheduleNextStep() {
 	}, interval);
 }
 
+// Time of one tick on screen at the current speed
+function tickInterval() {
+	return TICK_INTERVAL_MS / playSpeed;
+}
+
+// End of the simulated schedule
+function simulationEndTime() {
+	return simulation.gantt.reduce((end, seg) => Math.max(end, seg.end), 0);
+}
+
+// Index of the step shown at `time`: the last one that has started
+function stepIndexAt(time) {
+	let index = 0;
+	simulation.steps.forEach((s, i) => {
+		if (s.start <= time) index = i;
+	});
+	return index;
+}
+
+// Tick playback: move the clock one tick forward and show the step it is
+// in. Returns false once the end of the schedule has been shown.
+function advanceTick() {
+	const end = simulationEndTime();
+	if (playTime >= end) return false;
+	// Rounded so that fractional ticks do not accumulate float error
+	playTime = Math.min(Math.round((playTime + playbackTick) * 1000) / 1000, end);
+	currentStepIndex = stepIndexAt(playTime);
+	renderCurrentStep();
+	return true;
+}
+
+function changePlaybackMode(mode) {
+	playbackMode = mode === "tick" ? "tick" : "segment";
+	const tickInput = document.getElementById("playback-tick");
+	if (tickInput) tickInput.disabled = playbackMode !== "tick";
+	if (!simulation || !simulation.steps || simulation.steps.length === 0) return;
+	// Continue from where the current step starts
+	playTime = simulation.steps[currentStepIndex].start;
+	renderedStepIndex = -1;
+	renderCurrentStep();
+}
+
+function changePlaybackTick(value) {
+	const tick = Number(value);
+	const input = document.getElementById("playback-tick");
+	if (!Number.isFinite(tick) || tick <= 0) {
+		alert("The playback tick must be a positive number of time units.");
+		if (input) input.value = playbackTick;
+		return;
+	}
+	playbackTick = tick;
+}
+
 function changeSpeed(value) {
 	const v = parseFloat(value) || 1;
 	playSpeed = v;
@@ -1728,18 +1857,28 @@ function resetGanttFit() {
 
 function onAlgoChange(algoKey) {
 	const box = document.getElementById("algo-description");
-	const quantumConfig = document.getElementById("quantum-config");
+	const coresConfig = document.getElementById("cores-config");
+	const def = getAlgorithm(algoKey);
+	const settingsId = def && def.settings ? def.settings.id : null;
 
-	if (quantumConfig) {
-		quantumConfig.style.display = algoKey === "rr" ? "block" : "none";
+	if (coresConfig) {
+		coresConfig.style.display = MULTICORE_POLICIES[algoKey] ? "block" : "none";
 	}
+	// Show only the selected algorithm's settings section
+	listAlgorithms().forEach(other => {
+		if (!other.settings) return;
+		const section = document.getElementById(other.settings.id);
+		if (section) section.style.display = other.settings.id === settingsId ? "block" : "none";
+	});
+	const staticSettings = settingsId ? STATIC_SETTINGS[settingsId] : null;
+	if (staticSettings && staticSettings.onShow) staticSettings.onShow();
 
 	if (!box) {
 		saveUserConfig();
 		return;
 	}
 
-	const info = ALGO_INFO[algoKey];
+	const info = def ? def.info : null;
 	if (!info) {
 		box.textContent = "";
 	} else {
@@ -1748,10 +1887,108 @@ function onAlgoChange(algoKey) {
 	saveUserConfig();
 }
 
-function onQuantumChange() {
+function onCoresConfigChange() {
+	saveUserConfig();
+}
+
+function onSwitchConfigChange() {
+	saveUserConfig();
+}
+
+function onCustomCodeChange() {
 	saveUserConfig();
 }
 
+// Let Tab indent inside the code editor instead of leaving the field
+function onCustomCodeKeyDown(event) {
+	if (event.key !== "Tab") return;
+	event.preventDefault();
+	const input = event.target;
+	const { selectionStart, selectionEnd, value } = input;
+	input.value = value.slice(0, selectionStart) + "  " + value.slice(selectionEnd);
+	input.selectionStart = input.selectionEnd = selectionStart + 2;
+	onCustomCodeChange();
+}
+
+function onRealTimeTasksChange() {
+	renderSchedulabilityPanel();
+	saveUserConfig();
+}
+
+// Fill the analysis panel next to the periodic task input with the
+// utilization bounds and the per-task response-time analysis.
+function renderSchedulabilityPanel() {
+	const panel = document.getElementById("rt-analysis");
+	if (!panel) return;
+
+	const parsed = parseRealTimeTasks(readRealTimeTaskText());
+	if (parsed.error) {
+		panel.innerHTML = `<div class="rt-analysis-error">${parsed.error}</div>`;
+		return;
+	}
+
+	const a = analyzeSchedulability(parsed.tasks);
+	const verdictHtml = (verdict, yes, no) => {
+		if (verdict === true) return `<span class="rt-verdict pass">✔ ${yes}</span>`;
+		if (verdict === false) return `<span class="rt-verdict fail">✖ ${no}</span>`;
+		return `<span class="rt-verdict unknown">? inconclusive</span>`;
+	};
+	const boundNote = a.implicitDeadlines ? "" : " (assumes every deadline equals its period)";
+
+	const rows = a.tasks.map(r => {
+		const chain = r.iterations.join(" → ");
+		let verdict;
+		if (!r.exact) verdict = `<span class="rt-verdict unknown">? D &gt; T not covered</span>`;
+		else verdict = verdictHtml(r.schedulable, "meets deadline", "misses deadline");
+		return `
+			<tr>
+				<td>${r.name}</td>
+				<td>${r.execution}</td>
+				<td>${r.period}</td>
+				<td>${r.deadline}</td>
+				<td>${r.utilization.toFixed(3)}</td>
+				<td>${r.priority}</td>
+				<td>${chain}${r.schedulable ? "" : " &gt; D"}</td>
+				<td>${verdict}</td>
+			</tr>
+		`;
+	}).join("");
+
+	panel.innerHTML = `
+		<div class="rt-analysis-title">Schedulability Analysis (before simulating)</div>
+		<ul class="rt-tests">
+			<li><strong>Total utilization:</strong> U = Σ Cᵢ / Tᵢ = ${a.utilization.toFixed(3)}</li>
+			<li><strong>Liu &amp; Layland bound (RM):</strong> U ≤ n(2^(1/n) − 1) = ${a.liuLaylandBound.toFixed(3)}${boundNote}
+				→ ${verdictHtml(a.verdicts.liuLayland, "all tasks guaranteed", "overloaded (U > 1)")}</li>
+			<li><strong>Hyperbolic bound (RM):</strong> Π (Uᵢ + 1) = ${a.hyperbolicProduct.toFixed(3)} ≤ 2${boundNote}
+				→ ${verdictHtml(a.verdicts.hyperbolic, "all tasks guaranteed", "overloaded (U > 1)")}</li>
+			<li><strong>Response-time analysis (RM priorities):</strong>
+				${verdictHtml(a.verdicts.responseTime, "every task meets its deadline", "some task misses its deadline")}</li>
+			<li><strong>EDF:</strong> ${a.tasks.every(r => r.deadline >= r.period) ? `U = ${a.utilization.toFixed(3)} ≤ 1` : `density Σ Cᵢ / min(Dᵢ, Tᵢ) = ${a.density.toFixed(3)} ≤ 1`}
+				→ ${verdictHtml(a.verdicts.edf, "all tasks guaranteed", "overloaded (U > 1)")}</li>
+		</ul>
+		<table class="data-table rt-rta-table">
+			<thead>
+				<tr>
+					<th>Task</th><th>C</th><th>T</th><th>D</th><th>Uᵢ</th><th>RM Priority</th><th>Rᵢ iterations</th><th>RTA Verdict</th>
+				</tr>
+			</thead>
+			<tbody>${rows}</tbody>
+		</table>
+		<span class="field-hint">Rᵢ = Cᵢ + Σ ⌈Rᵢ / Tⱼ⌉ · Cⱼ over higher-priority tasks j, iterated until it stops changing or exceeds Dᵢ. The bounds are sufficient only: "inconclusive" means the simulation decides.</span>
+	`;
+}
+
+// Show the percentage inputs only for the time-slicing inter-queue policy.
+function onMlqConfigChange(save = true) {
+	const policySelect = document.getElementById("mlq-policy");
+	const sliceConfig = document.getElementById("mlq-slice-config");
+	if (policySelect && sliceConfig) {
+		sliceConfig.style.display = policySelect.value === "slice" ? "grid" : "none";
+	}
+	if (save) saveUserConfig();
+}
+
 function proceedToSimulation() {
 	runScheduler();
 	if (simulation && simulation.steps && simulation.steps.length > 0) {
@@ -1769,59 +2006,96 @@ function runComparison() {
 		return;
 	}
 
-	const compareAlgos = ["fcfs", "sjf", "srtf", "priority", "hrrn", "rr"];
-	const algoLabels = {
-		fcfs: "FCFS",
-		sjf: "SJF",
-		srtf: "SRTF",
-		priority: "Priority",
-		hrrn: "HRRN",
-		rr: "Round Robin"
-	};
-
-	const results = [];
-
-	let quantum = null;
-	const qInput = document.getElementById("quantum");
-	if (qInput) {
-		const val = parseInt(qInput.value, 10);
-		if (val && val > 0) quantum = val;
+	const runOptions = normalizeRunOptions({ ...readCoreInputs(), ...readSwitchInputs() });
+	if (runOptions.error) {
+		alert(runOptions.error);
+		return;
+	}
+	if (runOptions.cores > 1) {
+		const error = affinityError(processes, runOptions.cores);
+		if (error) {
+			alert(error);
+			return;
+		}
 	}
 
-	compareAlgos.forEach(key => {
-		if (key === "rr" && !quantum) return;
-
-		const ps = processes.map(
-			p => new Process(p.name, p.arrival, p.burst, p.priority)
-		);
-
-		let result;
-		if (key === "fcfs") result = fcfs(ps);
-		else if (key === "sjf") result = sjf(ps);
-		else if (key === "srtf") result = srtf(ps);
-		else if (key === "priority") result = priorityScheduling(ps);
-		else if (key === "hrrn") result = hrrn(ps);
-		else if (key === "rr") result = rr(ps, quantum);
-
-		if (!result) return;
-		const summary = computeSummaryMetrics(result.metrics);
-		results.push({
-			key,
-			label: algoLabels[key] || key,
-			gantt: result.gantt,
-			metrics: result.metrics,
-			summary
+	// Algorithms with their own workload (real-time task sets) or invalid
+	// settings are left out. Some algorithms add rows for variants of
+	// their settings (SJF and Priority without aging).
+	const runs = [];
+	listAlgorithms().forEach(def => {
+		if (def.compare === false || def.buildWorkload) return;
+		const options = readSetupOptions(def);
+		const variants = def.compareVariants ? def.compareVariants(options) : [options];
+		variants.forEach(variant => {
+			const run = simulate(processes, def.key, variant);
+			if (!run.error) runs.push({ def, run });
 		});
 	});
 
-	if (results.length === 0) {
-		alert("No algorithms could be compared. Make sure RR has a valid time quantum.");
-		return;
-	}
+	// User-defined algorithms return a promise; wait for all rows so they
+	// keep the registry order.
+	Promise.all(runs.map(({ def, run }) => Promise.resolve(run).then(
+		result => ({ def, result }),
+		err => ({ def, error: err.message })
+	))).then(settled => {
+		const results = [];
+		const failures = [];
+		settled.forEach(({ def, result, error }) => {
+			if (error) {
+				failures.push(`${def.label}: ${error}`);
+				return;
+			}
+			// The single-CPU algorithms run on every configured core; the
+			// others stay single-CPU.
+			const label = def.compareLabel ? def.compareLabel(result.options) : def.label;
+			const multiCoreRun = result.options.cores > 1 && !!MULTICORE_POLICIES[def.key];
+			results.push({
+				key: def.key,
+				label: multiCoreRun ? `${label} (${result.options.cores} cores)` : label,
+				gantt: result.gantt,
+				metrics: result.metrics,
+				summary: result.summary,
+				findings: result.findings
+			});
+		});
+
+		if (failures.length) {
+			alert(`Some algorithms were left out of the comparison:\n${failures.join("\n")}`);
+		}
+		if (results.length === 0) {
+			alert("No algorithms could be compared. Make sure the algorithm settings in the Setup tab are valid.");
+			return;
+		}
 
-	renderComparison(results);
+		renderComparison(results);
+	});
 }
 
+// Per-process metrics of the summary's `stats` and the spread figures
+// shown for each of them in the compare table
+const COMPARE_STAT_METRICS = [["Waiting", "waiting"], ["Turnaround", "turnaround"], ["Response", "response"], ["Slowdown", "slowdown"]];
+const COMPARE_STATS = [
+	["avg", name => `Avg ${name}`],
+	["max", name => `Max ${name}`],
+	["stddev", name => `${name} Std Dev`],
+	["p95", name => `P95 ${name}`]
+];
+
+// Compare-table columns after the algorithm name: header, tooltip and the
+// cell computed from a run's summary
+const COMPARE_COLUMNS = [
+	...COMPARE_STAT_METRICS.flatMap(([name, metric]) => COMPARE_STATS.map(([stat, label]) => ({
+		label: label(name),
+		title: `${METRIC_DEFINITIONS[metric]} ${METRIC_DEFINITIONS[stat]}`,
+		value: s => s.stats[metric][stat].toFixed(2)
+	}))),
+	{ label: "CPU Utilization", title: METRIC_DEFINITIONS.utilization, value: s => `${(s.utilization * 100).toFixed(1)}%` },
+	{ label: "Throughput", title: METRIC_DEFINITIONS.throughput, value: s => s.throughput.toFixed(3) },
+	{ label: "Context Switches", title: METRIC_DEFINITIONS.contextSwitches, value: s => s.contextSwitches },
+	{ label: "Jain's Fairness", title: METRIC_DEFINITIONS.fairness, value: s => s.fairness.toFixed(3) }
+];
+
 function renderComparison(results) {
 	const container = document.getElementById("compare-results");
 	const tableBody = document.querySelector("#compare-table tbody");
@@ -1829,6 +2103,11 @@ function renderComparison(results) {
 
 	container.innerHTML = "";
 	tableBody.innerHTML = "";
+	const headRow = document.querySelector("#compare-table thead tr");
+	if (headRow) {
+		headRow.innerHTML = "<th>Algorithm</th>" +
+			COMPARE_COLUMNS.map(col => `<th title="${col.title}">${col.label}</th>`).join("");
+	}
 
 	// Compute a shared scale so that all comparison Gantt rows use
 	// the same notion of "time width" and fit within the available
@@ -1855,13 +2134,20 @@ function renderComparison(results) {
 	const available = Math.max(containerWidth * 0.85, 80);
 	const compareScale = available / maxEnd;
 
-	results.forEach(item => {
+	results.forEach((item, series) => {
 		const rowDiv = document.createElement("div");
 		rowDiv.className = "compare-row";
 
 		const title = document.createElement("div");
 		title.className = "compare-title";
 		title.textContent = item.label;
+		(item.findings || []).forEach(finding => {
+			const badge = document.createElement("span");
+			badge.className = `phenomenon-badge phenomenon-${finding.kind}`;
+			badge.textContent = `${PHENOMENON_ICONS[finding.kind] || "⚠️"} ${finding.title}`;
+			badge.title = finding.text;
+			title.appendChild(badge);
+		});
 
 		const ganttRow = document.createElement("div");
 		ganttRow.className = "compare-gantt";
@@ -1870,130 +2156,693 @@ function renderComparison(results) {
 		rowDiv.appendChild(title);
 		rowDiv.appendChild(ganttRow);
 		container.appendChild(rowDiv);
+		rowDiv.addEventListener("mouseenter", () => highlightComparisonSeries(series));
+		rowDiv.addEventListener("mouseleave", () => highlightComparisonSeries(null));
+
+		const tr = document.createElement("tr");
+		const s = item.summary;
+		tr.innerHTML = `<td>${item.label}</td>` + COMPARE_COLUMNS.map(col => `<td>${col.value(s)}</td>`).join("");
+		tableBody.appendChild(tr);
+	});
+
+	renderComparisonCharts(results);
+}
+
+// -----------------------------
+// Comparison charts (SVG)
+// -----------------------------
+
+// One color per compared algorithm, in Compare-row order
+const SERIES_COLORS = [
+	"#4f46e5", "#f97316", "#10b981", "#ef4444", "#0ea5e9", "#a855f7",
+	"#eab308", "#14b8a6", "#ec4899", "#64748b", "#84cc16", "#f43f5e"
+];
+
+const seriesColor = index => SERIES_COLORS[index % SERIES_COLORS.length];
+
+// Radar axes: each algorithm is drawn relative to the best one on that
+// axis (1 = best), so a larger polygon is better everywhere.
+const RADAR_AXES = [
+	{ label: "Avg Waiting", key: "waiting", value: s => s.avgWaiting, better: "low" },
+	{ label: "Avg Turnaround", key: "turnaround", value: s => s.avgTurnaround, better: "low" },
+	{ label: "Avg Response", key: "response", value: s => s.avgResponse, better: "low" },
+	{ label: "Avg Slowdown", key: "slowdown", value: s => s.stats.slowdown.avg, better: "low" },
+	{ label: "Context Switches", key: "contextSwitches", value: s => s.contextSwitches, better: "low" },
+	{ label: "Utilization", key: "utilization", value: s => s.utilization, better: "high" },
+	{ label: "Throughput", key: "throughput", value: s => s.throughput, better: "high" },
+	{ label: "Fairness", key: "fairness", value: s => s.fairness, better: "high" }
+];
+
+function svgElement(tag, attrs = {}, text = null) {
+	const el = document.createElementNS("http://www.w3.org/2000/svg", tag);
+	Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, String(value)));
+	if (text != null) el.textContent = text;
+	return el;
+}
+
+// Round `value` up to 1, 2 or 5 times a power of ten (axis tick spacing)
+function niceStep(value) {
+	if (!(value > 0)) return 1;
+	const power = Math.pow(10, Math.floor(Math.log10(value)));
+	const fraction = value / power;
+	return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * power;
+}
+
+// Highlight one compared algorithm (its Gantt row, table row and chart
+// marks) and dim the others; `null` clears the highlight.
+function highlightComparisonSeries(series) {
+	document.querySelectorAll("#compare-results .compare-row").forEach((row, i) => {
+		row.classList.toggle("highlight", i === series);
+	});
+	document.querySelectorAll("#compare-table tbody tr").forEach((row, i) => {
+		row.classList.toggle("highlight", i === series);
+	});
+	document.querySelectorAll("#compare-charts [data-series]").forEach(el => {
+		el.classList.toggle("dimmed", series != null && Number(el.dataset.series) !== series);
+	});
+}
+
+// Mark an SVG element as belonging to compared algorithm `series`, with a
+// hover tooltip
+function bindSeries(el, series, tooltip) {
+	el.dataset.series = series;
+	el.appendChild(svgElement("title", {}, tooltip));
+	el.addEventListener("mouseenter", () => highlightComparisonSeries(series));
+	el.addEventListener("mouseleave", () => highlightComparisonSeries(null));
+	return el;
+}
+
+// Grouped bar chart: one group per `groups` entry ({ label, values }), one
+// bar per compared algorithm in each group
+function groupedBarChart(title, groups, results) {
+	const width = 560;
+	const height = 270;
+	const margin = { top: 34, right: 12, bottom: 40, left: 48 };
+	const plotW = width - margin.left - margin.right;
+	const plotH = height - margin.top - margin.bottom;
+	const max = Math.max(0, ...groups.flatMap(g => g.values));
+	const step = niceStep(max / 4);
+	const top = Math.max(step, Math.ceil(max / step) * step);
+	const y = value => margin.top + plotH - (value / top) * plotH;
+
+	const svg = svgElement("svg", { viewBox: `0 0 ${width} ${height}`, class: "compare-chart", role: "img", "aria-label": title });
+	svg.appendChild(svgElement("text", { x: width / 2, y: 20, "text-anchor": "middle", class: "chart-title" }, title));
+	for (let tick = 0; tick <= top + step / 2; tick += step) {
+		svg.appendChild(svgElement("line", { x1: margin.left, x2: width - margin.right, y1: y(tick), y2: y(tick), class: "chart-grid" }));
+		svg.appendChild(svgElement("text", { x: margin.left - 6, y: y(tick) + 4, "text-anchor": "end", class: "chart-tick" }, Number(tick.toFixed(2))));
+	}
+
+	const groupW = plotW / groups.length;
+	const barW = (groupW * 0.8) / results.length;
+	groups.forEach((group, gi) => {
+		const groupX = margin.left + gi * groupW + groupW * 0.1;
+		group.values.forEach((value, series) => {
+			const bar = svgElement("rect", {
+				x: groupX + series * barW,
+				y: y(value),
+				width: Math.max(barW - 1, 1),
+				height: Math.max(margin.top + plotH - y(value), 0),
+				fill: seriesColor(series),
+				class: "chart-bar"
+			});
+			svg.appendChild(bindSeries(bar, series, `${results[series].label} — ${group.label}: ${Number(value.toFixed(2))}`));
+		});
+		svg.appendChild(svgElement("text", {
+			x: margin.left + gi * groupW + groupW / 2,
+			y: height - margin.bottom + 16,
+			"text-anchor": "middle",
+			class: "chart-label"
+		}, group.label));
+	});
+	return svg;
+}
+
+// Radar chart of RADAR_AXES, one polygon per compared algorithm
+function radarChart(title, results) {
+	const width = 420;
+	const height = 380;
+	const cx = width / 2;
+	const cy = height / 2 + 12;
+	const radius = 130;
+	const n = RADAR_AXES.length;
+	const point = (axis, r) => {
+		const angle = -Math.PI / 2 + (2 * Math.PI * axis) / n;
+		return [cx + r * Math.cos(angle), cy + r * Math.sin(angle)].map(v => Number(v.toFixed(1)));
+	};
+
+	const svg = svgElement("svg", { viewBox: `0 0 ${width} ${height}`, class: "compare-chart", role: "img", "aria-label": title });
+	svg.appendChild(svgElement("text", { x: width / 2, y: 20, "text-anchor": "middle", class: "chart-title" }, title));
+	[0.25, 0.5, 0.75, 1].forEach(level => {
+		const ring = RADAR_AXES.map((_, a) => point(a, radius * level).join(",")).join(" ");
+		svg.appendChild(svgElement("polygon", { points: ring, class: "chart-grid" }));
+	});
+	RADAR_AXES.forEach((axis, a) => {
+		const [x, yEnd] = point(a, radius);
+		svg.appendChild(svgElement("line", { x1: cx, y1: cy, x2: x, y2: yEnd, class: "chart-grid" }));
+		const [lx, ly] = point(a, radius + 18);
+		const anchor = Math.abs(lx - cx) < 1 ? "middle" : (lx > cx ? "start" : "end");
+		const label = svgElement("text", { x: lx, y: ly + 4, "text-anchor": anchor, class: "chart-label" }, `${axis.label} ${axis.better === "low" ? "↓" : "↑"}`);
+		label.appendChild(svgElement("title", {}, METRIC_DEFINITIONS[axis.key]));
+		svg.appendChild(label);
+	});
+
+	const raw = RADAR_AXES.map(axis => results.map(item => axis.value(item.summary)));
+	const scores = RADAR_AXES.map((axis, a) => {
+		const values = raw[a];
+		const best = axis.better === "low" ? Math.min(...values) : Math.max(...values);
+		return values.map(v => {
+			if (axis.better === "low") return v === 0 ? 1 : best / v;
+			return best > 0 ? v / best : 1;
+		});
+	});
+	results.forEach((item, series) => {
+		const points = RADAR_AXES.map((_, a) => point(a, radius * scores[a][series]).join(",")).join(" ");
+		const polygon = svgElement("polygon", {
+			points,
+			fill: seriesColor(series),
+			stroke: seriesColor(series),
+			class: "chart-area"
+		});
+		const tooltip = `${item.label}: ` + RADAR_AXES.map((axis, a) => `${axis.label} ${Number(raw[a][series].toFixed(2))} (${scores[a][series].toFixed(2)})`).join(", ");
+		svg.appendChild(bindSeries(polygon, series, tooltip));
+	});
+	return svg;
+}
+
+// Charts under the comparison table: averages and worst cases per metric,
+// per-process waiting time and the radar of normalized metrics
+function renderComparisonCharts(results) {
+	const box = document.getElementById("compare-charts");
+	if (!box) return;
+	box.innerHTML = "";
+
+	const legend = document.createElement("div");
+	legend.className = "chart-legend";
+	results.forEach((item, series) => {
+		const entry = document.createElement("span");
+		entry.className = "chart-legend-item";
+		entry.dataset.series = series;
+		entry.innerHTML = `<span class="chart-swatch" style="background:${seriesColor(series)}"></span>${item.label}`;
+		entry.addEventListener("mouseenter", () => highlightComparisonSeries(series));
+		entry.addEventListener("mouseleave", () => highlightComparisonSeries(null));
+		legend.appendChild(entry);
+	});
+	box.appendChild(legend);
+
+	const metricGroups = stat => [["Waiting", "waiting"], ["Turnaround", "turnaround"], ["Response", "response"]]
+		.map(([label, key]) => ({ label, values: results.map(item => item.summary.stats[key][stat]) }));
+	const processNames = results[0].metrics.map(m => m.process);
+	const waitingByProcess = processNames.map(name => ({
+		label: name,
+		values: results.map(item => {
+			const m = item.metrics.find(entry => entry.process === name);
+			return m ? m.waiting : 0;
+		})
+	}));
+
+	const charts = [
+		groupedBarChart("Average time per metric", metricGroups("avg"), results),
+		groupedBarChart("Worst-case (max) time per metric", metricGroups("max"), results),
+		groupedBarChart("Waiting time per process", waitingByProcess, results),
+		radarChart("Normalized metrics (1 = best of the compared algorithms)", results)
+	];
+	charts.forEach(svg => {
+		const card = document.createElement("div");
+		card.className = "compare-chart-card";
+		card.appendChild(svg);
+		box.appendChild(card);
+	});
+}
+
+// `lanes` is false when drawing the segments of one core's lane
+function renderGanttStatic(container, ganttData, scale, lanes = true) {
+	container.innerHTML = "";
+	if (!ganttData || ganttData.length === 0) return;
+
+	// Multi-core schedules: one lane per core, each drawn like a single CPU
+	const cores = lanes ? ganttData.reduce((max, slot) => Math.max(max, (slot.core || 0) + 1), 1) : 1;
+	container.classList.toggle("gantt-lanes", cores > 1);
+	if (cores > 1) {
+		const tracks = createGanttLanes(container, cores);
+		tracks.forEach((track, c) => {
+			renderGanttStatic(track, ganttData.filter(slot => slot.core === c), scale, false);
+		});
+		return;
+	}
+
+	ganttData.forEach(slot => {
+		const box = document.createElement("div");
+		box.className = "gantt-box";
+		const isIdle = slot.process === "Idle";
+		const isSwitch = slot.process === "CS";
+		if (isIdle) box.classList.add("idle");
+		if (isSwitch) {
+			box.classList.add("cs");
+			box.title = `Context switch ${slot.from || "idle"} → ${slot.to}`;
+		}
+		const duration = (slot.end - slot.start);
+		const pxPerUnit = (typeof scale === "number" && scale > 0) ? scale : 24;
+		let width = duration * pxPerUnit;
+		if (!Number.isFinite(width) || width <= 0) width = 2;
+		box.style.width = width + "px";
+		if (!isIdle && !isSwitch) box.style.backgroundColor = getColorForProcess(slot.task || slot.process);
+
+		const nameEl = document.createElement("div");
+		nameEl.textContent = slot.process;
+		const timeEl = document.createElement("div");
+		timeEl.className = "time-range";
+		timeEl.textContent = `${slot.start}-${slot.end}`;
+
+		box.appendChild(nameEl);
+		box.appendChild(timeEl);
+		markDeadlineMisses(box, slot);
+		container.appendChild(box);
+	});
+}
+
+// =============================
+// HEFT (HEFT/Cloud tab)
+// =============================
+
+const HEFT_EXAMPLE = {
+	processors: [
+		{ id: "VM1", speed: 1.0 },
+		{ id: "VM2", speed: 0.6 },
+		{ id: "VM3", speed: 1.2 }
+	],
+	tasks: [
+		{ id: "T1", weight: 10, parents: [] },
+		{ id: "T2", weight: 18, parents: ["T1"] },
+		{ id: "T3", weight: 12, parents: ["T1"] },
+		{ id: "T4", weight: 14, parents: ["T2", "T3"] },
+		{ id: "T5", weight: 10, parents: ["T3"] },
+		{ id: "T6", weight: 8, parents: ["T4", "T5"] }
+	],
+	comm: 2
+};
+
+// VM set edited on the HEFT tab (starts as the example's three VMs). Both
+// the example DAG and custom DAGs run on it.
+let heftVms = HEFT_EXAMPLE.processors.map(p => ({ ...p }));
+
+// VMs, default communication cost and slot policy from the HEFT tab
+// editor, with the problems that keep them from being used
+function readHeftMachines() {
+	const problems = [];
+	const seen = new Set();
+	if (heftVms.length === 0) problems.push("Add at least one VM.");
+	heftVms.forEach((vm, i) => {
+		const row = `VM ${i + 1}`;
+		if (!vm.id) problems.push(`${row} has no name.`);
+		else if (/\s/.test(vm.id)) problems.push(`${row}: the name "${vm.id}" may not contain spaces.`);
+		else if (seen.has(vm.id)) problems.push(`${row}: the name ${vm.id} is used more than once.`);
+		seen.add(vm.id);
+		if (!(vm.speed > 0)) problems.push(`${row}${vm.id ? ` (${vm.id})` : ""} needs a speed greater than 0.`);
+	});
+	const commInput = document.getElementById("heft-comm");
+	const comm = commInput ? parseFloat(commInput.value) : HEFT_EXAMPLE.comm;
+	if (!Number.isFinite(comm) || comm < 0) problems.push("The communication cost must be a number (0 or more).");
+	const policySelect = document.getElementById("heft-slot-policy");
+	const insertion = !policySelect || policySelect.value !== "append";
+	return { problems, processors: heftVms.map(vm => ({ id: vm.id, speed: vm.speed })), comm, insertion };
+}
+
+// The editor's VM settings, or null after reporting what is wrong
+function heftMachinesOrAlert() {
+	const { problems, processors, comm, insertion } = readHeftMachines();
+	if (problems.length) {
+		alert(`Please fix the HEFT VM settings:\n${problems.join("\n")}`);
+		return null;
+	}
+	return { processors, comm, insertion };
+}
+
+function renderHeftVmTable() {
+	const tbody = document.querySelector("#heft-vm-table tbody");
+	if (!tbody) return;
+	tbody.innerHTML = "";
+
+	heftVms.forEach((vm, index) => {
+		const tr = document.createElement("tr");
+
+		const tdName = document.createElement("td");
+		const nameInput = document.createElement("input");
+		nameInput.type = "text";
+		nameInput.className = "input-field";
+		nameInput.value = vm.id;
+		nameInput.setAttribute("aria-label", `Name of VM ${index + 1}`);
+		nameInput.addEventListener("input", () => { vm.id = nameInput.value.trim(); });
+		nameInput.addEventListener("change", onHeftSettingsChange);
+		tdName.appendChild(nameInput);
+		tr.appendChild(tdName);
+
+		const tdSpeed = document.createElement("td");
+		const speedInput = document.createElement("input");
+		speedInput.type = "number";
+		speedInput.className = "input-field";
+		speedInput.min = "0";
+		speedInput.step = "0.1";
+		speedInput.value = vm.speed;
+		speedInput.setAttribute("aria-label", `Speed of VM ${index + 1}`);
+		speedInput.addEventListener("input", () => { vm.speed = parseFloat(speedInput.value); });
+		speedInput.addEventListener("change", onHeftSettingsChange);
+		tdSpeed.appendChild(speedInput);
+		tr.appendChild(tdSpeed);
+
+		const tdActions = document.createElement("td");
+		const btn = document.createElement("button");
+		btn.className = "btn-secondary";
+		btn.textContent = "Remove";
+		btn.addEventListener("click", () => removeHeftVm(index));
+		tdActions.appendChild(btn);
+		tr.appendChild(tdActions);
+
+		tbody.appendChild(tr);
+	});
+}
+
+function addHeftVm() {
+	let n = heftVms.length + 1;
+	while (heftVms.some(vm => vm.id === `VM${n}`)) n++;
+	heftVms.push({ id: `VM${n}`, speed: 1.0 });
+	renderHeftVmTable();
+	onHeftSettingsChange();
+}
+
+function removeHeftVm(index) {
+	heftVms.splice(index, 1);
+	renderHeftVmTable();
+	onHeftSettingsChange();
+}
+
+// Tasks of the DAG on screen (the example before anything has run) for the
+// VMs `processors`. A cost matrix is keyed by VM id, so it is read again for
+// the new VM set; returns null after reporting when its columns no longer
+// match the VMs.
+function heftTasksForVms(processors) {
+	if (!heftSimulation) return HEFT_EXAMPLE.tasks;
+	const tasks = heftSimulation.result.tasks;
+	if (!tasks.some(t => t.costs)) return tasks;
+	const uncosted = tasks.map(t => {
+		const task = { ...t };
+		delete task.costs;
+		return task;
+	});
+	return applyHeftCostMatrix(uncosted, processors) ? uncosted : null;
+}
+
+// Re-run the DAG on screen when the VM set, communication cost, slot policy
+// or algorithm changes
+// (silently skipped while the settings are invalid; running reports why).
+// When the cost matrix no longer fits the VMs the run on screen stays.
+function onHeftSettingsChange() {
+	if (!heftSimulation) return;
+	const { problems, processors, comm, insertion } = readHeftMachines();
+	if (problems.length) return;
+	const tasks = heftTasksForVms(processors);
+	if (!tasks) return;
+	startHeftSimulation({ tasks, processors, comm, insertion });
+}
+
+function runHeftExample() {
+	const machines = heftMachinesOrAlert();
+	if (!machines) return;
+	startHeftSimulation({ tasks: HEFT_EXAMPLE.tasks, ...machines });
+}
+
+function runHeftCustom() {
+	const machines = heftMachinesOrAlert();
+	if (!machines) return;
+	const cfg = parseHeftDagInput();
+	if (!cfg) return;
+	if (!applyHeftCostMatrix(cfg.tasks, machines.processors)) return;
+	startHeftSimulation({ ...cfg, ...machines });
+}
+
+// Optional computation-cost matrix W for a custom DAG: one line per task,
+// "TaskID cost cost ...", with one cost per VM in the editor's order.
+// Tasks without a line cost weight / speed. Returns false after reporting
+// problems.
+function applyHeftCostMatrix(tasks, processors) {
+	const area = document.getElementById("heft-cost-matrix");
+	if (!area) return true;
+	const tasksById = {};
+	tasks.forEach(t => { tasksById[t.id] = t; });
+
+	const problems = [];
+	const rows = {};
+	area.value.split(/\n/).forEach((raw, index) => {
+		const line = raw.trim();
+		if (!line) return;
+		const [id, ...values] = line.split(/\s+/);
+		const where = `Line ${index + 1}`;
+		if (!tasksById[id]) {
+			problems.push(`${where}: ${id} is not a task of the DAG.`);
+			return;
+		}
+		if (rows[id]) {
+			problems.push(`${where}: ${id} already has a row.`);
+			return;
+		}
+		if (values.length !== processors.length) {
+			problems.push(`${where}: ${id} needs ${processors.length} costs (${processors.map(p => p.id).join(", ")}), found ${values.length}.`);
+			return;
+		}
+		const costs = values.map(Number);
+		if (costs.some(c => !Number.isFinite(c) || c <= 0)) {
+			problems.push(`${where}: the costs of ${id} must be numbers greater than 0.`);
+			return;
+		}
+		rows[id] = {};
+		processors.forEach((p, i) => { rows[id][p.id] = costs[i]; });
+	});
 
-		const tr = document.createElement("tr");
-		const s = item.summary;
-		tr.innerHTML = `
-			<td>${item.label}</td>
-			<td>${s.avgWaiting.toFixed(2)}</td>
-			<td>${s.avgTurnaround.toFixed(2)}</td>
-			<td>${s.avgResponse.toFixed(2)}</td>
-		`;
-		tableBody.appendChild(tr);
+	if (problems.length) {
+		alert(`Please fix the computation cost matrix:\n${problems.join("\n")}`);
+		return false;
+	}
+	tasks.forEach(t => {
+		if (rows[t.id]) t.costs = rows[t.id];
 	});
+	return true;
 }
 
-function renderGanttStatic(container, ganttData, scale) {
-	container.innerHTML = "";
-	if (!ganttData || ganttData.length === 0) return;
+// Check the custom DAG text line by line. Returns the tasks together with
+// every problem found as { line, message } (1-based line numbers):
+// malformed lines, duplicate IDs, non-positive weights, bad edge costs,
+// self-loops, unknown or repeated parents, and cycles with their path.
+function validateHeftDag(text) {
+	const errors = [];
+	const tasks = [];
+	const lineOf = {};
+	const rows = String(text || "").split(/\r?\n/);
+
+	rows.forEach((raw, index) => {
+		const line = index + 1;
+		const trimmed = raw.trim();
+		if (!trimmed) return;
+		const parts = trimmed.split(/\s+/);
+		if (parts.length < 2 || parts.length > 3) {
+			errors.push({ line, message: `expected "TaskID Weight [Parent1[:comm],Parent2...]", e.g. T4 14 T2:3,T3.` });
+			return;
+		}
+		const [id, weightText, parentText] = parts;
+		if (lineOf[id] != null) {
+			errors.push({ line, message: `task ${id} is already defined on line ${lineOf[id]}.` });
+			return;
+		}
+		lineOf[id] = line;
 
-	ganttData.forEach(slot => {
-		const box = document.createElement("div");
-		box.className = "gantt-box";
-		const isIdle = slot.process === "Idle";
-		if (isIdle) box.classList.add("idle");
-		const duration = (slot.end - slot.start);
-		const pxPerUnit = (typeof scale === "number" && scale > 0) ? scale : 24;
-		let width = duration * pxPerUnit;
-		if (!Number.isFinite(width) || width <= 0) width = 2;
-		box.style.width = width + "px";
-		if (!isIdle) box.style.backgroundColor = getColorForProcess(slot.process);
+		const weight = Number(weightText);
+		if (!Number.isFinite(weight) || weight <= 0) {
+			errors.push({ line, message: `the weight of ${id} must be a number greater than 0, not "${weightText}".` });
+		}
 
-		const nameEl = document.createElement("div");
-		nameEl.textContent = slot.process;
-		const timeEl = document.createElement("div");
-		timeEl.className = "time-range";
-		timeEl.textContent = `${slot.start}-${slot.end}`;
+		// Parents may carry their own communication cost: "T2:3,T3:5"
+		const parents = [];
+		const edgeCosts = {};
+		(parentText || "").split(",").map(s => s.trim()).filter(Boolean).forEach(entry => {
+			const [pid, cost, extra] = entry.split(":");
+			if (!pid || extra !== undefined) {
+				errors.push({ line, message: `"${entry}" is not a parent; write Parent or Parent:comm.` });
+				return;
+			}
+			if (pid === id) {
+				errors.push({ line, message: `${id} lists itself as a parent (self-loop).` });
+				return;
+			}
+			if (parents.includes(pid)) {
+				errors.push({ line, message: `${pid} is listed twice as a parent of ${id}.` });
+				return;
+			}
+			if (cost !== undefined) {
+				const value = Number(cost);
+				if (cost === "" || !Number.isFinite(value) || value < 0) {
+					errors.push({ line, message: `the communication cost in "${entry}" must be a number (0 or more).` });
+					return;
+				}
+				edgeCosts[pid] = value;
+			}
+			parents.push(pid);
+		});
+		tasks.push({ id, weight, parents, edgeCosts });
+	});
 
-		box.appendChild(nameEl);
-		box.appendChild(timeEl);
-		container.appendChild(box);
+	tasks.forEach(t => {
+		t.parents.forEach(pid => {
+			if (lineOf[pid] == null) {
+				errors.push({ line: lineOf[t.id], message: `parent ${pid} of ${t.id} is not defined.` });
+			}
+		});
 	});
-}
 
-// =============================
-// HEFT (HEFT/Cloud tab)
-// =============================
+	// Depth-first search along parent → child edges; an edge back to a task
+	// still on the path closes a cycle. Each cycle is reported once, on the
+	// line of the task whose parent list closes it.
+	const children = {};
+	tasks.forEach(t => { children[t.id] = []; });
+	tasks.forEach(t => {
+		t.parents.forEach(pid => {
+			if (children[pid]) children[pid].push(t.id);
+		});
+	});
+	const state = {};
+	const path = [];
+	const seenCycles = new Set();
+	function visit(id) {
+		state[id] = "active";
+		path.push(id);
+		children[id].forEach(cid => {
+			if (state[cid] === "active") {
+				const cycle = path.slice(path.indexOf(cid));
+				const key = [...cycle].sort().join(",");
+				if (!seenCycles.has(key)) {
+					seenCycles.add(key);
+					errors.push({ line: lineOf[cid], message: `cycle ${[...cycle, cid].join(" → ")} (each task is a parent of the next), so the graph is not a DAG.` });
+				}
+			} else if (!state[cid]) {
+				visit(cid);
+			}
+		});
+		path.pop();
+		state[id] = "done";
+	}
+	tasks.forEach(t => {
+		if (!state[t.id]) visit(t.id);
+	});
 
-const HEFT_EXAMPLE = {
-	processors: [
-		{ id: "VM1", speed: 1.0 },
-		{ id: "VM2", speed: 0.6 },
-		{ id: "VM3", speed: 1.2 }
-	],
-	tasks: [
-		{ id: "T1", weight: 10, parents: [] },
-		{ id: "T2", weight: 18, parents: ["T1"] },
-		{ id: "T3", weight: 12, parents: ["T1"] },
-		{ id: "T4", weight: 14, parents: ["T2", "T3"] },
-		{ id: "T5", weight: 10, parents: ["T3"] },
-		{ id: "T6", weight: 8, parents: ["T4", "T5"] }
-	],
-	comm: 2
-};
+	errors.sort((a, b) => a.line - b.line);
+	return { tasks, errors };
+}
 
-function runHeftExample() {
-	startHeftSimulation(HEFT_EXAMPLE);
+// Show the problems of the DAG text under the input; each one selects its
+// line in the textarea when clicked. An empty list clears the panel.
+function renderHeftDagErrors(errors) {
+	const area = document.getElementById("heft-dag-input");
+	const box = document.getElementById("heft-dag-errors");
+	if (!box) return;
+	box.innerHTML = "";
+	if (area) area.setAttribute("aria-invalid", errors.length ? "true" : "false");
+	if (!errors.length) return;
+
+	const list = document.createElement("ul");
+	errors.forEach(err => {
+		const item = document.createElement("li");
+		const jump = document.createElement("button");
+		jump.type = "button";
+		jump.className = "heft-dag-error-line";
+		jump.textContent = `Line ${err.line}`;
+		jump.addEventListener("click", () => selectHeftDagLine(err.line));
+		const message = document.createElement("span");
+		message.textContent = `: ${err.message}`;
+		item.appendChild(jump);
+		item.appendChild(message);
+		list.appendChild(item);
+	});
+	box.appendChild(list);
 }
 
-function runHeftCustom() {
-	const cfg = parseHeftDagInput();
-	if (!cfg) return;
-	startHeftSimulation(cfg);
+function selectHeftDagLine(line) {
+	const area = document.getElementById("heft-dag-input");
+	if (!area) return;
+	const rows = area.value.split("\n");
+	const start = rows.slice(0, line - 1).reduce((n, row) => n + row.length + 1, 0);
+	area.focus();
+	area.setSelectionRange(start, start + (rows[line - 1] || "").length);
+}
+
+// Live check while typing, like the periodic task input
+function onHeftDagInputChange() {
+	const area = document.getElementById("heft-dag-input");
+	if (!area) return;
+	renderHeftDagErrors(validateHeftDag(area.value).errors);
 }
 
 function parseHeftDagInput() {
 	const area = document.getElementById("heft-dag-input");
 	if (!area) return null;
-	const lines = area.value.split(/\n/).map(l => l.trim()).filter(l => l.length > 0);
-	if (lines.length === 0) {
+	if (!area.value.trim()) {
 		alert("Please enter at least one task line in the HEFT DAG input, or use the example.");
 		return null;
 	}
 
-	const tasks = [];
-	lines.forEach(line => {
-		const parts = line.split(/\s+/);
-		if (parts.length < 2) return;
-		const id = parts[0];
-		const weight = parseFloat(parts[1]);
-		if (!id || !Number.isFinite(weight) || weight <= 0) return;
-		let parents = [];
-		if (parts.length >= 3) {
-			parents = parts[2].split(",").map(s => s.trim()).filter(Boolean);
-		}
-		tasks.push({ id, weight, parents });
-	});
-
-	if (tasks.length === 0) {
-		alert("No valid tasks were parsed from the HEFT DAG input.");
+	const { tasks, errors } = validateHeftDag(area.value);
+	renderHeftDagErrors(errors);
+	if (errors.length) {
+		const box = document.getElementById("heft-dag-errors");
+		if (box && box.scrollIntoView) box.scrollIntoView({ behavior: "smooth", block: "nearest" });
 		return null;
 	}
+	return { tasks };
+}
 
-	const validIds = new Set(tasks.map(t => t.id));
-	tasks.forEach(t => {
-		t.parents = (t.parents || []).filter(pid => validIds.has(pid));
-	});
+// Computation cost W(t, p): the task's entry in the cost matrix, or
+// weight / speed when the DAG has none (uniform machines)
+function heftCompCost(t, p) {
+	return t.costs && t.costs[p.id] != null ? t.costs[p.id] : t.weight / p.speed;
+}
 
-	return {
-		processors: HEFT_EXAMPLE.processors,
-		tasks,
-		comm: HEFT_EXAMPLE.comm
-	};
+// Communication cost of the edge parentId → t between two processors: the
+// edge's own cost from the DAG text, or the default cost
+function heftEdgeCost(t, parentId, comm) {
+	return t.edgeCosts && t.edgeCosts[parentId] != null ? t.edgeCosts[parentId] : (comm || 0);
 }
 
-function computeHeftSchedule(example) {
+// Earliest start for a task of the given length on a VM whose busy slots
+// (sorted by start) are `slots`, once its inputs are ready. Insertion-based
+// HEFT may use an idle gap between two scheduled tasks; the gap is returned
+// with the tasks around it (`after` is null for the gap before the first).
+function findHeftSlot(slots, ready, length) {
+	let prevEnd = 0;
+	let prevTask = null;
+	for (const slot of slots) {
+		const start = Math.max(ready, prevEnd);
+		if (start + length <= slot.start + 1e-9) {
+			return { start, gap: { from: prevEnd, to: slot.start, after: prevTask, before: slot.taskId } };
+		}
+		prevEnd = slot.end;
+		prevTask = slot.taskId;
+	}
+	return { start: Math.max(ready, prevEnd), gap: null };
+}
+
+// Cost model shared by the DAG schedulers: tasks by id, successor lists,
+// average computation costs and upward ranks rank_u
+function buildDagModel(example) {
 	const { tasks, processors, comm } = example;
 
 	const avgComp = {};
 	tasks.forEach(t => {
 		let sum = 0;
 		processors.forEach(p => {
-			sum += t.weight / p.speed;
+			sum += heftCompCost(t, p);
 		});
 		avgComp[t.id] = sum / processors.length;
 	});
 
+	const tasksById = {};
+	tasks.forEach(t => { tasksById[t.id] = t; });
+
 	const succMap = {};
 	tasks.forEach(t => { succMap[t.id] = []; });
 	tasks.forEach(t => {
@@ -2013,7 +2862,7 @@ function computeHeftSchedule(example) {
 			let maxSucc = 0;
 			succs.forEach(sid => {
 				const childRank = rankUp(sid);
-				const edgeComm = comm || 0;
+				const edgeComm = heftEdgeCost(tasksById[sid], taskId, comm);
 				maxSucc = Math.max(maxSucc, childRank + edgeComm);
 			});
 			rank[taskId] = avgComp[taskId] + maxSucc;
@@ -2023,31 +2872,32 @@ function computeHeftSchedule(example) {
 
 	tasks.forEach(t => rankUp(t.id));
 
-	const orderedTasks = [...tasks].sort((a, b) => rank[b.id] - rank[a.id]);
-
-	const procAvailable = {};
-	processors.forEach(p => { procAvailable[p.id] = 0; });
+	return { tasks, processors, comm, tasksById, succMap, avgComp, rank };
+}
 
+// Placement state shared by the DAG schedulers. options(t) lists, for every
+// processor, when t could start and finish there given the tasks placed so
+// far (insertion-based or append-only); place(t, option) books one of them.
+function createDagPlacer(model, insertion) {
+	const { processors, comm } = model;
+	// Busy slots per processor, sorted by start time
+	const procSlots = {};
+	processors.forEach(p => { procSlots[p.id] = []; });
 	const assignment = {};
-	const decisions = [];
-
-	orderedTasks.forEach(t => {
-		let bestProc = null;
-		let bestStart = 0;
-		let bestEnd = Infinity;
 
-		const options = [];
-
-		processors.forEach(p => {
-			const compTime = t.weight / p.speed;
-			let est = procAvailable[p.id];
+	function options(t) {
+		return processors.map(p => {
+			const compTime = heftCompCost(t, p);
+			const slots = procSlots[p.id];
+			const available = slots.length ? slots[slots.length - 1].end : 0;
+			let ready = 0;
 			const parentImpacts = [];
 
 			(t.parents || []).forEach(pid => {
 				const parentA = assignment[pid];
 				if (!parentA) return;
 				const sameProc = parentA.processorId === p.id;
-				const edgeComm = sameProc ? 0 : (comm || 0);
+				const edgeComm = sameProc ? 0 : heftEdgeCost(t, pid, comm);
 				const readyTime = parentA.end + edgeComm;
 				parentImpacts.push({
 					parentId: pid,
@@ -2056,38 +2906,335 @@ function computeHeftSchedule(example) {
 					comm: edgeComm,
 					readyTime
 				});
-				est = Math.max(est, readyTime);
+				ready = Math.max(ready, readyTime);
 			});
 
-			const finish = est + compTime;
-			options.push({ processorId: p.id, start: est, end: finish, compTime, parentImpacts });
-
-			if (finish < bestEnd) {
-				bestEnd = finish;
-				bestStart = est;
-				bestProc = p.id;
-			}
+			const slot = insertion
+				? findHeftSlot(slots, ready, compTime)
+				: { start: Math.max(ready, available), gap: null };
+			return { processorId: p.id, start: slot.start, end: slot.start + compTime, compTime, parentImpacts, available, gap: slot.gap };
 		});
+	}
+
+	function place(t, option) {
+		assignment[t.id] = { processorId: option.processorId, start: option.start, end: option.end };
+		procSlots[option.processorId].push({ taskId: t.id, start: option.start, end: option.end });
+		procSlots[option.processorId].sort((a, b) => a.start - b.start);
+	}
 
-		assignment[t.id] = { processorId: bestProc, start: bestStart, end: bestEnd };
-		procAvailable[bestProc] = bestEnd;
+	// Unplaced tasks whose parents are all placed, in DAG order
+	function readyTasks() {
+		return model.tasks.filter(t => !assignment[t.id] && (t.parents || []).every(pid => assignment[pid]));
+	}
 
-		decisions.push({
-			taskId: t.id,
-			chosenProcessorId: bestProc,
-			chosenStart: bestStart,
-			chosenEnd: bestEnd,
-			options
+	function schedule() {
+		return Object.keys(assignment).map(tid => {
+			const a = assignment[tid];
+			return { taskId: tid, processorId: a.processorId, start: a.start, end: a.end };
 		});
+	}
+
+	return { options, place, readyTasks, schedule };
+}
+
+// First option with the smallest finish time (or smallest `key`)
+function earliestDagOption(options, key = o => o.end) {
+	return options.reduce((best, o) => (key(o) < key(best) ? o : best), options[0]);
+}
+
+function dagDecision(t, chosen, options, extra = {}) {
+	return {
+		taskId: t.id,
+		chosenProcessorId: chosen.processorId,
+		chosenStart: chosen.start,
+		chosenEnd: chosen.end,
+		options,
+		...extra
+	};
+}
+
+// Highest-priority ready task first; ties keep the DAG order
+function pickByPriority(ready, priority) {
+	return ready.reduce((best, t) => (priority[t.id] > priority[best.id] + 1e-9 ? t : best), ready[0]);
+}
+
+function computeHeftSchedule(example) {
+	const model = buildDagModel(example);
+	const { tasks, processors, comm, rank, avgComp } = model;
+	// Insertion-based slot selection is the default, as in the HEFT paper
+	const insertion = example.insertion !== false;
+	const placer = createDagPlacer(model, insertion);
+
+	const orderedTasks = [...tasks].sort((a, b) => rank[b.id] - rank[a.id]);
+
+	const decisions = [];
+	orderedTasks.forEach(t => {
+		const options = placer.options(t);
+		const chosen = earliestDagOption(options);
+		placer.place(t, chosen);
+		decisions.push(dagDecision(t, chosen, options));
 	});
 
-	const schedule = [];
-	Object.keys(assignment).forEach(tid => {
-		const a = assignment[tid];
-		schedule.push({ taskId: tid, processorId: a.processorId, start: a.start, end: a.end });
+	return { algo: "heft", processors, tasks, schedule: placer.schedule(), rank, orderedTasks, decisions, avgComp, comm, insertion };
+}
+
+// CPOP (Topcuoglu et al.): priority = rank_u + rank_d. The tasks whose
+// priority equals the entry task's form the critical path, and all of them
+// go to the one processor that runs the whole path fastest; the others take
+// the processor with the earliest finish time.
+function computeCpopSchedule(example) {
+	const model = buildDagModel(example);
+	const { tasks, processors, comm, rank, avgComp, tasksById, succMap } = model;
+	const insertion = example.insertion !== false;
+	const placer = createDagPlacer(model, insertion);
+
+	const rankDown = {};
+	function rankDownOf(taskId) {
+		if (rankDown[taskId] != null) return rankDown[taskId];
+		const t = tasksById[taskId];
+		let value = 0;
+		(t.parents || []).forEach(pid => {
+			value = Math.max(value, rankDownOf(pid) + avgComp[pid] + heftEdgeCost(t, pid, comm));
+		});
+		rankDown[taskId] = value;
+		return value;
+	}
+	tasks.forEach(t => rankDownOf(t.id));
+
+	const priority = {};
+	tasks.forEach(t => { priority[t.id] = rank[t.id] + rankDown[t.id]; });
+
+	const entries = tasks.filter(t => !(t.parents || []).length);
+	const entry = pickByPriority(entries, priority);
+	const cpLength = priority[entry.id];
+	const criticalPath = [entry.id];
+	let current = entry.id;
+	for (;;) {
+		const next = succMap[current].find(sid => Math.abs(priority[sid] - cpLength) < 1e-6);
+		if (!next) break;
+		criticalPath.push(next);
+		current = next;
+	}
+	const onPath = new Set(criticalPath);
+	const pathCost = p => criticalPath.reduce((sum, id) => sum + heftCompCost(tasksById[id], p), 0);
+	const cpProcessor = processors.reduce((best, p) => (pathCost(p) < pathCost(best) ? p : best), processors[0]).id;
+
+	const decisions = [];
+	let ready = placer.readyTasks();
+	while (ready.length) {
+		const t = pickByPriority(ready, priority);
+		const options = placer.options(t);
+		const critical = onPath.has(t.id);
+		const chosen = critical ? options.find(o => o.processorId === cpProcessor) : earliestDagOption(options);
+		placer.place(t, chosen);
+		decisions.push(dagDecision(t, chosen, options, { critical }));
+		ready = placer.readyTasks();
+	}
+
+	const orderedTasks = [...tasks].sort((a, b) => priority[b.id] - priority[a.id]);
+	return {
+		algo: "cpop", processors, tasks, schedule: placer.schedule(), rank: priority, rankUp: rank, rankDown,
+		criticalPath, cpLength, cpProcessor, orderedTasks, decisions, avgComp, comm, insertion
+	};
+}
+
+// PEFT (Arabnejad & Barbosa): the optimistic cost table OCT(t, p) is the
+// longest remaining path to an exit when t runs on p and every later task
+// picks its best processor. Tasks go by rank_oct (mean OCT over processors)
+// to the processor with the smallest EFT + OCT.
+function computePeftSchedule(example) {
+	const model = buildDagModel(example);
+	const { tasks, processors, comm, avgComp, tasksById, succMap } = model;
+	const insertion = example.insertion !== false;
+	const placer = createDagPlacer(model, insertion);
+
+	const oct = {};
+	function octOf(taskId) {
+		if (oct[taskId]) return oct[taskId];
+		const row = {};
+		processors.forEach(p => {
+			let value = 0;
+			succMap[taskId].forEach(sid => {
+				const s = tasksById[sid];
+				const best = Math.min(...processors.map(w =>
+					octOf(sid)[w.id] + heftCompCost(s, w) + (w.id === p.id ? 0 : heftEdgeCost(s, taskId, comm))));
+				value = Math.max(value, best);
+			});
+			row[p.id] = value;
+		});
+		oct[taskId] = row;
+		return row;
+	}
+	tasks.forEach(t => octOf(t.id));
+
+	const rankOct = {};
+	tasks.forEach(t => {
+		rankOct[t.id] = processors.reduce((sum, p) => sum + oct[t.id][p.id], 0) / processors.length;
 	});
 
-	return { processors, tasks, schedule, rank, orderedTasks, decisions, avgComp, comm };
+	const decisions = [];
+	let ready = placer.readyTasks();
+	while (ready.length) {
+		const t = pickByPriority(ready, rankOct);
+		const options = placer.options(t).map(o => ({ ...o, oct: oct[t.id][o.processorId], oeft: o.end + oct[t.id][o.processorId] }));
+		const chosen = earliestDagOption(options, o => o.oeft);
+		placer.place(t, chosen);
+		decisions.push(dagDecision(t, chosen, options));
+		ready = placer.readyTasks();
+	}
+
+	const orderedTasks = [...tasks].sort((a, b) => rankOct[b.id] - rankOct[a.id]);
+	return { algo: "peft", processors, tasks, schedule: placer.schedule(), rank: rankOct, oct, orderedTasks, decisions, avgComp, comm, insertion };
+}
+
+// Min-Min and Max-Min: among the ready tasks, each with its earliest finish
+// time over all processors, place the one whose finish time is smallest
+// (Min-Min) or largest (Max-Min) on its best processor; repeat.
+function computeBatchDagSchedule(example, algo) {
+	const model = buildDagModel(example);
+	const { tasks, processors, comm, avgComp } = model;
+	const insertion = example.insertion !== false;
+	const placer = createDagPlacer(model, insertion);
+
+	const decisions = [];
+	let ready = placer.readyTasks();
+	while (ready.length) {
+		const candidates = ready.map(t => {
+			const options = placer.options(t);
+			return { task: t, options, best: earliestDagOption(options) };
+		});
+		const pick = candidates.reduce((sel, c) => {
+			const better = algo === "maxmin" ? c.best.end > sel.best.end + 1e-9 : c.best.end < sel.best.end - 1e-9;
+			return better ? c : sel;
+		}, candidates[0]);
+		placer.place(pick.task, pick.best);
+		decisions.push(dagDecision(pick.task, pick.best, pick.options, {
+			candidates: candidates.map(c => ({ taskId: c.task.id, processorId: c.best.processorId, end: c.best.end }))
+		}));
+		ready = placer.readyTasks();
+	}
+
+	return { algo, processors, tasks, schedule: placer.schedule(), rank: null, orderedTasks: [], decisions, avgComp, comm, insertion };
+}
+
+// DAG schedulers selectable on the HEFT tab. Each returns the same result
+// shape (schedule, per-task decisions with every processor's option, and
+// the priorities it ordered tasks by), so the Gantt, DAG view and step
+// explanations work for all of them.
+const DAG_ALGORITHMS = {
+	heft: {
+		label: "HEFT",
+		schedule: computeHeftSchedule,
+		rankRule: "HEFT first computes an upward rank for each task: rank_u(i) = avgComp(i) + max_{j in succ(i)} (comm(i,j) + rank_u(j)), where avgComp(i) is the mean of W(i, P) over all processors and comm(i,j) is the cost of the edge i → j.",
+		placeRule: "Then HEFT maps tasks onto processors by minimizing the earliest finish time (EFT) for each candidate processor."
+	},
+	cpop: {
+		label: "CPOP",
+		schedule: computeCpopSchedule,
+		rankRule: "CPOP ranks each task by priority(i) = rank_u(i) + rank_d(i), where rank_d(i) = max_{j in pred(i)} (rank_d(j) + avgComp(j) + comm(j,i)). Tasks whose priority equals the entry task's lie on the critical path.",
+		placeRule: "Then CPOP takes the ready task with the highest priority: critical-path tasks all go to the processor that runs the whole path fastest, the others to the processor with the earliest finish time (EFT)."
+	},
+	peft: {
+		label: "PEFT",
+		schedule: computePeftSchedule,
+		rankRule: "PEFT builds an optimistic cost table: OCT(i, P) = max_{j in succ(i)} min_{Q} (OCT(j, Q) + W(j, Q) + (Q = P ? 0 : comm(i,j))), the remaining path length if i runs on P. rank_oct(i) is the mean of OCT(i, P) over all processors.",
+		placeRule: "Then PEFT takes the ready task with the highest rank_oct and picks the processor with the smallest optimistic EFT, O_EFT(i, P) = EFT(i, P) + OCT(i, P)."
+	},
+	minmin: {
+		label: "Min-Min",
+		schedule: example => computeBatchDagSchedule(example, "minmin"),
+		placeRule: "Min-Min computes the earliest finish time of every ready task over all processors, places the task whose earliest finish time is smallest on that processor, and repeats."
+	},
+	maxmin: {
+		label: "Max-Min",
+		schedule: example => computeBatchDagSchedule(example, "maxmin"),
+		placeRule: "Max-Min computes the earliest finish time of every ready task over all processors, places the task whose earliest finish time is largest on that processor, and repeats, so long tasks are not left until the end."
+	}
+};
+
+function selectedDagAlgorithm() {
+	const select = document.getElementById("heft-algo");
+	return select && DAG_ALGORITHMS[select.value] ? select.value : "heft";
+}
+
+// "the idle gap 9.0–26.0 between T1 and T4" for a task slotted into a gap
+function describeHeftGap(gap) {
+	const where = gap.after ? `between ${gap.after} and ${gap.before}` : `before ${gap.before}`;
+	return `the idle gap ${gap.from.toFixed(1)}–${gap.to.toFixed(1)} ${where}`;
+}
+
+// Priority step of CPOP (rank_u + rank_d) or PEFT (rank_oct) for one task,
+// with the formula lines shown under the explanation
+function dagPriorityStep(result, rid) {
+	if (result.algo === "cpop") {
+		const up = result.rankUp[rid];
+		const down = result.rankDown[rid];
+		const value = result.rank[rid];
+		const critical = result.criticalPath.includes(rid);
+		const pathStr = result.criticalPath.join(" → ");
+		const verdict = critical
+			? `It equals |CP| = ${result.cpLength.toFixed(2)}, so ${rid} lies on the critical path ${pathStr}, which runs fastest on ${result.cpProcessor}.`
+			: `It is below |CP| = ${result.cpLength.toFixed(2)}, so ${rid} is not on the critical path.`;
+		return {
+			kind: "rank",
+			title: `Compute priority for ${rid}`,
+			text: `For task ${rid}, priority(${rid}) = rank_u(${rid}) + rank_d(${rid}) ≈ ${up.toFixed(2)} + ${down.toFixed(2)} = ${value.toFixed(2)}. ${verdict}`,
+			taskId: rid,
+			formula: [
+				`priority(${rid}) = rank_u(${rid}) + rank_d(${rid}) = ${up.toFixed(2)} + ${down.toFixed(2)} = ${value.toFixed(2)}`,
+				critical
+					? `priority(${rid}) = |CP| = ${result.cpLength.toFixed(2)} → critical path, placed on ${result.cpProcessor}`
+					: `priority(${rid}) < |CP| = ${result.cpLength.toFixed(2)} → placed by earliest finish time`
+			]
+		};
+	}
+	const row = result.processors.map(p => result.oct[rid][p.id]);
+	const rowStr = result.processors.map((p, i) => `${p.id} ${row[i].toFixed(1)}`).join(", ");
+	const value = result.rank[rid];
+	const text = row.every(v => v === 0)
+		? `Task ${rid} is an exit task, so OCT(${rid}, P) = 0 on every processor and rank_oct(${rid}) = 0.`
+		: `For task ${rid}, the optimistic cost table gives OCT(${rid}, P) = ${rowStr}, so rank_oct(${rid}) = their mean ≈ ${value.toFixed(2)}.`;
+	return {
+		kind: "rank",
+		title: `Compute rank_oct for ${rid}`,
+		text,
+		taskId: rid,
+		formula: [
+			`OCT(${rid}, ·) = ${rowStr}`,
+			`rank_oct(${rid}) = (${row.map(v => v.toFixed(1)).join(" + ")}) / ${row.length} = ${value.toFixed(2)}`
+		]
+	};
+}
+
+// Why a DAG scheduler placed a task where it did: a sentence for the step
+// text and a shorter reason for the formula panel
+function dagChoiceText(result, dec, chosen) {
+	const proc = dec.chosenProcessorId;
+	const label = DAG_ALGORITHMS[result.algo].label;
+	if (result.algo === "cpop" && dec.critical) {
+		return {
+			sentence: `${dec.taskId} is on the critical path, so CPOP places it on the critical-path processor ${proc} (finish ${chosen.end.toFixed(1)}).`,
+			reason: `${dec.taskId} is on the critical path, so CPOP uses the critical-path processor ${proc}.`
+		};
+	}
+	if (result.algo === "peft") {
+		return {
+			sentence: `PEFT chooses ${proc} because it gives the smallest optimistic EFT (EFT ${chosen.end.toFixed(1)} + OCT ${chosen.oct.toFixed(1)} = ${chosen.oeft.toFixed(1)}).`,
+			reason: `PEFT chooses ${proc} because its O_EFT is the smallest.`
+		};
+	}
+	if (dec.candidates) {
+		const which = result.algo === "maxmin" ? "largest" : "smallest";
+		const list = dec.candidates.map(c => `${c.taskId} ${c.end.toFixed(1)} on ${c.processorId}`).join(", ");
+		return {
+			sentence: `Ready tasks with their earliest finish times: ${list}. ${label} picks ${dec.taskId}, the ${which}, and places it on ${proc}.`,
+			reason: `${label} picks ${dec.taskId} because its earliest finish time (${chosen.end.toFixed(1)}) is the ${which} among the ready tasks.`
+		};
+	}
+	return {
+		sentence: `${label} chooses ${proc} because it gives the earliest finish time (${chosen.end.toFixed(1)}).`,
+		reason: `${label} chooses ${proc} because its EFT is the smallest.`
+	};
 }
 
 function buildHeftSteps(result) {
@@ -2095,7 +3242,9 @@ function buildHeftSteps(result) {
 	const tasksById = {};
 	result.tasks.forEach(t => { tasksById[t.id] = t; });
 
-	if (result.orderedTasks && result.orderedTasks.length) {
+	if (result.algo === "cpop" || result.algo === "peft") {
+		result.orderedTasks.forEach(t => steps.push(dagPriorityStep(result, t.id)));
+	} else if (result.orderedTasks && result.orderedTasks.length) {
 		result.orderedTasks.forEach(t => {
 			const rid = t.id;
 			const rankVal = result.rank[rid];
@@ -2104,21 +3253,25 @@ function buildHeftSteps(result) {
 				.filter(x => Array.isArray(x.parents) && x.parents.includes(rid))
 				.map(x => x.id);
 
+			const costs = result.processors.map(p => heftCompCost(tasksById[rid], p));
+			const avgSource = tasksById[rid].costs
+				? ` (mean of W(${rid}, ·) = ${costs.map(c => Number(c.toFixed(2))).join(", ")})`
+				: "";
 			let text;
 			if (!succIds.length) {
 				if (avg != null) {
-					text = `Task ${rid} has no successors, so rank_u(${rid}) equals its average computation cost ≈ ${avg.toFixed(2)}.`;
+					text = `Task ${rid} has no successors, so rank_u(${rid}) equals its average computation cost ≈ ${avg.toFixed(2)}${avgSource}.`;
 				} else {
 					text = `Task ${rid} has no successors, so rank_u(${rid}) is simply its average computation cost (≈ ${rankVal.toFixed(2)}).`;
 				}
 			} else {
-				const comm = result.comm || 0;
 				const pieces = succIds.map(cid => {
+					const comm = heftEdgeCost(tasksById[cid], rid, result.comm);
 					const term = result.rank[cid] + comm;
-					return `${cid}: rank_u(${cid}) + comm(${comm}) = ${term.toFixed(2)}`;
+					return `${cid}: rank_u(${cid}) + comm(${rid}→${cid}) ${comm} = ${term.toFixed(2)}`;
 				}).join("; ");
 				const avgStr = avg != null ? avg.toFixed(2) : "avgComp";
-				text = `For task ${rid}, rank_u(${rid}) = avgComp(${rid}) + max_succ(rank_u(child) + comm). Here avgComp(${rid}) ≈ ${avgStr}, children terms: ${pieces}, so rank_u(${rid}) ≈ ${rankVal.toFixed(2)}.`;
+				text = `For task ${rid}, rank_u(${rid}) = avgComp(${rid}) + max_succ(rank_u(child) + comm). Here avgComp(${rid}) ≈ ${avgStr}${avgSource}, children terms: ${pieces}, so rank_u(${rid}) ≈ ${rankVal.toFixed(2)}.`;
 			}
 
 			steps.push({ kind: "rank", title: `Compute rank_u for ${rid}`, text, taskId: rid });
@@ -2139,21 +3292,29 @@ function buildHeftSteps(result) {
 				} else {
 					impactsStr = "no parents, the task can start whenever its processor is free.";
 				}
-				parts.push(`On ${opt.processorId}: start at ${opt.start.toFixed(1)}, finish at ${opt.end.toFixed(1)}. Parents: ${impactsStr}`);
+				const gapStr = opt.gap ? ` in ${describeHeftGap(opt.gap)}` : "";
+				const octStr = opt.oct != null ? `, OCT ${opt.oct.toFixed(1)}, O_EFT ${opt.oeft.toFixed(1)}` : "";
+				parts.push(`On ${opt.processorId}: W(${dec.taskId}, ${opt.processorId}) = ${opt.compTime.toFixed(1)}, start at ${opt.start.toFixed(1)}${gapStr}, finish at ${opt.end.toFixed(1)}${octStr}. Parents: ${impactsStr}`);
 			});
 
 			const optionSummary = parts.join(" | ");
 			const chosen = dec.options.find(o => o.processorId === dec.chosenProcessorId) || dec.options[0];
-			const text = `Scheduling task ${dec.taskId}: ${optionSummary}. HEFT chooses ${dec.chosenProcessorId} because it gives the earliest finish time (${chosen.end.toFixed(1)}).`;
+			const choice = dagChoiceText(result, dec, chosen);
+			let text = `Scheduling task ${dec.taskId}: ${optionSummary}. ${choice.sentence}`;
+			if (chosen.gap) {
+				text += ` ${dec.taskId} is slotted into ${describeHeftGap(chosen.gap)} on ${dec.chosenProcessorId}, instead of waiting until ${chosen.available.toFixed(1)} when the VM's last task ends.`;
+			}
 
 			steps.push({
 				kind: "schedule",
-				title: `Place ${dec.taskId} on ${dec.chosenProcessorId}`,
+				title: `Place ${dec.taskId} on ${dec.chosenProcessorId}${chosen.gap ? " (into an idle gap)" : ""}`,
 				text,
 				taskId: dec.taskId,
 				processorId: dec.chosenProcessorId,
 				start: chosen.start,
-				end: chosen.end
+				end: chosen.end,
+				gap: chosen.gap,
+				reason: choice.reason
 			});
 		});
 	}
@@ -2167,7 +3328,23 @@ function renderHeftResult(result) {
 	if (!infoBox || !ganttBox) return;
 
 	const makespan = result.schedule.reduce((m, s) => Math.max(m, s.end), 0);
-	infoBox.innerHTML = `HEFT scheduled ${result.tasks.length} tasks on ${result.processors.length} processors. Estimated makespan ≈ ${makespan.toFixed(1)} time units.`;
+	const vmList = result.processors.map(p => `${p.id} (speed ${p.speed})`).join(", ");
+	const edgeCount = result.tasks.reduce((n, t) => n + Object.keys(t.edgeCosts || {}).length, 0);
+	const matrixCount = result.tasks.filter(t => t.costs).length;
+	const costNotes = [];
+	if (edgeCount) costNotes.push(`${edgeCount} edge${edgeCount === 1 ? "" : "s"} with their own communication cost`);
+	if (matrixCount) costNotes.push(`W matrix costs for ${matrixCount} task${matrixCount === 1 ? "" : "s"}`);
+	const costStr = costNotes.length ? ` (${costNotes.join("; ")})` : "";
+	const cpStr = result.criticalPath ? ` Critical path ${result.criticalPath.join(" → ")} on ${result.cpProcessor}.` : "";
+	infoBox.innerHTML = `${DAG_ALGORITHMS[result.algo].label} scheduled ${result.tasks.length} tasks on ${result.processors.length} processors: ${vmList}, communication cost ${result.comm}${costStr}, ${result.insertion ? "insertion-based" : "append-only"} slots. Estimated makespan ≈ ${makespan.toFixed(1)} time units.${cpStr}`;
+
+	renderHeftGantt(ganttBox, result, makespan);
+}
+
+// One lane per processor with its tasks and idle time, scaled so the lane
+// spans 0..scaleEnd (stacked comparison charts share one scale)
+function renderHeftGantt(ganttBox, result, scaleEnd) {
+	ganttBox.innerHTML = "";
 
 	const byProc = {};
 	result.processors.forEach(p => { byProc[p.id] = []; });
@@ -2179,8 +3356,6 @@ function renderHeftResult(result) {
 		byProc[pid].sort((a, b) => a.start - b.start);
 	});
 
-	ganttBox.innerHTML = "";
-
 	result.processors.forEach(p => {
 		const row = document.createElement("div");
 		row.className = "heft-row";
@@ -2192,8 +3367,21 @@ function renderHeftResult(result) {
 		const track = document.createElement("div");
 		track.className = "heft-row-track";
 
+		// Idle stretches are drawn too, so every row shares the same time
+		// scale and tasks inserted into gaps show where they landed
+		const addIdle = (from, to) => {
+			if (to - from <= 1e-9) return;
+			const idle = document.createElement("div");
+			idle.className = "heft-idle";
+			idle.style.flex = `${to - from} 0 0`;
+			idle.title = `${p.id} idle ${from.toFixed(1)}-${to.toFixed(1)}`;
+			track.appendChild(idle);
+		};
+		let cursor = 0;
 		const tasks = byProc[p.id] || [];
 		tasks.forEach(seg => {
+			addIdle(cursor, seg.start);
+			cursor = Math.max(cursor, seg.end);
 			const box = document.createElement("div");
 			box.className = "gantt-box";
 			box.style.backgroundColor = getColorForProcess(seg.taskId);
@@ -2219,6 +3407,7 @@ function renderHeftResult(result) {
 			box.appendChild(timeEl);
 			track.appendChild(box);
 		});
+		addIdle(cursor, scaleEnd);
 
 		row.appendChild(label);
 		row.appendChild(track);
@@ -2336,11 +3525,23 @@ function renderHeftGraph(result) {
 			line.setAttribute("y1", String(from.y));
 			line.setAttribute("x2", String(to.x));
 			line.setAttribute("y2", String(to.y));
-			line.setAttribute("class", "heft-edge");
+			const critical = result.criticalPath && result.criticalPath.includes(pid) && result.criticalPath.includes(t.id);
+			line.setAttribute("class", critical ? "heft-edge critical" : "heft-edge");
 			line.setAttribute("marker-end", "url(#heft-arrow)");
 			line.dataset.from = pid;
 			line.dataset.to = t.id;
 			svg.appendChild(line);
+
+			// Edges with their own communication cost are labelled at their midpoint
+			if (t.edgeCosts && t.edgeCosts[pid] != null) {
+				const cost = document.createElementNS(svgNS, "text");
+				cost.setAttribute("class", "heft-edge-cost");
+				cost.setAttribute("x", String((from.x + to.x) / 2));
+				cost.setAttribute("y", String((from.y + to.y) / 2 - 4));
+				cost.setAttribute("text-anchor", "middle");
+				cost.textContent = `c=${t.edgeCosts[pid]}`;
+				svg.appendChild(cost);
+			}
 		});
 	});
 
@@ -2349,7 +3550,7 @@ function renderHeftGraph(result) {
 		const pos = nodePos[t.id];
 		if (!pos) return;
 		const g = document.createElementNS(svgNS, "g");
-		g.setAttribute("class", "heft-node");
+		g.setAttribute("class", result.criticalPath && result.criticalPath.includes(t.id) ? "heft-node critical" : "heft-node");
 		g.dataset.taskId = t.id;
 
 		const circle = document.createElementNS(svgNS, "circle");
@@ -2388,6 +3589,97 @@ function renderHeftGraph(result) {
 	container.appendChild(svg);
 }
 
+// Makespan, schedule length ratio and speedup of a DAG schedule. SLR divides
+// the makespan by the critical path with every task on its fastest processor
+// and no communication, so it is never below 1; speedup divides the time the
+// fastest single processor needs for all tasks by the makespan.
+function dagScheduleMetrics(result) {
+	const tasksById = {};
+	result.tasks.forEach(t => { tasksById[t.id] = t; });
+	const minCost = t => Math.min(...result.processors.map(p => heftCompCost(t, p)));
+
+	const longest = {};
+	function pathTo(id) {
+		if (longest[id] == null) {
+			const t = tasksById[id];
+			longest[id] = minCost(t) + Math.max(0, ...(t.parents || []).map(pathTo));
+		}
+		return longest[id];
+	}
+	const cpMin = Math.max(...result.tasks.map(t => pathTo(t.id)));
+	const sequential = Math.min(...result.processors.map(p =>
+		result.tasks.reduce((sum, t) => sum + heftCompCost(t, p), 0)));
+	const makespan = result.schedule.reduce((m, s) => Math.max(m, s.end), 0);
+	return { makespan, slr: makespan / cpMin, speedup: sequential / makespan };
+}
+
+// Run every DAG algorithm on the DAG on screen (the example before anything
+// has run) with the current VM settings
+function runDagComparison() {
+	const machines = heftMachinesOrAlert();
+	if (!machines) return;
+	const tasks = heftTasksForVms(machines.processors);
+	if (!tasks) return;
+	const results = Object.keys(DAG_ALGORITHMS).map(key => {
+		const result = DAG_ALGORITHMS[key].schedule({ tasks, ...machines });
+		return { key, label: DAG_ALGORITHMS[key].label, result, metrics: dagScheduleMetrics(result) };
+	});
+	renderDagComparison(results);
+}
+
+function highlightDagComparisonRow(index) {
+	document.querySelectorAll("#dag-compare-results .compare-row").forEach((row, i) => {
+		row.classList.toggle("highlight", i === index);
+	});
+	document.querySelectorAll("#dag-compare-table tbody tr").forEach((row, i) => {
+		row.classList.toggle("highlight", i === index);
+	});
+}
+
+// Stacked multi-VM Gantt charts on one time scale, plus the metrics table
+// with the best value in each column in bold
+function renderDagComparison(results) {
+	const container = document.getElementById("dag-compare-results");
+	const tableBody = document.querySelector("#dag-compare-table tbody");
+	if (!container || !tableBody) return;
+	container.innerHTML = "";
+	tableBody.innerHTML = "";
+
+	const scaleEnd = Math.max(...results.map(r => r.metrics.makespan));
+	const bestMakespan = Math.min(...results.map(r => r.metrics.makespan));
+	const bestSlr = Math.min(...results.map(r => r.metrics.slr));
+	const bestSpeedup = Math.max(...results.map(r => r.metrics.speedup));
+	const cell = (value, best) => (Math.abs(value - best) < 1e-9 ? `<strong>${value.toFixed(2)}</strong>` : value.toFixed(2));
+
+	results.forEach((item, index) => {
+		const { makespan, slr, speedup } = item.metrics;
+
+		const rowDiv = document.createElement("div");
+		rowDiv.className = "compare-row";
+		const title = document.createElement("div");
+		title.className = "compare-title";
+		title.textContent = `${item.label}: makespan ${makespan.toFixed(1)}, SLR ${slr.toFixed(2)}, speedup ${speedup.toFixed(2)}`;
+		if (item.result.criticalPath) {
+			title.textContent += ` (critical path ${item.result.criticalPath.join(" → ")} on ${item.result.cpProcessor})`;
+		}
+		const gantt = document.createElement("div");
+		gantt.className = "heft-timeline";
+		renderHeftGantt(gantt, item.result, scaleEnd);
+		rowDiv.appendChild(title);
+		rowDiv.appendChild(gantt);
+		container.appendChild(rowDiv);
+
+		const tr = document.createElement("tr");
+		tr.innerHTML = `<td>${item.label}</td><td>${cell(makespan, bestMakespan)}</td><td>${cell(slr, bestSlr)}</td><td>${cell(speedup, bestSpeedup)}</td>`;
+		tableBody.appendChild(tr);
+
+		[rowDiv, tr].forEach(el => {
+			el.addEventListener("mouseenter", () => highlightDagComparisonRow(index));
+			el.addEventListener("mouseleave", () => highlightDagComparisonRow(null));
+		});
+	});
+}
+
 function highlightHeftTask(taskId) {
 	const ganttBox = document.getElementById("heft-gantt");
 	if (!ganttBox) return;
@@ -2493,7 +3785,7 @@ function showHeftStep(index) {
 }
 
 function startHeftSimulation(config) {
-	const result = computeHeftSchedule(config);
+	const result = DAG_ALGORITHMS[selectedDagAlgorithm()].schedule(config);
 	heftStepIndex = 0;
 
 	// During HEFT teaching, also guide the viewer's attention across the
@@ -2546,10 +3838,13 @@ function renderHeftStep() {
 
 	const rule = document.createElement("div");
 	rule.className = "step-rule";
+	const algoDef = DAG_ALGORITHMS[heftSimulation.result.algo];
 	if (step.kind === "rank") {
-		rule.textContent = "HEFT first computes an upward rank for each task: rank_u(i) = avgComp(i) + max_{j in succ(i)} (comm(i,j) + rank_u(j)).";
+		rule.textContent = algoDef.rankRule;
 	} else {
-		rule.textContent = "Then HEFT maps tasks onto processors by minimizing the earliest finish time (EFT) for each candidate processor.";
+		rule.textContent = heftSimulation.result.insertion
+			? `${algoDef.placeRule} With insertion, a task may start in an idle gap between tasks already placed on a processor if it fits there.`
+			: `${algoDef.placeRule} Append-only: a task always starts after the last task placed on the processor.`;
 	}
 	wrapper.appendChild(rule);
 
@@ -2560,22 +3855,34 @@ function renderHeftStep() {
 
 	const formulaBox = document.createElement("div");
 	formulaBox.className = "step-formula";
-	if (step.kind === "rank" && step.taskId) {
+	if (step.kind === "rank" && step.formula) {
+		formulaBox.innerHTML = `
+			<div class="formula-animate formula-heft-rank">
+				${step.formula.map((line, i) => `<div class="formula-line" style="animation:formulaLineHighlight 0.5s ${0.5 * i}s forwards;">Step ${i + 1}: ${line}</div>`).join("")}
+			</div>
+		`;
+	} else if (step.kind === "rank" && step.taskId) {
 		const heftResult = heftSimulation.result;
 		const rankVal = heftResult && heftResult.rank ? heftResult.rank[step.taskId] : null;
 		const avg = heftResult && heftResult.avgComp ? heftResult.avgComp[step.taskId] : null;
 		const rankStr = rankVal != null ? rankVal.toFixed(2) : "…";
 		const avgStr = avg != null ? avg.toFixed(2) : "avgComp";
+		const task = heftResult.tasks.find(t => t.id === step.taskId);
+		const costs = task ? heftResult.processors.map(p => heftCompCost(task, p).toFixed(1)) : [];
+		const avgTerms = costs.length ? `(${costs.join(" + ")}) / ${costs.length} = ` : "";
+		const childTerms = heftResult.tasks
+			.filter(t => (t.parents || []).includes(step.taskId))
+			.map(t => `c(${step.taskId}→${t.id}) ${heftEdgeCost(t, step.taskId, heftResult.comm)} + rank_u(${t.id}) ${heftResult.rank[t.id].toFixed(2)}`);
 		formulaBox.innerHTML = `
 			<div class="formula-animate formula-heft-rank">
 				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 0s forwards;">
 					Step 1: rank_u(i) = avgComp(i) + max_{child}(comm(i, child) + rank_u(child))
 				</div>
 				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 0.5s forwards;">
-					Step 2: avgComp(${step.taskId}) ≈ <span class="term-part1">${avgStr}</span>
+					Step 2: avgComp(${step.taskId}) = ${avgTerms}<span class="term-part1">${avgStr}</span>
 				</div>
 				<div class="formula-line" style="animation:formulaLineHighlight 0.5s 1s forwards;">
-					Step 3: rank_u(${step.taskId}) ≈ <span class="term-result">${rankStr}</span>
+					Step 3: rank_u(${step.taskId}) ≈ ${avgStr}${childTerms.length ? ` + max(${childTerms.join(", ")})` : ""} = <span class="term-result">${rankStr}</span>
 				</div>
 			</div>
 		`;
@@ -2587,7 +3894,9 @@ function renderHeftStep() {
 			let html = `
 				<div class="formula-animate formula-heft-schedule">
 					<div class="formula-line" style="animation:formulaLineHighlight 0.5s 0s forwards;">
-						Step 1: EFT(i, P) = max(available_time(P), parents_ready_on_P) + comp_time(i, P)
+						Step 1: ${heftResult.insertion
+							? "EFT(i, P) = EST(i, P) + W(i, P), where EST is the start of the earliest idle slot on P after parents_ready_on_P that is at least W(i, P) long"
+							: "EFT(i, P) = max(available_time(P), parents_ready_on_P) + W(i, P)"}, and a parent j on another processor is ready at finish(j) + comm(j, i)${heftResult.algo === "peft" ? "; O_EFT(i, P) = EFT(i, P) + OCT(i, P)" : ""}
 					</div>
 			`;
 			decObj.options.forEach((opt, idx) => {
@@ -2595,20 +3904,32 @@ function renderHeftStep() {
 				const compStr = Number.isFinite(opt.compTime) ? opt.compTime.toFixed(1) : "comp";
 				const endStr = Number.isFinite(opt.end) ? opt.end.toFixed(1) : "EFT";
 				const delay = 0.5 * (idx + 1);
+				const readyStr = (opt.parentImpacts || [])
+					.map(pi => `${pi.parentId} ${pi.parentEnd.toFixed(1)} + ${pi.comm}`)
+					.join(", ");
 				const chosenMark = opt.processorId === decObj.chosenProcessorId ? " 9 2 chosen" : "";
 				html += `
 					<div class="formula-line" style="animation:formulaLineHighlight 0.5s ${delay}s forwards;">
 						${opt.processorId}: EFT(${step.taskId}, ${opt.processorId}) =
-						<span class="term-part1">${baseStr}</span>
-						+ <span class="term-part2">${compStr}</span>
-						= <span class="term-result">${endStr}</span>${chosenMark}
+						<span class="term-part1">${baseStr}</span>${readyStr ? ` (parents ready: ${readyStr})` : ""}${opt.gap ? ` [gap ${opt.gap.from.toFixed(1)}–${opt.gap.to.toFixed(1)}]` : ""}
+						+ W(${step.taskId}, ${opt.processorId}) <span class="term-part2">${compStr}</span>
+						= <span class="term-result">${endStr}</span>${opt.oct != null ? ` + OCT ${opt.oct.toFixed(1)} = O_EFT ${opt.oeft.toFixed(1)}` : ""}${chosenMark}
 					</div>
 				`;
 			});
-			const finalDelay = 0.5 * (decObj.options.length + 1);
+			let finalStep = decObj.options.length + 2;
+			if (decObj.candidates) {
+				html += `
+					<div class="formula-line" style="animation:formulaLineHighlight 0.5s ${0.5 * finalStep - 0.5}s forwards;">
+						Step ${finalStep}: ready tasks' earliest finish times: ${decObj.candidates.map(c => `${c.taskId} ${c.end.toFixed(1)} (${c.processorId})`).join(", ")}
+					</div>
+				`;
+				finalStep++;
+			}
+			const finalDelay = 0.5 * (finalStep - 1);
 			html += `
 					<div class="formula-line" style="animation:formulaLineHighlight 0.5s ${finalDelay}s forwards;">
-						Step ${decObj.options.length + 2}: HEFT chooses ${decObj.chosenProcessorId} because its EFT is the smallest.
+						Step ${finalStep}: ${step.reason}${step.gap ? ` ${step.taskId} goes into ${describeHeftGap(step.gap)}.` : ""}
 					</div>
 				</div>
 			`;
@@ -2842,7 +4163,14 @@ function scheduleNextHeftTeachingStep() {
 // =============================
 
 function setTeachingControlsDisabled(disabled) {
-	const ids = ["btn-play", "btn-pause", "btn-step", "btn-reset", "quantum"];
+	const ids = [
+		"btn-play", "btn-pause", "btn-back", "btn-step", "btn-reset", "timeline-scrubber",
+		"mlq-policy", "mlq-quantum", "mlq-cycle",
+		"cpu-cores", "core-queue-mode", "cs-cost", "cs-from-idle", "rt-tasks", "custom-code",
+		...algorithmParamIds(),
+		...MLQ_CLASSES.map(key => `mlq-algo-${key}`),
+		...MLQ_CLASSES.map(key => `mlq-share-${key}`)
+	];
 	ids.forEach(id => {
 		const el = document.getElementById(id);
 		if (el) el.disabled = disabled;
@@ -2865,8 +4193,8 @@ function startTeachingMode() {
 
 	const qInput = document.getElementById("quantum");
 	if (qInput && (!qInput.value || parseInt(qInput.value, 10) <= 0)) {
-		qInput.value = 2;
-		onQuantumChange();
+		qInput.value = RR_DEFAULTS.quantum;
+		saveUserConfig();
 	}
 
 	pauseSimulation();
@@ -2964,10 +4292,10 @@ function runCurrentTeachingAlgorithm() {
 
 	const box = document.getElementById("step-explanation");
 	if (box) {
-		const info = ALGO_INFO[algoKey];
+		const def = getAlgorithm(algoKey);
 		const intro = document.createElement("div");
 		intro.className = "teaching-intro";
-		const title = info ? info.title : algoKey.toUpperCase();
+		const title = def ? def.info.title : algoKey.toUpperCase();
 		intro.innerHTML = `
 			<p><strong>Teaching focus:</strong> ${title}</p>
 			<p>Watch how the highlighted bar in the Gantt chart and the CPU/Ready Queue follow this rule, and how this changes waiting and turnaround time.</p>
@@ -3049,14 +4377,44 @@ function closeHelp() {
 // =============================
 
 window.addEventListener("load", () => {
+	renderAlgorithmCards();
+	renderAlgorithmSettings();
+	const codeInput = document.getElementById("custom-code");
+	if (codeInput) codeInput.value = CUSTOM_DEFAULT_CODE;
 	loadUserConfig();
 	updateProcessTable();
+	renderHeftVmTable();
 	updateSimStatus("ready");
 
 	// Ensure the correct tab is visible on first load
 	switchTab("setup");
 });
 
+// Playback shortcuts on the Simulate tab, including the keys presentation
+// clickers send: Space plays / pauses, ←/→ (PageUp/PageDown) step back and
+// forward, Home / End jump to the start / end of the schedule.
+document.addEventListener("keydown", event => {
+	const tab = document.getElementById("tab-simulate");
+	if (!tab || !tab.classList.contains("active") || isTeachingMode || !simulation) return;
+	if (event.ctrlKey || event.metaKey || event.altKey) return;
+	const target = event.target;
+	if (target && (/^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable)) return;
+
+	const actions = {
+		" ": () => (isPlaying ? pauseSimulation() : playSimulation()),
+		ArrowRight: stepSimulation,
+		PageDown: stepSimulation,
+		ArrowLeft: stepBackSimulation,
+		PageUp: stepBackSimulation,
+		Home: () => scrubTimeline(0),
+		End: () => scrubTimeline(simulationEndTime())
+	};
+	const action = actions[event.key];
+	if (!action) return;
+	event.preventDefault();
+	action();
+});
+
 // Recompute auto-fit layout when the window resizes so that the
 // Simulate Gantt chart continues to fit within the visible area as
 // long as the user has not manually overridden the zoom level.
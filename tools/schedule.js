@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+// Process Scheduling Simulator - command-line runner
+// Runs workloads through the same scheduling core as the page
+// (docs/scheduler_core.js) and prints an ASCII Gantt chart, the
+// per-process metrics, the averages and any detected phenomena (convoy
+// effect, starvation, ...), or everything as JSON.
+//
+//   node tools/schedule.js workload.txt --algo fcfs,rr --quantum 3
+//   node tools/schedule.js workload.json --json > results.json
+
+const fs = require("fs");
+const path = require("path");
+const core = require(path.join(__dirname, "..", "docs", "scheduler_core.js"));
+
+const USAGE = `Usage: node tools/schedule.js <workload> [options]
+
+Workload files
+  Text: one process per line, "name arrival burst [priority] [key=value ...]".
+        The burst may be a CPU / I/O sequence such as 4,2,3; keys are
+        queueClass (system | interactive | batch), tickets and affinity
+        (e.g. affinity=0,1). Lines starting with # are ignored.
+  JSON: a list of processes ({ name, arrival, burst, priority, bursts,
+        queueClass, tickets, affinity }) or an object with "processes" and
+        optionally "realTimeTasks" (the format the page saves).
+
+Options
+  --algo a,b,...   Algorithms to run (default: all, as in the Compare tab).
+                   Keys: ${core.listAlgorithms().map(def => def.key).join(", ")}
+  --tasks <file>   Periodic task set for edf / rm ("name period execution [deadline]")
+  --json           Print the results as JSON instead of text
+  --width <n>      Approximate width of the ASCII Gantt chart (default 72)
+  --help           Show this help
+
+Any other --name value is passed to simulate() as an algorithm or run
+setting, e.g. --quantum 3, --cores 2, --queue-mode steal, --switch-cost 1,
+--switch-from-idle, --seed 7, --levels 3, --quanta 2,4,8,
+--target-latency 12.`;
+
+// =============================
+// Command line & workload files
+// =============================
+
+// Split argv into the workload path, the runner's own flags and the
+// settings handed to simulate() (kebab-case names become camelCase).
+function parseArgs(argv) {
+	const args = { file: null, algos: null, tasksFile: null, json: false, width: 72, help: false, options: {} };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (!arg.startsWith("--")) {
+			if (args.file) throw new Error(`Unexpected argument "${arg}".`);
+			args.file = arg;
+			continue;
+		}
+		const eq = arg.indexOf("=");
+		const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+		let value = eq === -1 ? null : arg.slice(eq + 1);
+		if (value === null && i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+			value = argv[++i];
+		}
+
+		if (name === "help") args.help = true;
+		else if (name === "json") args.json = true;
+		else if (name === "algo") args.algos = String(value || "").split(",").map(s => s.trim()).filter(Boolean);
+		else if (name === "tasks") args.tasksFile = value;
+		else if (name === "width") {
+			args.width = parseInt(value, 10);
+			if (!Number.isFinite(args.width) || args.width < 10) throw new Error("--width must be a number of at least 10.");
+		} else {
+			const option = name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+			args.options[option] = value === null ? true : value;
+		}
+	}
+	return args;
+}
+
+// One process per non-empty line: name arrival burst [priority] [key=value ...]
+function parseProcessText(text) {
+	const processes = [];
+	text.split(/\r?\n/).forEach((line, index) => {
+		const trimmed = line.trim();
+		if (!trimmed || trimmed.startsWith("#")) return;
+		const fields = trimmed.split(/\s+/);
+		const positional = fields.filter(f => !f.includes("="));
+		const [name, arrival, burst, priority] = positional;
+		const lineNo = index + 1;
+		if (positional.length < 3 || positional.length > 4) {
+			throw new Error(`Line ${lineNo}: expected "name arrival burst [priority]", got "${trimmed}".`);
+		}
+		if (!/^\d+$/.test(arrival)) throw new Error(`Line ${lineNo}: arrival time "${arrival}" is not a whole number ≥ 0.`);
+		if (!core.parseBurstSequence(burst)) {
+			throw new Error(`Line ${lineNo}: burst "${burst}" must be a positive whole number or a CPU / I/O sequence such as 4,2,3.`);
+		}
+		if (priority !== undefined && !/^-?\d+$/.test(priority)) {
+			throw new Error(`Line ${lineNo}: priority "${priority}" is not a whole number.`);
+		}
+
+		const process = { name, arrival, burst, bursts: burst, priority: priority || 0 };
+		fields.filter(f => f.includes("=")).forEach(pair => {
+			const [key, value] = pair.split("=");
+			if (!["queueClass", "tickets", "affinity"].includes(key)) {
+				throw new Error(`Line ${lineNo}: unknown setting "${key}" (use queueClass, tickets or affinity).`);
+			}
+			process[key] = value;
+		});
+		processes.push(process);
+	});
+	return processes;
+}
+
+// Returns { processes, realTimeTasks } from a text or JSON workload file
+function readWorkload(file) {
+	const text = fs.readFileSync(file, "utf8");
+	const trimmed = text.trim();
+	if (!trimmed.startsWith("[") && !trimmed.startsWith("{")) {
+		return { processes: parseProcessText(text), realTimeTasks: null };
+	}
+
+	let data;
+	try {
+		data = JSON.parse(trimmed);
+	} catch (err) {
+		throw new Error(`${file} is not valid JSON: ${err.message}`);
+	}
+	const processes = Array.isArray(data) ? data : data.processes;
+	if (processes != null && !Array.isArray(processes)) {
+		throw new Error(`"processes" in ${file} must be a list.`);
+	}
+	return {
+		processes: processes || [],
+		realTimeTasks: !Array.isArray(data) && typeof data.realTimeTasks === "string" ? data.realTimeTasks : null
+	};
+}
+
+// Algorithms to run: the requested keys, or every algorithm the Compare
+// tab runs. User-defined algorithms need a browser Web Worker.
+function selectAlgorithms(keys) {
+	if (!keys || keys.length === 0 || (keys.length === 1 && keys[0] === "all")) {
+		return core.listAlgorithms().filter(def => def.compare !== false && !def.buildWorkload && def.key !== "custom");
+	}
+	return keys.map(key => {
+		const def = core.getAlgorithm(key);
+		if (!def) {
+			throw new Error(`Unknown algorithm "${key}". Available: ${core.listAlgorithms().map(d => d.key).join(", ")}.`);
+		}
+		return def;
+	});
+}
+
+// =============================
+// Text output
+// =============================
+
+// One line per core: "|P1   |#|P2 |" with the segment start times below.
+// '.' marks idle time and '#' a context switch.
+function renderAsciiGantt(gantt, width) {
+	const makespan = gantt.reduce((max, seg) => Math.max(max, seg.end), 0);
+	const scale = Math.max(1, Math.floor(width / Math.max(makespan, 1)));
+	const cores = gantt.reduce((max, seg) => Math.max(max, (seg.core || 0) + 1), 1);
+	const lines = [];
+
+	for (let c = 0; c < cores; c++) {
+		const lane = gantt.filter(seg => (seg.core || 0) === c).sort((a, b) => a.start - b.start);
+		let bar = "";
+		let axis = "";
+		let time = 0;
+		// Time labels go under the segment borders where they fit
+		const mark = t => {
+			if (bar.length === 0 || axis.length < bar.length) axis = axis.padEnd(bar.length) + t;
+		};
+		const draw = (label, fill, start, end) => {
+			mark(start);
+			const cells = (end - start) * scale;
+			const text = label.slice(0, cells);
+			bar += "|" + text + fill.repeat(cells - text.length);
+			time = end;
+		};
+
+		lane.forEach(seg => {
+			if (seg.start > time) draw("", ".", time, seg.start);
+			if (seg.process === "Idle") draw("", ".", seg.start, seg.end);
+			else if (seg.process === "CS") draw("", "#", seg.start, seg.end);
+			else draw(seg.process, " ", seg.start, seg.end);
+		});
+		if (lane.length) {
+			mark(time);
+			bar += "|";
+		}
+
+		const prefix = cores > 1 ? `CPU${c} ` : "CPU  ";
+		lines.push(prefix + bar);
+		lines.push(" ".repeat(prefix.length) + axis);
+	}
+	return lines.join("\n");
+}
+
+function formatTable(headers, rows) {
+	const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+	const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd();
+	return [line(headers), line(widths.map(w => "-".repeat(w))), ...rows.map(line)].join("\n");
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+// Same columns as the result table on the Simulate tab
+function renderMetricsTable(metrics) {
+	if (metrics.length > 0 && metrics[0].deadline != null) {
+		return formatTable(
+			["Job", "Release", "Deadline", "Finish", "Response", "Lateness", "Status"],
+			metrics.map(m => [m.process, m.release, m.deadline, m.finish, m.response, `${m.lateness > 0 ? "+" : ""}${m.lateness}`, m.missed ? "missed" : "met"])
+		);
+	}
+	const shareRun = metrics.length > 0 && metrics[0].expectedShare != null;
+	const headers = ["Process", "Waiting", "I/O", "Turnaround", "Response"];
+	if (shareRun) headers.push("Tickets", "Expected Share While Runnable", "Achieved Share While Runnable");
+	return formatTable(headers, metrics.map(m => {
+		const row = [m.process, m.waiting, m.io || 0, m.turnaround, m.response];
+		if (shareRun) row.push(m.tickets, percent(m.expectedShare), percent(m.achievedShare));
+		return row;
+	}));
+}
+
+// Same figures as the metric summary on the Simulate tab
+function renderSummary(summary) {
+	const lines = [
+		`Average waiting time:    ${summary.avgWaiting.toFixed(2)}`,
+		`Average turnaround time: ${summary.avgTurnaround.toFixed(2)}`,
+		`Average response time:   ${summary.avgResponse.toFixed(2)}`
+	];
+	if (summary.avgIo > 0) lines.push(`Average I/O time:        ${summary.avgIo.toFixed(2)}`);
+	lines.push(`CPU utilization:         ${percent(summary.utilization)}` +
+		(summary.cores > 1 ? ` (${summary.coreUtilization.map((u, c) => `CPU${c} ${(u * 100).toFixed(0)}%`).join(", ")})` : ""));
+	lines.push(`Throughput:              ${summary.throughput.toFixed(3)} processes / time unit`);
+	lines.push(`Context switches:        ${summary.contextSwitches}`);
+	lines.push(`Jain's fairness index:   ${summary.fairness.toFixed(3)} (of the slowdowns)`);
+	if (summary.cores > 1) lines.push(`Migrations:              ${summary.migrations}`);
+	if (summary.switchTime > 0) {
+		lines.push(`Switch overhead:         ${summary.switchTime} time units (${percent(summary.switchOverhead)})`);
+		lines.push(`CPU efficiency:          ${percent(summary.cpuEfficiency)}`);
+	}
+	if (summary.jobs) {
+		const byTask = Object.entries(summary.missesByTask).map(([task, count]) => `${task}: ${count}`).join(", ");
+		lines.push(`Deadline misses:         ${summary.deadlineMisses} of ${summary.jobs} jobs${byTask ? ` (${byTask})` : ""}`);
+		lines.push(`Max lateness:            ${summary.maxLateness}`);
+	}
+	lines.push("");
+	lines.push(formatTable(
+		["Metric", "Avg", "Max", "Std Dev", "P95"],
+		[["Waiting", "waiting"], ["Turnaround", "turnaround"], ["Response", "response"], ["Slowdown", "slowdown"]].map(([label, key]) => {
+			const s = summary.stats[key];
+			return [label, s.avg.toFixed(2), s.max.toFixed(2), s.stddev.toFixed(2), s.p95.toFixed(2)];
+		})
+	));
+	return lines.join("\n");
+}
+
+// Detected phenomena, with the Gantt segments that show them
+function renderFindings(findings) {
+	return ["Findings:", ...findings.map(f => {
+		const segments = f.segments.map(seg => `${seg.process} ${seg.start}-${seg.end}`).join(", ");
+		return `- ${f.title}: ${f.text}${segments ? ` [${segments}]` : ""}`;
+	})].join("\n");
+}
+
+function renderRunText(run, width) {
+	if (run.error) return `=== ${run.label} ===\nError: ${run.error}`;
+	const parts = [
+		`=== ${run.label} ===`,
+		renderAsciiGantt(run.gantt, width),
+		"",
+		renderMetricsTable(run.metrics),
+		"",
+		renderSummary(run.summary)
+	];
+	if (run.findings.length) parts.push("", renderFindings(run.findings));
+	return parts.join("\n");
+}
+
+// =============================
+// Main
+// =============================
+
+// Run one algorithm; resolves to the printable run or { algo, label, error }
+function runAlgorithm(def, workload, options) {
+	const input = def.buildWorkload ? workload.realTimeTasks : workload.processes;
+	if (def.buildWorkload && input == null) {
+		return Promise.resolve({ algo: def.key, label: def.label, error: "No periodic task set: pass --tasks <file> or add \"realTimeTasks\" to a JSON workload." });
+	}
+	return Promise.resolve(core.simulate(input, def.key, options)).then(run => {
+		if (run.error) return { algo: def.key, label: def.label, error: run.error };
+		// Labelled like the Compare tab rows
+		const label = def.compareLabel ? def.compareLabel(run.options) : def.label;
+		const multiCoreRun = run.options.cores > 1 && !!core.MULTICORE_POLICIES[def.key];
+		return {
+			algo: def.key,
+			label: multiCoreRun ? `${label} (${run.options.cores} cores)` : label,
+			options: run.options,
+			gantt: run.gantt,
+			io: run.io || [],
+			events: run.events || [],
+			metrics: run.metrics,
+			summary: run.summary,
+			findings: run.findings
+		};
+	}, err => ({ algo: def.key, label: def.label, error: err.message }));
+}
+
+async function main(argv) {
+	const args = parseArgs(argv);
+	if (args.help || !args.file) {
+		console.log(USAGE);
+		return args.help ? 0 : 1;
+	}
+
+	const workload = readWorkload(args.file);
+	if (args.tasksFile) workload.realTimeTasks = fs.readFileSync(args.tasksFile, "utf8");
+	const defs = selectAlgorithms(args.algos);
+
+	const runs = [];
+	for (const def of defs) {
+		runs.push(await runAlgorithm(def, workload, args.options));
+	}
+
+	if (args.json) {
+		console.log(JSON.stringify({ workload: args.file, runs }, null, 2));
+	} else {
+		console.log(runs.map(run => renderRunText(run, args.width)).join("\n\n"));
+	}
+	return runs.some(run => run.error) ? 1 : 0;
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2)).then(
+		code => { process.exitCode = code; },
+		err => {
+			console.error(`Error: ${err.message}`);
+			process.exitCode = 1;
+		}
+	);
+}
+
+module.exports = { parseProcessText, readWorkload, renderAsciiGantt, main };